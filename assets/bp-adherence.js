@@ -0,0 +1,168 @@
+/* BrainPreserve – Diet adherence scoring (MODERN / MIND / Mediterranean)
+ * Drop-in file: /assets/bp-adherence.js — compiles the diet rule CSVs and scores each day and the week per diet.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.BP || (root.BP = {})).adherence = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const PERIOD_DAYS = { day:1, week:7 };
+  const NUM = '(\\d*\\.?\\d+)';
+
+  const clean = v => String(v==null ? '' : v).replace(/\u00a0/g,' ').trim();
+  const norm = s => ' ' + clean(s).toLowerCase().replace(/[^a-z0-9]+/g,' ').trim() + ' ';
+  const isNum = v => typeof v === 'number' && isFinite(v);
+
+  // "≥6 servings/week" → { lo:6, loIncl:true, hi:Infinity, hiIncl:false, period:'week' }; null when unreadable
+  function parseCondition(text, defaultPeriod){
+    let s = clean(text).toLowerCase()
+      .replace(/\bservings?\b/g,'')
+      .replace(/\bper\s+(day|week)\b/g,'/$1')
+      .replace(/\s+/g,' ').trim();
+    let period = defaultPeriod || 'day';
+    const p = s.match(/\/\s*(day|week)$/);
+    if (p){ period = p[1]; s = s.slice(0, p.index).trim(); }
+    let m;
+    if ((m = s.match(new RegExp(`^(>=|≥|=>|>|<=|≤|=<|<)\\s*${NUM}$`)))){
+      const op = m[1], n = Number(m[2]);
+      if (op==='>' ) return { lo:n, loIncl:false, hi:Infinity, hiIncl:false, period };
+      if (op==='<' ) return { lo:-Infinity, loIncl:false, hi:n, hiIncl:false, period };
+      if (/[>≥]/.test(op)) return { lo:n, loIncl:true, hi:Infinity, hiIncl:false, period };
+      return { lo:-Infinity, loIncl:false, hi:n, hiIncl:true, period };
+    }
+    if ((m = s.match(new RegExp(`^${NUM}\\s*(?:-|–|—|to)\\s*${NUM}$`)))){
+      return { lo:Number(m[1]), loIncl:true, hi:Number(m[2]), hiIncl:true, period };
+    }
+    if ((m = s.match(new RegExp(`^${NUM}$`)))){
+      const n = Number(m[1]);
+      return { lo:n, loIncl:true, hi:n, hiIncl:true, period };
+    }
+    return null;
+  }
+
+  function meets(cond, perDay){
+    const v = perDay * PERIOD_DAYS[cond.period];
+    const eps = 1e-9;
+    const aboveLo = cond.loIncl ? v >= cond.lo - eps : v > cond.lo + eps;
+    const belowHi = cond.hiIncl ? v <= cond.hi + eps : v < cond.hi - eps;
+    return aboveLo && belowHi;
+  }
+
+  // "1 if ≥6/week, 0.5 if 3–5/week, else 0" → { clauses:[{ points, cond }], otherwise, max }
+  function parseScoringRule(text, intake){
+    const clauses = [];
+    let otherwise = 0;
+    for (const part of clean(text).split(/\s*[,;]\s*/)){
+      let m;
+      if ((m = part.match(/^else\s+(-?\d*\.?\d+)$/i))){ otherwise = Number(m[1]); continue; }
+      if ((m = part.match(/^(-?\d*\.?\d+)\s+if\s+(.+)$/i))){
+        const cond = /^(?:within|in)\s+range$/i.test(m[2].trim()) ? intake : parseCondition(m[2], intake && intake.period);
+        if (!cond) return null;
+        clauses.push({ points:Number(m[1]), cond });
+        continue;
+      }
+      if (part) return null;
+    }
+    if (!clauses.length) return null;
+    return { clauses, otherwise, max: Math.max(otherwise, ...clauses.map(c=>c.points)) };
+  }
+
+  // Rule CSV rows shaped like data/moder.csv (Diet Name, Component, Category, Recommended Intake, Scoring Rule), any
+  // number of diets → { diets:[{ name, components:[...] }], issues:[...] }
+  function compileRules(rows){
+    const diets = new Map(), issues = [];
+    (rows||[]).forEach((r, i)=>{
+      const diet = clean(r['Diet Name']), component = clean(r['Component']);
+      if (!diet || !component) return;
+      const recommended = clean(r['Recommended Intake']);
+      const intake = parseCondition(recommended);
+      const rule = intake && parseScoringRule(r['Scoring Rule'], intake);
+      if (!rule){ issues.push(`${diet} → ${component} (row ${i+2}): cannot read "${recommended}" / "${clean(r['Scoring Rule'])}"`); return; }
+      if (!diets.has(diet)) diets.set(diet, { name:diet, components:[] });
+      diets.get(diet).components.push({ component, category: clean(r['Category']), recommended, intake, rule });
+    });
+    return { diets: Array.from(diets.values()), issues };
+  }
+
+  // diet_components.csv rows (Categories: categories.csv categories joined with "|"; Foods: whole-word name terms,
+  // "!term" excludes) → Map(normalized component → { categories:Set, include:[terms], exclude:[terms] })
+  function compileComponents(rows){
+    const map = new Map();
+    for (const r of rows||[]){
+      const name = clean(r['Component']);
+      if (!name) continue;
+      const list = v => clean(v).split('|').map(clean).filter(Boolean);
+      const terms = list(r['Foods']);
+      map.set(norm(name), {
+        categories: new Set(list(r['Categories']).map(norm)),
+        include: terms.filter(t=>t[0]!=='!').map(norm),
+        exclude: terms.filter(t=>t[0]==='!').map(t=>norm(t.slice(1)))
+      });
+    }
+    return map;
+  }
+
+  // Whole-word term match that also accepts simple plurals ("egg" matches "2 eggs")
+  function hasTerm(name, term){
+    const t = term.trim();
+    return name.includes(` ${t} `) || name.includes(` ${t}s `) || name.includes(` ${t}es `);
+  }
+
+  function matchesComponent(def, food){
+    const name = norm(food.name);
+    if (def.exclude.some(t=>hasTerm(name, t))) return false;
+    if (food.category && def.categories.has(norm(food.category))) return true;
+    return def.include.some(t=>hasTerm(name, t));
+  }
+
+  // Servings per day of `component` across `days`, with the foods that contributed
+  function componentIntake(def, days){
+    let total = 0;
+    const foods = new Map();
+    for (const day of days){
+      for (const food of day.foods||[]){
+        if (!def || !isNum(food.servings) || !matchesComponent(def, food)) continue;
+        total += food.servings;
+        foods.set(food.name, (foods.get(food.name)||0) + food.servings);
+      }
+    }
+    return { perDay: days.length ? total / days.length : 0, foods: Array.from(foods.keys()) };
+  }
+
+  function pointsFor(rule, perDay){
+    for (const c of rule.clauses) if (meets(c.cond, perDay)) return c.points;
+    return rule.otherwise;
+  }
+
+  // One diet over a set of days (one day → a daily score; all days → the weekly score)
+  function scoreDays(diet, componentMap, days){
+    const components = diet.components.map(c=>{
+      const def = componentMap.get(norm(c.component));
+      const got = componentIntake(def, days);
+      const intake = got.perDay * PERIOD_DAYS[c.intake.period];
+      return {
+        component: c.component, category: c.category, recommended: c.recommended, period: c.intake.period,
+        intake: Math.round(intake*10)/10, points: pointsFor(c.rule, got.perDay), max: c.rule.max,
+        foods: got.foods, mapped: !!def
+      };
+    });
+    const score = components.reduce((a,c)=>a+c.points, 0);
+    const max = components.reduce((a,c)=>a+c.max, 0);
+    return { diet: diet.name, score, max, pct: max ? Math.round(score/max*100) : null, components };
+  }
+
+  // days: [{ label, foods:[{ name, category, servings }] }], servings per person. Weekly rules on a single day use
+  // that day's intake × 7; daily rules over a week use the daily average.
+  // → [{ diet, week:{ score, max, pct, components }, days:[{ label, score, max, pct, components }] }]
+  function scorePlan(compiled, componentMap, days){
+    days = (days||[]).filter(d=>d && Array.isArray(d.foods));
+    return compiled.diets.map(diet=>({
+      diet: diet.name,
+      week: scoreDays(diet, componentMap, days),
+      days: days.map((d, i)=>Object.assign({ label: d.label || `Day ${i+1}` }, scoreDays(diet, componentMap, [d])))
+    }));
+  }
+
+  return { parseCondition, parseScoringRule, compileRules, compileComponents, componentKey: norm, matchesComponent, scorePlan };
+});
@@ -0,0 +1,967 @@
+/* BrainPreserve – Nutrition tables core (no DOM)
+ * Drop-in file: /assets/bp-core.js (after bp-index.js, bp-quantity.js, bp-scoring.js, bp-adherence.js, bp-match.js,
+ * bp-nutrients.js, bp-substitute.js and bp-profiles.js; before nutrition-tables.js)
+ * Exposes window.BP.core in the browser; module.exports under Node (requires the modules above itself).
+ *
+ * What it does
+ * 1) Loads the datasets through a reader the caller supplies: read(file) → CSV text (or parsed rows) for a file name
+ *    in /data, throwing when the file is missing. The page reads with fetch; Node and Netlify functions read with fs:
+ *      const core = await require('./assets/bp-core.js').loadCore(file => fs.promises.readFile(path.join('data', file), 'utf8'));
+ *    A precompiled index (opts.index, /data/index.json) serves every file it holds without calling read
+ * 2) Normalizes and resolves ingredient names (synonyms, aliases, fuzzy matches) and merges the files' rows into one
+ *    record per ingredient with provenance
+ * 3) Computes everything nutrition-tables.js renders: core.build(ingredients, opts) → { resolved, model }, where model
+ *    is the record model BP.lastTables holds (the five mapping tables, recipe nutrition, scores, adherence, coverage,
+ *    swaps and the request), or null when no ingredient has data
+ * 4) Answers the same questions without rendering: resolveName, getRecord, validateRecipes, checkProfile,
+ *    buildShoppingList
+ * Data problems do not reject: core.loadError and core.mappingIssues say what went wrong, as the page shows them;
+ * core.loadNotes lists the optional files that were not there.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports){
+    module.exports = factory(require('./bp-index.js'), require('./bp-quantity.js'), require('./bp-scoring.js'), require('./bp-adherence.js'),
+      require('./bp-match.js'), require('./bp-nutrients.js'), require('./bp-substitute.js'), require('./bp-profiles.js'));
+  } else {
+    const BP = root.BP || (root.BP = {});
+    BP.core = factory(BP.index, BP.quantity, BP.scoring, BP.adherence, BP.match, BP.nutrients, BP.substitute, BP.profiles);
+  }
+})(typeof self !== 'undefined' ? self : this, function(Index, Quantity, Scoring, Adherence, Match, Nutrients, Substitute, Profiles){
+  'use strict';
+
+  // The ingredient datasets (CSV_SOURCES), key columns, normalization and synonyms live in bp-index.js, shared with
+  // the build step (scripts/build-index.js) that precompiles them into /data/index.json.
+  if (!Index) throw new Error('bp-index.js must be loaded before bp-core.js');
+  const { normalize, clean, toNumber, detectColumns, detectKeyColumn, DEFAULT_KEY_CANDIDATES } = Index;
+  // The other modules are optional in the browser: each missing one turns off what it computes, and every core's
+  // mappingIssues says so
+  const MISSING_MODULES = [
+    [Quantity, 'bp-quantity.js', 'recipe amounts will be ignored'],
+    [Scoring, 'bp-scoring.js', 'recipe scores and goal checks are skipped'],
+    [Adherence, 'bp-adherence.js', 'diet adherence scores are skipped'],
+    [Match, 'bp-match.js', 'ingredient names must match the CSVs exactly'],
+    [Substitute, 'bp-substitute.js', 'ingredient swaps are not suggested'],
+    [Nutrients, 'bp-nutrients.js', 'the micronutrient coverage card is skipped'],
+    [Profiles, 'bp-profiles.js', 'client profiles are not checked']
+  ].filter(([loaded])=>!loaded).map(([, file, effect])=>`${file} is not loaded before bp-core.js; ${effect}.`);
+
+  // ------- Data configuration -------
+  // File names are relative to /data. Global key/value settings (setting,value,notes); joinKey names the ingredient
+  // column shared by the data files.
+  const SETTINGS_FILE = 'settings_global.csv';
+
+  // ------- Table mappings -------
+  // Each row of a mapping CSV declares one source for one output column of one table:
+  //   table, output_header, mode, order, file, csv_column, role, combine_separator, notes
+  // mode 'priority_fallback' shows the first non-empty source (by order, then role: primary > fallback > optional_fallback);
+  // mode 'combine' joins every non-empty source with combine_separator. Sources whose role is optional_fallback
+  // may point at files/columns that do not exist; any other missing source is reported in mappingIssues.
+  const MAPPING_FILES = [
+    'mapping_nutrition.csv',
+    'mapping_cognitive_other.csv',
+    'mapping_diet_compat.csv',
+    'mapping_microbiome.csv',
+    'mapping_micronutrients.csv'
+  ];
+  const TABLE_TITLES = {
+    nutrition:'Nutrition Table',
+    cog_other:'Cognitive & Other Health Benefits',
+    diet_compat:'Diet Compatibility',
+    microbiome:'Microbiome Benefit',
+    micronutrients:'Micronutrient Benefits'
+  };
+  // Output columns summed into a Total row (per table id). For the nutrition table these are also
+  // the columns scaled by recipe amount in the Recipe Nutrition card.
+  const TOTAL_COLUMNS = { nutrition:['Calories','Protein (g)','Fiber (g)','GL'] };
+  // Serving size each file's per-serving values refer to. Files without one (protein.csv, fiber.csv)
+  // use the first of these that has a serving for the ingredient.
+  const SERVING_COLUMNS = {
+    'main.csv':'Serving Size (Estimation)',
+    'diet_tool.csv':'Serving Size (Estimation)',
+    'gi_gl.csv':'Serving Size'
+  };
+  // Per-ingredient inputs for bp-scoring.js (and, per serving, for bp-substitute.js), read straight from the data files.
+  // 'amount' values are per serving and get scaled to the recipe amount; 'flag' values are ✓/⚠/blank.
+  const SCORING_FIELDS = {
+    gi:{ file:'gi_gl.csv', column:'Glycemic Index (GI)', type:'number' },
+    gl:{ file:'gi_gl.csv', column:'Glycemic Load per Serving', type:'amount' },
+    dii:{ file:'diet_tool.csv', column:'DII Score', type:'number' },
+    antiInflammatory:{ file:'diet_tool.csv', column:'✓ Anti-inflammatory', type:'flag' },
+    proInflammatory:{ file:'diet_tool.csv', column:'Contextually Pro-inflammatory?', type:'flag' },
+    mind:{ file:'diet_tool.csv', column:'✓MIND', type:'flag' },
+    mediterranean:{ file:'diet_tool.csv', column:'✓Mediterranean', type:'flag' },
+    dash:{ file:'diet_tool.csv', column:'✓DASH', type:'flag' },
+    microbiome:{ file:'diet_tool.csv', column:'✓Microbiome-supporting', type:'flag' },
+    caution:{ file:'diet_tool.csv', column:'Caution: Contextual Inflammation Risk', type:'text' },
+    calories:{ file:'main.csv', column:'Calories', type:'amount' },
+    protein:{ file:'protein.csv', column:'Protein_per_Serving_(g)', type:'amount' },
+    fiber:{ file:'fiber.csv', column:'Total Fiber (g)', type:'amount' },
+    biotic:{ file:'microbiome.csv', column:'Pre_Pro_Post-Biotic', type:'text' },
+    compounds:{ file:'micronutrients_food.csv', column:'Key Micronutrients/Bioactive Compounds', type:'text' }
+  };
+  // Diet adherence: rule sets (one diet or more per file, same columns as moder.csv), the component → food map,
+  // and the categories.csv column the map's Categories refer to
+  const DIET_RULE_FILES = ['moder.csv', 'mind.csv', 'mediterranean.csv'];
+  const DIET_COMPONENTS_FILE = 'diet_components.csv';
+  const CATEGORY_SOURCE = { file:'categories.csv', column:'Category' };
+  const ROLE_RANK = { primary:0, source:0, fallback:1, optional_fallback:2 };
+  // Files not keyed by ingredient. Their rows are matched by name inside another file's text column
+  // (e.g. micronutrient names listed in 'Key Micronutrients/Bioactive Compounds').
+  const INDIRECT_FILES = {
+    'micronutients_list.csv': { keyCandidates:['Micronutrient','Nutrient'], via:{ file:'micronutrients_food.csv', column:'Key Micronutrients/Bioactive Compounds' } }
+  };
+  // Micronutrient coverage: the free-text compound columns read into the bp-nutrients.js vocabulary, and the list
+  // file (its name is spelled this way in /data) that gives each target its cognitive benefit and daily amount
+  const NUTRIENT_TEXT_SOURCES = [
+    { file:'micronutrients_food.csv', column:'Key Micronutrients/Bioactive Compounds' },
+    { file:'main.csv', column:'Key Nutrients/Bioactive Compounds' }
+  ];
+  const NUTRIENT_LIST = { file:'micronutients_list.csv', benefit:'Direct/Indirect Cognitive Benefits', amount:'Recommended Daily Amount', foods:'Food Source' };
+
+  // ------- Helpers (no data needed) -------
+  const squashHeader = h => String(h).replace(/\s+/g,' ').trim();
+
+  // Group mapping rows into table specs: { id, title, columns:[{ header, mode, separator, rules:[...] }] }
+  function compileMappings(rows){
+    const specs = new Map();
+    for (const r of rows){
+      const id = clean(r.table), header = clean(r.output_header), file = clean(r.file), column = clean(r.csv_column);
+      if (!id || !header || !file || !column) continue;
+      if (!specs.has(id)) specs.set(id, { id, title:TABLE_TITLES[id]||id, columns:[], byHeader:new Map() });
+      const spec = specs.get(id);
+      if (!spec.byHeader.has(header)){
+        const col = { header, mode: clean(r.mode)==='combine' ? 'combine' : 'priority_fallback', separator:'; ', rules:[] };
+        spec.byHeader.set(header, col); spec.columns.push(col);
+      }
+      const col = spec.byHeader.get(header);
+      const role = clean(r.role) || 'primary';
+      // The separator keeps meaningful whitespace ("; "), so only strip the placeholder-blank case
+      const sep = r.combine_separator==null ? '' : String(r.combine_separator);
+      if (sep.trim()) col.separator = sep;
+      col.rules.push({ order: Number(clean(r.order))||0, role, file, column });
+    }
+    const out = [];
+    for (const spec of specs.values()){
+      for (const col of spec.columns){
+        col.rules.sort((a,b)=> (a.order-b.order) || ((ROLE_RANK[a.role]||0)-(ROLE_RANK[b.role]||0)));
+      }
+      delete spec.byHeader;
+      out.push(spec);
+    }
+    return out;
+  }
+
+  const isFlagColumn = c => /^✓/.test(c);
+  const flagLabel = c => c.replace(/^✓\s*/,'').toLowerCase();
+  function isFlagOn(v){ const s = clean(v).toLowerCase(); return s==='✓' || s==='✔' || s==='⚠' || s==='x' || s==='y' || s==='yes' || s==='1' || s==='true'; }
+
+  function toRecipe(r){
+    return { title: r.title || 'Recipe', servings: Math.max(1, Number(r.servings)||1), ingredients: (r.ingredients||[]).map(toItem).filter(i=>i.name) };
+  }
+
+  // Strings are parsed as recipe lines ("1 cup spinach"); objects are { name, quantity, unit }
+  function toItem(x){
+    if (x && typeof x==='object'){
+      const q = x.quantity==null || x.quantity==='' ? null : Number(x.quantity);
+      const quantity = Number.isFinite(q) ? q : null;
+      const unitText = String(x.unit||'').trim();
+      const unit = (Quantity && unitText && Quantity.parseUnit(unitText).unit) || unitText || (quantity!=null ? 'each' : '');
+      const name = String(x.name||'').trim();
+      return { name, quantity, unit, raw: x.raw || [quantity, unitText, name].filter(v=>v!=null && v!=='').join(' ') };
+    }
+    if (Quantity) return Quantity.parseIngredientLine(x);
+    return { name:String(x||'').trim(), quantity:null, unit:'', raw:String(x||'') };
+  }
+
+  // A recipe line with its ingredient name replaced; object lines keep their amount
+  function swapLine(line, to){
+    if (line && typeof line==='object'){ const out = Object.assign({}, line, { name: to }); delete out.raw; return out; }
+    const name = toItem(line).name;
+    return name ? String(line).replace(name, to) : to;
+  }
+
+  // ------- Shopping list -------
+  // Display units for summed amounts, largest first; mass uses oz/lb when every source amount did
+  const SHOPPING_UNITS = {
+    volume:[['cup',240],['tbsp',15],['tsp',5]],
+    mass:[['kg',1000],['g',1]],
+    massImperial:[['lb',453.6],['oz',28.35]],
+    count:[['',1]],
+    handful:[['handful',1]]
+  };
+
+  function formatTotal(dim, base, imperial){
+    const units = SHOPPING_UNITS[dim==='mass' && imperial ? 'massImperial' : dim] || [['',1]];
+    const [unit, size] = units.find(([,sz])=>base >= sz) || units[units.length-1];
+    const q = Math.round(base / size * 100) / 100;
+    const label = (unit==='cup' || unit==='handful') && q!==1 ? unit + 's' : unit;
+    return [q, label].filter(v=>v!=='').join(' ');
+  }
+
+  function sum(nums){ return nums.reduce((a,b)=>a+(isFinite(+b)?+b:0),0); }
+
+  // ------- Loading -------
+  // read: file name → CSV text or rows (may return a promise; throws / rejects when the file is missing)
+  // opts: { index, aliases } — a loaded /data/index.json, whose files are used instead of read; aliases the user
+  // accepted earlier, { name: key } (see addAlias)
+  // → the core below, once every file is loaded
+  async function loadCore(read, opts){
+    opts = opts || {};
+    const State = {
+      dataByKey: new Map(), // key -> merged record
+      keyToDisplay: new Map(), // key -> original display name
+      keyColByDataset: {},    // datasetName -> actual key column detected
+      records: {},            // key -> { display, values, sources:{ column:[file, row] }, conflicts } (bp-index.js compileRecords)
+      index: opts.index || null,
+      synonymsDynamic: new Map(),
+      catalog: null,          // { keys, matcher }: ingredient catalog and its bp-match.js matcher (built on first use)
+      resolved: new Map(),    // normalized name -> resolveName result (cleared when an alias is added)
+      settings: Object.assign({}, Index.DEFAULT_SETTINGS),
+      files: new Map(),       // file name -> { file, keyCol, columns, rows, byKey }
+      mappings: [],           // compiled table specs, in MAPPING_FILES order
+      mappingIssues: MISSING_MODULES.slice(), // human-readable problems found while compiling/resolving mappings
+      loadNotes: [],          // optional files that were not loaded (not problems: the page only logs them)
+      dietRules: null,        // compiled adherence rules { diets, issues } and component map (bp-adherence.js)
+      dietComponents: null,
+      loadError:null
+    };
+
+    const csvCache = new Map(); // file -> Promise<rows>; shared by datasets, mappings and settings
+    function readCsv(file){
+      if (!csvCache.has(file)) csvCache.set(file, readCsvUncached(file));
+      return csvCache.get(file);
+    }
+    async function readCsvUncached(file){
+      if (State.index && State.index.files[file]) return Index.tableRows(State.index.files[file]);
+      const data = await read(file);
+      return typeof data==='string' ? Index.parseCSV(data) : data;
+    }
+
+    const joinKeyCandidates = () => Index.joinKeyCandidates(State.settings);
+    const displayNameFor = key => State.keyToDisplay.get(key) || key;
+
+    function addSynonym(alias, canonical){
+      if (!alias || !canonical) return;
+      State.synonymsDynamic.set(normalize(alias), normalize(canonical));
+    }
+
+    const canonicalizeName = raw => Index.canonicalize(raw, State.synonymsDynamic);
+
+    // fuzzy_threshold in settings_global.csv: how confident a fuzzy match must be to be used without asking (0–1)
+    function fuzzyThreshold(){
+      const t = Number(State.settings.fuzzy_threshold);
+      return (t > 0 && t <= 1) ? t : Match.AUTO_THRESHOLD;
+    }
+
+    // Names are matched against the ingredient catalog: the whitelist files (main.csv, categories.csv), whose join
+    // column the other data files share; every loaded ingredient when no whitelist is configured
+    function catalog(){
+      if (!State.catalog){
+        const keys = new Set();
+        for (const file of whitelistFiles()){ const f = State.files.get(file); if (f) for (const k of f.byKey.keys()) keys.add(k); }
+        if (!keys.size) for (const k of State.dataByKey.keys()) keys.add(k);
+        State.catalog = { keys, matcher: Match ? Match.createMatcher(Array.from(keys, key=>({ key, name: displayNameFor(key) }))) : null };
+      }
+      return State.catalog;
+    }
+
+    // A recipe / request name → { key, match:'exact'|'fuzzy'|'none', score, candidates:[{ key, name, score }] }.
+    // A catalog key (after synonyms) wins; then the best fuzzy candidate when it is confident (Match.confident at
+    // fuzzyThreshold()); then a key that only some data files know; otherwise the name is unmapped and the
+    // candidates are suggestions.
+    function resolveName(raw){
+      const n = canonicalizeName(raw);
+      const { keys, matcher } = catalog();
+      if (!n || keys.has(n) || !matcher) return { key:n, match: State.dataByKey.has(n) ? 'exact' : 'none', score: State.dataByKey.has(n) ? 1 : 0, candidates:[] };
+      if (State.resolved.has(n)) return State.resolved.get(n);
+      const candidates = matcher.match(raw, 3);
+      const best = candidates[0], sure = Match.confident(candidates, fuzzyThreshold());
+      let result;
+      if (sure) result = { key:sure.key, match:'fuzzy', score:sure.score, candidates };
+      else if (State.dataByKey.has(n)) result = { key:n, match:'exact', score:1, candidates:[] };
+      else result = { key:n, match:'none', score: best ? best.score : 0, candidates };
+      State.resolved.set(n, result);
+      return result;
+    }
+    // The data key to look a request / recipe ingredient up under
+    const lookupKey = raw => resolveName(raw).key;
+
+    async function loadSettings(){
+      try{ State.settings = Object.assign(State.settings, Index.compileSettings(await readCsv(SETTINGS_FILE))); }
+      catch(e){ State.loadNotes.push(`Optional settings not loaded: ${e.message}`); }
+    }
+
+    // Canonical records from the index, or compiled here from the CSV_SOURCES files (read in parallel)
+    async function loadAllCSVs(){
+      try{
+        let compiled = State.index;
+        if (!compiled){
+          const sources = await Promise.all(Index.CSV_SOURCES.map(cfg=>
+            readCsv(cfg.file).then(rows=>Object.assign({}, cfg, { rows }), e=>Object.assign({}, cfg, { error:e.message }))));
+          compiled = Index.compileRecords(sources, State.settings);
+          for (const i of compiled.issues) (i.level==='warn' ? State.mappingIssues : State.loadNotes).push(i.message);
+        }
+        for (const [alias, key] of Object.entries(compiled.aliases)) State.synonymsDynamic.set(alias, key);
+        for (const [name, d] of Object.entries(compiled.datasets)) State.keyColByDataset[name] = d.keyCol;
+        for (const [key, rec] of Object.entries(compiled.records)){
+          State.dataByKey.set(key, Object.assign({ _key:key }, rec.values));
+          State.keyToDisplay.set(key, rec.display);
+        }
+        State.records = compiled.records;
+      }catch(e){
+        State.loadError = e;
+        console.error('CSV load failed:', e);
+      }
+    }
+
+    // A data file referenced by a mapping, indexed by canonical ingredient key (first row wins; later rows with the
+    // same key are kept in `duplicates` so disagreements can be shown). rowNumber: row object → data row (1 = first)
+    async function loadDataFile(file){
+      if (State.files.has(file)) return State.files.get(file);
+      const rows = await readCsv(file);
+      const indirect = INDIRECT_FILES[file];
+      const keyCol = detectKeyColumn(rows, indirect ? indirect.keyCandidates : [...joinKeyCandidates(), ...DEFAULT_KEY_CANDIDATES]);
+      if (!keyCol) throw new Error(`Cannot find key column in ${file}`);
+      const byKey = new Map(), duplicates = new Map(), rowNumber = new Map();
+      rows.forEach((r, i)=>{
+        rowNumber.set(r, i+1);
+        const raw = clean(r[keyCol]);
+        if (!raw) return;
+        const key = indirect ? normalize(raw) : canonicalizeName(raw);
+        if (!byKey.has(key)) byKey.set(key, r);
+        else (duplicates.get(key) || duplicates.set(key, []).get(key)).push(r);
+      });
+      const columns = detectColumns(rows);
+      const headers = new Map(Array.from(columns, c=>[squashHeader(c), c]));
+      const entry = { file, keyCol, columns, headers, rows, byKey, duplicates, rowNumber };
+      State.files.set(file, entry);
+      return entry;
+    }
+
+    async function loadMappings(){
+      for (const file of MAPPING_FILES){
+        let rows;
+        try{ rows = await readCsv(file); }
+        catch(e){ State.mappingIssues.push(`${file} not loaded: ${e.message}`); continue; }
+        for (const spec of compileMappings(rows)){
+          const existing = State.mappings.find(m=>m.id===spec.id);
+          if (existing) existing.columns.push(...spec.columns); else State.mappings.push(spec);
+        }
+      }
+      const files = new Set([...Object.keys(SERVING_COLUMNS), ...Object.values(SCORING_FIELDS).map(f=>f.file), CATEGORY_SOURCE.file, ...whitelistFiles(),
+        ...NUTRIENT_TEXT_SOURCES.map(f=>f.file), NUTRIENT_LIST.file]);
+      for (const spec of State.mappings){ for (const col of spec.columns){ for (const rule of col.rules) files.add(rule.file); } }
+      for (const file of files){
+        try{ await loadDataFile(file); }
+        catch(e){
+          const optionalOnly = State.mappings.every(s=>s.columns.every(c=>c.rules.every(r=>r.file!==file || r.role==='optional_fallback')));
+          if (!optionalOnly) State.mappingIssues.push(`${file} not loaded: ${e.message}`);
+        }
+      }
+      // Resolve each source to the file's actual header; report the ones that point at columns
+      // the file does not have (optional_fallback sources are allowed to)
+      for (const spec of State.mappings){
+        for (const col of spec.columns){
+          for (const rule of col.rules){
+            const f = State.files.get(rule.file);
+            rule.sourceColumn = f ? (f.headers.get(squashHeader(rule.column)) || null) : null;
+            if (f && !rule.sourceColumn && rule.role!=='optional_fallback'){
+              State.mappingIssues.push(`${spec.id} → "${col.header}": column "${rule.column}" not found in ${rule.file}`);
+            }
+          }
+        }
+      }
+    }
+
+    function sourceRow(rule, key){
+      const f = State.files.get(rule.file);
+      if (!f || !rule.sourceColumn) return null;
+      return f.byKey.get(key) || null;
+    }
+
+    // Rows of an indirect file whose key (or one of its slash variants) is named in the ingredient's `via` text
+    function indirectRows(rule, key){
+      const f = State.files.get(rule.file), via = INDIRECT_FILES[rule.file].via;
+      const viaFile = State.files.get(via.file);
+      if (!f || !rule.sourceColumn || !viaFile) return [];
+      const viaRow = viaFile.byKey.get(key);
+      if (!viaRow) return [];
+      const hay = ` ${normalize(viaRow[via.column])} `;
+      const out = [];
+      for (const row of f.byKey.values()){
+        const name = clean(row[f.keyCol]);
+        const variants = name.split('/').map(normalize).filter(Boolean); // "Choline/Citicoline"
+        if (variants.some(v=>hay.includes(` ${v} `))) out.push({ name, row });
+      }
+      return out;
+    }
+
+    // Where a cell value came from: { file, row, column, value } (row 1 = first row under the header)
+    function cite(rule, row, value){
+      return { file:rule.file, row:State.files.get(rule.file).rowNumber.get(row), column:rule.sourceColumn, value };
+    }
+
+    // → [{ file, row, column, value }] the non-empty values `rule` gives for `key`
+    function sourceCites(rule, key){
+      if (INDIRECT_FILES[rule.file]){
+        return indirectRows(rule, key).map(({name,row})=>{ const v = clean(row[rule.sourceColumn]); return v ? cite(rule, row, `${name}: ${v}`) : null; }).filter(Boolean);
+      }
+      const row = sourceRow(rule, key);
+      const v = row ? clean(row[rule.sourceColumn]) : '';
+      return v ? [cite(rule, row, v)] : [];
+    }
+    const sourceValues = (rule, key) => sourceCites(rule, key).map(c=>c.value);
+
+    // Values that disagree with the one shown: later rows for the same key in the chosen file, then numbers from the
+    // column's other sources (a fallback file with a different number; fallback text is a different text by design)
+    function conflictsFor(col, chosen, key, value){
+      const out = [];
+      const f = State.files.get(chosen.file);
+      for (const row of (f.duplicates.get(key) || [])){
+        const v = clean(row[chosen.sourceColumn]);
+        if (v && Index.valuesDisagree(value, v)) out.push(cite(chosen, row, v));
+      }
+      for (const rule of col.rules){
+        if (rule===chosen || INDIRECT_FILES[rule.file] || isFlagColumn(rule.column)) continue;
+        for (const c of sourceCites(rule, key)){
+          if (isFinite(toNumber(value)) && isFinite(toNumber(c.value)) && Index.valuesDisagree(value, c.value)) out.push(c);
+        }
+      }
+      return out;
+    }
+
+    // → { value, rule, sources, conflicts }: the cell text, the mapping source that supplied it (null for combined or
+    // empty cells), every value it was built from, and the values other rows / files give instead
+    function resolveCell(col, key){
+      const none = { value:'', rule:null, sources:[], conflicts:[] };
+      // The join column (csv_column is the file's key) always shows the shared display name
+      if (col.rules.some(r=>{ const f = State.files.get(r.file); return f && f.keyCol===r.sourceColumn && !INDIRECT_FILES[r.file]; })) return Object.assign(none, { value:displayNameFor(key) });
+      if (col.mode==='combine'){
+        const parts = [], sources = [], seen = new Set();
+        for (const rule of col.rules){
+          for (const c of sourceCites(rule, key)){ const n = c.value.toLowerCase(); if (!seen.has(n)){ seen.add(n); parts.push(c.value); sources.push(c); } }
+        }
+        return Object.assign(none, { value:parts.join(col.separator), sources });
+      }
+      for (let i=0;i<col.rules.length;i++){
+        const rule = col.rules[i];
+        if (isFlagColumn(rule.column)){
+          // ✓/blank flags read as Yes/No as the primary source, or as a labelled marker when used as a fallback
+          const row = sourceRow(rule, key);
+          if (!row) continue;
+          const on = isFlagOn(row[rule.sourceColumn]);
+          const sources = [cite(rule, row, clean(row[rule.sourceColumn]))];
+          if (i===0) return { value: on ? 'Yes' : 'No', rule, sources, conflicts:[] };
+          if (on) return { value:`✓ ${flagLabel(rule.column)} (no score)`, rule, sources, conflicts:[] };
+          continue;
+        }
+        const sources = sourceCites(rule, key);
+        if (!sources.length) continue;
+        const value = sources.map(c=>c.value).join(col.separator);
+        return { value, rule, sources, conflicts: INDIRECT_FILES[rule.file] ? [] : conflictsFor(col, rule, key, value) };
+      }
+      return none;
+    }
+
+    function buildTable(spec, keys){
+      const files = new Set(spec.columns.flatMap(c=>c.rules.map(r=>r.file)));
+      const present = keys.filter(k=>[...files].some(f=>{ const e = State.files.get(f); return e && !INDIRECT_FILES[f] && e.byKey.has(k); }));
+      const rows = present.map(k=>{
+        const resolved = spec.columns.map(c=>resolveCell(c, k));
+        return { key:k, cells: resolved.map(r=>r.value), sources: resolved.map(r=>r.rule),
+          provenance: resolved.map(r=>({ sources:r.sources, conflicts:r.conflicts })) };
+      });
+      let totals = null;
+      const sumCols = TOTAL_COLUMNS[spec.id];
+      if (sumCols){
+        totals = spec.columns.map((c,i)=>{
+          if (i===0) return 'Total (1 serving each)';
+          if (!sumCols.includes(c.header)) return '';
+          return sum(rows.map(r=>toNumber(r.cells[i])));
+        });
+      }
+      return { id:spec.id, title:spec.title, headers: spec.columns.map(c=>c.header), rows, totals };
+    }
+
+    function buildTables(keys){ return State.mappings.map(spec=>buildTable(spec, keys)); }
+
+    // ------- Recipe amounts -------
+    function servingText(file, key){
+      const f = State.files.get(file);
+      const col = f && f.headers.get(squashHeader(SERVING_COLUMNS[file]||''));
+      const row = col && f.byKey.get(key);
+      return row ? clean(row[col]) : '';
+    }
+    // Serving a value from `rule` refers to: its own file's serving, else the ingredient's first known serving
+    // → { file, text } (both '' when no file gives one)
+    function servingSource(rule, key){
+      for (const file of [rule && rule.file, ...Object.keys(SERVING_COLUMNS)]){
+        const text = file ? servingText(file, key) : '';
+        if (text) return { file, text };
+      }
+      return { file:'', text:'' };
+    }
+    const servingFor = (rule, key) => servingSource(rule, key).text;
+
+    // Per recipe: each ingredient's TOTAL_COLUMNS values scaled from a reference serving to the recipe amount. Each value
+    // is scaled against the serving its own file gives (calories per main.csv's "½ cup", GL per gi_gl.csv's "1 cup"),
+    // so the Reference serving and × Serving cells list every serving a row used with the columns it applies to.
+    // An amount that cannot be measured against a serving (no quantity, grams vs cups, cups vs "1 handful") is marked
+    // "not comparable" and its values are left out of the totals rather than counted as one serving.
+    // rows: [{ key, mapped, comparable, scaling:[{ file, serving, factor (null: not comparable), columns:[headers] }], cells }]
+    function buildRecipeNutrition(recipes, nutrition){
+      if (!Quantity || !nutrition || !recipes.length) return null;
+      const sumCols = (TOTAL_COLUMNS.nutrition||[]).map(h=>nutrition.headers.indexOf(h)).filter(i=>i>0);
+      const headers = ['Ingredient','Amount','Reference serving','× Serving', ...sumCols.map(i=>nutrition.headers[i])];
+      const byKey = new Map(nutrition.rows.map(r=>[r.key, r]));
+      const round = v => Math.round(v*100)/100;
+      const out = recipes.map(recipe=>{
+        const rows = recipe.ingredients.map(ing=>{
+          const key = lookupKey(ing.name);
+          const data = byKey.get(key);
+          const scaling = [];
+          const values = sumCols.map(i=>{
+            const v = data ? toNumber(data.cells[i]) : NaN;
+            if (!isFinite(v)) return NaN;
+            const src = servingSource(data.sources[i], key);
+            let s = scaling.find(x=>x.serving===src.text);
+            if (!s){
+              const scaled = Quantity.scaleToServing(ing, src.text);
+              s = { file:src.file, serving:src.text, factor: scaled ? scaled.factor : null, columns:[] };
+              scaling.push(s);
+            }
+            s.columns.push(nutrition.headers[i]);
+            return s.factor==null ? NaN : v * s.factor;
+          });
+          const comparable = scaling.every(s=>s.factor!=null);
+          const which = s => scaling.length>1 ? ` (${s.columns.join(', ')})` : '';
+          const serving = scaling.length ? scaling.map(s=>(s.serving || 'no serving size') + which(s)).join('; ') : servingFor(null, key);
+          const factorText = s => s.factor==null ? 'not comparable' : `×${round(s.factor)}`;
+          const oneFactor = scaling.every(s=>factorText(s)===factorText(scaling[0]));
+          const factor = !scaling.length ? '' : oneFactor ? (comparable ? scaling[0].factor : 'not comparable')
+            : scaling.map(s=>factorText(s) + which(s)).join('; ');
+          return {
+            key, mapped: !!data, comparable, scaling,
+            cells: [data ? displayNameFor(key) : ing.name, Quantity.formatAmount(ing) || '—', serving, factor, ...values]
+          };
+        });
+        const partial = rows.some(r=>r.mapped && !r.comparable);
+        const total = headers.map((h,i)=> i===0 ? (partial ? 'Total (recipe, comparable amounts only)' : 'Total (recipe)') : i<4 ? '' : sum(rows.map(r=>r.cells[i])));
+        const perServing = total.map((v,i)=> i===0 ? `Per serving (÷${recipe.servings})` : i<4 ? '' : v/recipe.servings);
+        return { title: recipe.title, servings: recipe.servings, headers, rows, total, perServing, partial };
+      });
+      return { id:'recipe_nutrition', title:'Recipe Nutrition', recipes: out };
+    }
+
+    // ------- Recipe scores -------
+    function fieldCell(field, key){
+      const f = State.files.get(field.file);
+      const col = f && f.headers.get(squashHeader(field.column));
+      const row = col && f.byKey.get(key);
+      return row ? { row, value: row[col] } : null;
+    }
+
+    // Reference servings an ingredient amount makes (1 when the amount is missing or not comparable)
+    function portionsOf(ing, key){
+      const ref = Quantity && Quantity.scaleToServing(ing, servingFor(null, key));
+      return ref ? ref.factor : 1;
+    }
+
+    // One bp-scoring.js item per recipe ingredient, with per-serving amounts scaled to the recipe amount
+    function scoringItem(ing){
+      const key = lookupKey(ing.name);
+      const factorFor = file => { const s = Quantity && Quantity.scaleToServing(ing, servingFor({file}, key)); return s ? s.factor : 1; };
+      const item = { name: State.dataByKey.has(key) ? displayNameFor(key) : ing.name, portions: portionsOf(ing, key) };
+      for (const [name, field] of Object.entries(SCORING_FIELDS)){
+        const cell = fieldCell(field, key);
+        if (field.type==='flag'){ item[name] = cell ? isFlagOn(cell.value) : undefined; continue; }
+        if (field.type==='text'){ item[name] = cell ? clean(cell.value) : ''; continue; }
+        const n = cell ? toNumber(cell.value) : NaN;
+        item[name] = isFinite(n) ? (field.type==='amount' ? n * factorFor(field.file) : n) : null;
+      }
+      // Available carbs per serving follow from GL = GI × carbs / 100
+      const gl = fieldCell(SCORING_FIELDS.gl, key), gi = item.gi;
+      const glPerServing = gl ? toNumber(gl.value) : NaN;
+      item.carbs = (isFinite(glPerServing) && gi > 0) ? glPerServing * 100 / gi * factorFor(SCORING_FIELDS.gl.file) : (gi===0 ? 0 : null);
+      return item;
+    }
+
+    function buildRecipeScores(recipes, goals){
+      if (!Scoring || !recipes.length) return null;
+      const out = recipes.map(recipe=>{
+        const score = Scoring.scoreRecipe(recipe.ingredients.map(scoringItem), recipe.servings);
+        return { title: recipe.title, servings: recipe.servings, score, verdicts: Scoring.evaluateGoals(goals||[], score) };
+      });
+      return { id:'recipe_scores', title:'Glycemic & Inflammation Scores', goals: goals||[], recipes: out };
+    }
+
+    // ------- Diet adherence -------
+    function categoryOf(key){
+      const f = State.files.get(CATEGORY_SOURCE.file);
+      const col = f && f.headers.get(squashHeader(CATEGORY_SOURCE.column));
+      const row = col && f.byKey.get(key);
+      return row ? clean(row[col]) : '';
+    }
+
+    // days: [{ label, recipes }]; each recipe counts as one serving eaten, so an ingredient's
+    // reference servings are divided by the recipe's servings
+    function buildAdherence(days){
+      if (!Adherence || !State.dietRules || !State.dietRules.diets.length) return null;
+      const planDays = days.map(d=>({
+        label: d.label,
+        foods: d.recipes.flatMap(r=>r.ingredients.map(ing=>{
+          const key = lookupKey(ing.name);
+          return { name: State.dataByKey.has(key) ? displayNameFor(key) : ing.name, category: categoryOf(key), servings: portionsOf(ing, key) / r.servings };
+        }))
+      }));
+      const diets = Adherence.scorePlan(State.dietRules, State.dietComponents, planDays);
+      return { id:'diet_adherence', title:'Diet Adherence (MIND · Mediterranean · MODERN)', days: planDays.map(d=>d.label), diets };
+    }
+
+    // ------- Micronutrient coverage -------
+    // Target nutrients: one per micronutients_list.csv row the vocabulary recognizes (plus omega-3), with that row's text
+    function nutrientTargets(){
+      const f = State.files.get(NUTRIENT_LIST.file);
+      const col = name => f && f.headers.get(squashHeader(name));
+      const rows = f ? f.rows.filter(r=>clean(r[f.keyCol])).map(r=>({
+        name: clean(r[f.keyCol]),
+        benefit: col(NUTRIENT_LIST.benefit) ? clean(r[col(NUTRIENT_LIST.benefit)]) : '',
+        amount: col(NUTRIENT_LIST.amount) ? clean(r[col(NUTRIENT_LIST.amount)]) : '',
+        foods: col(NUTRIENT_LIST.foods) ? clean(r[col(NUTRIENT_LIST.foods)]) : ''
+      })) : [];
+      return Nutrients.targetsFrom(rows);
+    }
+
+    // Nutrient ids an ingredient's compound lists name, across every NUTRIENT_TEXT_SOURCES column
+    function nutrientIdsFor(key){
+      const text = NUTRIENT_TEXT_SOURCES.map(field=>{ const cell = fieldCell(field, key); return cell ? clean(cell.value) : ''; }).join('; ');
+      return Nutrients.parseCompounds(text);
+    }
+
+    // columns: [{ label, names }] — one per day, recipe or ingredient list; names are ingredient names as written
+    function buildCoverage(columns){
+      if (!Nutrients) return null;
+      const targets = nutrientTargets();
+      const out = columns.map(c=>{
+        const keys = Array.from(new Set(c.names.map(lookupKey).filter(k=>State.dataByKey.has(k))));
+        const items = keys.map(key=>({ name: displayNameFor(key), ids: nutrientIdsFor(key) }));
+        return Object.assign({ label: c.label }, Nutrients.coverage(items, targets));
+      });
+      return { id:'micronutrient_coverage', title:'Micronutrient Coverage', targets, columns: out };
+    }
+
+    // ------- Recipe validation -------
+    // settings_global.csv: whitelist = files whose join column lists every allowed ingredient ("main.csv|categories.csv");
+    // whitelist_exempt = basics allowed without a catalog row ("water|salt|black pepper")
+    const splitSetting = name => clean(State.settings[name]).split('|').map(clean).filter(Boolean);
+    function whitelistFiles(){ return splitSetting('whitelist'); }
+
+    function inWhitelist(key){
+      const files = whitelistFiles();
+      if (!files.length) return true;
+      return files.some(file=>{ const f = State.files.get(file); return f && f.byKey.has(key); });
+    }
+
+    // An exclusion group (e.g. "Dairy") covers the foods listed under it and every food sharing their categories.csv category
+    function exclusionIndex(exclusions, groups){
+      return (exclusions||[]).map(group=>{
+        const keys = new Set(), categories = new Set();
+        for (const food of (groups && groups[group]) || []){
+          if (/^GPT CHOO?S/i.test(food)) continue;
+          const key = lookupKey(food);
+          keys.add(key);
+          const cat = categoryOf(key);
+          if (cat) categories.add(cat.toLowerCase());
+        }
+        return { group, keys, categories };
+      });
+    }
+
+    // The category a profile's group rules go by: the ingredient's own, or for a name the catalog does not map, its best
+    // fuzzy candidate's ("aged edam" has no row, but its best candidate is Edam Cheese)
+    function ruleCategory(key, name){
+      if (State.dataByKey.has(key)) return categoryOf(key);
+      const best = resolveName(name).candidates[0];
+      return best ? categoryOf(best.key) : '';
+    }
+
+    const overLimit = (item, max) => Object.keys(max).some(m=>item[m]!=null && item[m] > max[m]);
+
+    // A client profile (bp-profiles.js) → (key, name) → the reasons it rules the ingredient out ([] when allowed); null
+    // without a profile. Name rules see the name as written and the catalog name; group rules work like exclusions,
+    // on ruleCategory; a diet flag rule (MIND / Mediterranean / DASH) rules out foods whose diet_tool.csv column is
+    // there but not ✓; a diet limit (Low GI / Keto) rules out foods whose reference serving goes over it.
+    function profileCheck(profile, groups){
+      const rules = Profiles && profile ? Profiles.rulesFor(profile) : [];
+      if (!rules.length) return null;
+      const byGroup = rules.map(rule=>exclusionIndex(rule.groups, groups));
+      return (key, name)=>{
+        const known = State.dataByKey.has(key);
+        const names = [name, known ? displayNameFor(key) : ''];
+        const category = ruleCategory(key, name).toLowerCase();
+        return rules.filter((rule, i)=>{
+          if (Profiles.nameMatches(rule, names)) return true;
+          if (byGroup[i].some(x=>x.keys.has(key) || (category && x.categories.has(category)))) return true;
+          if (rule.max && known && overLimit(swapItem(key), rule.max)) return true;
+          const cell = rule.flag && known && fieldCell(SCORING_FIELDS[rule.flag], key);
+          return !!cell && !isFlagOn(cell.value);
+        }).map(rule=>rule.reason);
+      };
+    }
+
+    // recipes: structured recipes; opts: { exclusions:[group], groups:{ group:[foods] }, include:[foods], profile }
+    // → { ok, violations:[{ recipe, ingredient, key, type:'excluded'|'not_whitelisted'|'profile', reason }], missing:[foods], allowed:[names] }
+    function validateRecipes(recipes, opts){
+      opts = opts || {};
+      const excluded = exclusionIndex(opts.exclusions, opts.groups);
+      const blocked = profileCheck(opts.profile, opts.groups);
+      const profileName = blocked && Profiles.normalizeProfile(opts.profile).name;
+      const exempt = new Set(splitSetting('whitelist_exempt').map(normalize));
+      const violations = [], used = new Set();
+      for (const r of recipes||[]){
+        for (const ing of r.ingredients||[]){
+          const name = String(ing.name||'').trim();
+          if (!name) continue;
+          const key = lookupKey(name);
+          used.add(key);
+          const category = categoryOf(key).toLowerCase();
+          const hit = excluded.find(x=>x.keys.has(key) || (category && x.categories.has(category)));
+          if (hit){
+            violations.push({ recipe:r.title, ingredient:name, key, type:'excluded', reason:`in the excluded category "${hit.group}"` });
+          } else if (!exempt.has(normalize(name)) && !inWhitelist(key)){
+            violations.push({ recipe:r.title, ingredient:name, key, type:'not_whitelisted', reason:`not in the ingredient catalog (${whitelistFiles().join(', ')})` });
+          }
+          const reasons = blocked ? blocked(key, name) : [];
+          if (reasons.length) violations.push({ recipe:r.title, ingredient:name, key, type:'profile', reason:`ruled out by the ${profileName} profile: ${reasons.join(', ')}` });
+        }
+      }
+      const missing = (opts.include||[]).filter(food=>!used.has(lookupKey(food)));
+      const allowed = new Set();
+      for (const file of whitelistFiles()){
+        const f = State.files.get(file);
+        if (!f) continue;
+        for (const key of f.byKey.keys()){
+          const category = categoryOf(key).toLowerCase();
+          if (excluded.some(x=>x.keys.has(key) || (category && x.categories.has(category)))) continue;
+          if (blocked && blocked(key, displayNameFor(key)).length) continue;
+          allowed.add(displayNameFor(key));
+        }
+      }
+      return { ok: !violations.length, violations, missing, allowed: Array.from(allowed) };
+    }
+
+    // ------- Ingredient swaps -------
+    // One reference serving of an ingredient, with its category, for bp-substitute.js and the profile diet limits
+    // (memoized: the data does not change)
+    const swapItems = new Map();
+    function swapItem(key){
+      if (!swapItems.has(key)){
+        const item = scoringItem({ name: displayNameFor(key), quantity:null, unit:'' });
+        swapItems.set(key, Object.assign(item, { key, category: categoryOf(key) }));
+      }
+      return swapItems.get(key);
+    }
+
+    // Swap candidates: every categorized catalog ingredient outside the excluded groups
+    function swapCandidates(isExcluded){
+      const f = State.files.get(CATEGORY_SOURCE.file);
+      if (!f) return [];
+      return Array.from(f.byKey.keys()).filter(key=>State.dataByKey.has(key) && categoryOf(key) && inWhitelist(key) && !isExcluded(key)).map(swapItem);
+    }
+
+    // Flags each recipe ingredient that breaks an exclusion or the whitelist, is a culprit of a warn/fail goal check
+    // (bp-substitute.js GOAL_METRICS), or is neither a MIND nor a Mediterranean food, and ranks up to 3 swaps for it.
+    // Ingredients a client profile rules out are flagged too, and no suggestion breaks the profile.
+    // recipes: as scored; recipeScores: their buildRecipeScores result; opts: { exclusions, groups, profile }
+    // → { id, title, recipes (count), issues:[{ recipe, recipeIndex, ingredient, key, reasons, metrics, suggestions:[{ key, name, category, score, sameCategory, changes, protein, fiber }] }] }
+    function buildSubstitutions(recipes, recipeScores, opts){
+      if (!Substitute || !recipes.length) return null;
+      const excluded = exclusionIndex(opts.exclusions, opts.groups);
+      const excludedBy = key => { const c = categoryOf(key).toLowerCase(); return excluded.find(x=>x.keys.has(key) || (c && x.categories.has(c))); };
+      const exempt = new Set(splitSetting('whitelist_exempt').map(normalize));
+      const blocked = profileCheck(opts.profile, opts.groups);
+      const candidates = swapCandidates(key=>!!excludedBy(key) || !!(blocked && blocked(key, displayNameFor(key)).length));
+      const issues = [];
+      recipes.forEach((r, recipeIndex)=>{
+        const verdicts = (recipeScores && recipeScores.recipes[recipeIndex] && recipeScores.recipes[recipeIndex].verdicts) || [];
+        const used = new Set(r.ingredients.map(i=>lookupKey(i.name)));
+        for (const ing of r.ingredients){
+          const key = lookupKey(ing.name);
+          if (!key || exempt.has(normalize(ing.name))) continue;
+          const known = State.dataByKey.has(key);
+          const name = known ? displayNameFor(key) : ing.name;
+          const item = known ? swapItem(key) : { key, name, category:'' };
+          const reasons = [], metrics = new Set();
+          let crossCategory = false;
+          const hit = excludedBy(key);
+          if (hit){ reasons.push(`in the excluded category "${hit.group}"`); crossCategory = true; }
+          else if (!inWhitelist(key)){ reasons.push('not in the ingredient catalog'); crossCategory = true; }
+          const ruledOut = blocked ? blocked(key, ing.name) : [];
+          if (ruledOut.length){ reasons.push(`client profile: ${ruledOut.join(', ')}`); crossCategory = true; }
+          for (const v of verdicts){
+            if ((v.verdict==='warn' || v.verdict==='fail') && Substitute.GOAL_METRICS[v.goal] && v.culprits.includes(name)){
+              reasons.push(`${v.goal}: ${v.verdict}`);
+              Substitute.GOAL_METRICS[v.goal].forEach(m=>metrics.add(m));
+            }
+          }
+          if (item.mind===false && item.mediterranean===false){ reasons.push('neither a MIND nor a Mediterranean food'); metrics.add('mind'); metrics.add('mediterranean'); }
+          if (!reasons.length) continue;
+          const ranked = Substitute.rank(item, candidates.filter(c=>!used.has(c.key)), { metrics:[...metrics], crossCategory });
+          issues.push({
+            recipe: r.title, recipeIndex, ingredient: ing.name, key, reasons, metrics:[...metrics],
+            suggestions: ranked.map(x=>({ key:x.item.key, name:x.item.name, category:x.item.category, score:x.score, sameCategory:x.sameCategory, changes:x.changes, protein:x.item.protein, fiber:x.item.fiber }))
+          });
+        }
+      });
+      return { id:'substitutions', title:'Ingredient Swaps', recipes: recipes.length, issues };
+    }
+
+    // recipes → { groups:[{ category, items:[{ key, name, amount, recipes:[titles] }] }] }
+    // The same ingredient (after lookupKey: synonyms, aliases and confident fuzzy matches) is merged across recipes; amounts in one dimension are summed,
+    // amounts that cannot be converted into each other are listed side by side ("2 cups + 100 g").
+    function buildShoppingList(recipes){
+      const byKey = new Map();
+      for (const r of recipes){
+        for (const ing of r.ingredients){
+          const key = lookupKey(ing.name);
+          if (!key) continue;
+          if (!byKey.has(key)) byKey.set(key, { key, name: State.dataByKey.has(key) ? displayNameFor(key) : ing.name, totals:new Map(), imperial:true, asNeeded:false, recipes:new Set() });
+          const entry = byKey.get(key);
+          entry.recipes.add(r.title);
+          const base = Quantity && Quantity.toBase(ing.quantity, ing.unit);
+          if (!base){ entry.asNeeded = true; continue; }
+          entry.totals.set(base.dim, (entry.totals.get(base.dim)||0) + base.value);
+          if (base.dim==='mass' && !/^(oz|lb)$/.test(ing.unit)) entry.imperial = false;
+        }
+      }
+      const groups = new Map();
+      for (const entry of byKey.values()){
+        const parts = Array.from(entry.totals, ([dim, base])=>formatTotal(dim, base, entry.imperial));
+        const amount = parts.join(' + ') + (entry.asNeeded ? (parts.length ? ', plus extra to taste' : 'as needed') : '');
+        const category = categoryOf(entry.key) || 'Other';
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push({ key: entry.key, name: entry.name, amount, recipes: Array.from(entry.recipes) });
+      }
+      const out = Array.from(groups, ([category, items])=>({ category, items: items.sort((a,b)=>a.name.localeCompare(b.name)) }));
+      out.sort((a,b)=> (a.category==='Other') - (b.category==='Other') || a.category.localeCompare(b.category));
+      return { groups: out };
+    }
+
+    async function loadDietRules(){
+      if (!Adherence) return;
+      const rows = [];
+      for (const file of DIET_RULE_FILES){
+        try{ rows.push(...await readCsv(file)); }
+        catch(e){ State.mappingIssues.push(`${file} not loaded: ${e.message}`); }
+      }
+      State.dietRules = Adherence.compileRules(rows);
+      State.mappingIssues.push(...State.dietRules.issues);
+      try{ State.dietComponents = Adherence.compileComponents(await readCsv(DIET_COMPONENTS_FILE)); }
+      catch(e){ State.dietComponents = new Map(); State.mappingIssues.push(`${DIET_COMPONENTS_FILE} not loaded: ${e.message}`); }
+      for (const diet of State.dietRules.diets){
+        const unmapped = diet.components.filter(c=>!State.dietComponents.has(Adherence.componentKey(c.component)));
+        if (unmapped.length) State.mappingIssues.push(`${diet.name}: no food mapping for ${unmapped.map(c=>c.component).join(', ')} in ${DIET_COMPONENTS_FILE}`);
+      }
+    }
+
+    // name → the canonical record { key, display, values, sources:{ column:[file, row] }, conflicts:{ column:[[file, row, value]] } },
+    // or null when unmapped
+    function getRecord(name){
+      const key = lookupKey(name);
+      const rec = key && State.records[key];
+      return rec ? { key, display:rec.display, values:Object.assign({}, rec.values), sources:Object.assign({}, rec.sources), conflicts:Object.assign({}, rec.conflicts) } : null;
+    }
+
+    // `name` is looked up as `key` from now on (an accepted diagnostics suggestion; the page keeps them in localStorage)
+    function addAlias(name, key){
+      if (!State.dataByKey.has(key)) throw new Error(`Unknown ingredient key "${key}".`);
+      addSynonym(name, key);
+      State.resolved.clear();
+    }
+
+    // Which of the names a client profile rules out: → { name: [reasons] } for the ruled-out names only
+    function checkProfile(names, profile, groups){
+      const blocked = profileCheck(profile, groups);
+      const out = {};
+      if (!blocked) return out;
+      for (const name of names||[]){
+        const reasons = blocked(lookupKey(name), name);
+        if (reasons.length) out[name] = reasons;
+      }
+      return out;
+    }
+
+    // ingredients, opts: as BP.renderTables (nutrition-tables.js) takes them → { resolved, model }: the requested names
+    // with their resolveName results (unmapped ones included), and the record model, or null when none has data
+    function build(ingredients, opts){
+      opts = opts || {};
+      const items = (ingredients||[]).map(toItem).filter(i=>i.name);
+      const days = (opts.days||[]).map((d,i)=>({ label: d.label || `Day ${i+1}`, recipes: (d.recipes||[]).map(toRecipe) }));
+      const recipes = days.length ? days.flatMap(d=>d.recipes) : (opts.recipes||[]).map(toRecipe);
+      if (!recipes.length && items.some(i=>i.quantity!=null)){
+        recipes.push({ title: opts.title || 'Recipe', servings: Math.max(1, Number(opts.servings)||1), ingredients: items });
+      }
+      const names = Array.from(new Set(items.length ? items.map(i=>i.name) : recipes.flatMap(r=>r.ingredients.map(i=>i.name))));
+      const resolved = names.map(name=>Object.assign({ name }, resolveName(name))).filter(r=>r.key);
+      const keys = Array.from(new Set(resolved.map(r=>r.key)));
+      if (!keys.some(k=>State.dataByKey.has(k))) return { resolved, model:null };
+
+      // Five tables, in mapping order: Nutrition; Cognitive & Other; Diet Compatibility; Microbiome; Micronutrients
+      const tables = buildTables(keys);
+      const recipeNutrition = buildRecipeNutrition(recipes, tables.find(t=>t.id==='nutrition'));
+      // A plain ingredient list is scored as one dish of one serving each
+      const scored = recipes.length ? recipes : [{ title:'Selected ingredients (1 serving each)', servings:1, ingredients: items }];
+      const recipeScores = buildRecipeScores(scored, opts.goals);
+      const adherence = buildAdherence(days.length ? days : [{ label: opts.dayLabel || 'Today', recipes: scored }]);
+      // Coverage per day of a plan, per recipe, or for the ingredient list as a whole
+      const ingredientNames = r => r.ingredients.map(i=>i.name);
+      const coverage = buildCoverage(days.length ? days.map(d=>({ label: d.label, names: d.recipes.flatMap(ingredientNames) }))
+        : recipes.length ? recipes.map(r=>({ label: r.title, names: ingredientNames(r) }))
+        : [{ label:'Selected ingredients', names }]);
+      const substitutions = buildSubstitutions(scored, recipeScores, opts);
+      // request: the call's own inputs, so a saved result can be rendered again (see bp-export.js); only the groups the
+      // exclusions and the profile refer to are kept
+      const profile = Profiles && opts.profile ? Profiles.normalizeProfile(opts.profile) : null;
+      const usedGroups = (opts.exclusions||[]).concat(profile ? Profiles.rulesFor(profile).flatMap(r=>r.groups) : []);
+      const groups = usedGroups.length && opts.groups ? Object.fromEntries(usedGroups.filter(g=>opts.groups[g]).map(g=>[g, opts.groups[g]])) : undefined;
+      const request = { ingredients: ingredients||[], recipes: opts.recipes||null, days: opts.days||null, goals: opts.goals||[], exclusions: opts.exclusions||[], groups, profile, servings: opts.servings, title: opts.title, content: opts.content };
+      return { resolved, model:{ ingredients: ingredients||[], recipes, keys, tables, recipeNutrition, recipeScores, adherence, coverage, substitutions, request } };
+    }
+
+    await loadSettings(); await loadAllCSVs(); await loadMappings(); await loadDietRules();
+    for (const [name, key] of Object.entries(opts.aliases||{})) addSynonym(name, key);
+
+    return {
+      get index(){ return State.index; },
+      get loadError(){ return State.loadError; },
+      get mappingIssues(){ return State.mappingIssues; },
+      get loadNotes(){ return State.loadNotes; },
+      get mappings(){ return State.mappings; },
+      files: () => Array.from(csvCache.keys()), // every file name read or tried, for the data check
+      has: key => State.dataByKey.has(key),
+      displayNameFor, canonicalize: canonicalizeName, resolveName, lookupKey, getRecord, addAlias,
+      build, validateRecipes, checkProfile,
+      buildShoppingList: recipes => buildShoppingList((recipes||[]).map(toRecipe))
+    };
+  }
+
+  // Ingredients from a free-text recipe (best-effort fallbacks)
+  // {withQuantities:true} keeps the amounts: [{ quantity, unit, name, raw }] (one item per line)
+  function deriveIngredients(recipeText, opts){
+    if (!recipeText) return [];
+    const withQuantities = !!(opts && opts.withQuantities);
+    // naive: split by newlines (and commas when only names are wanted); trim; drop empties
+    const parts = String(recipeText).split(withQuantities ? /\n/ : /\n|,/).map(s=>s.trim()).filter(Boolean);
+    if (withQuantities) return parts.map(toItem).filter(i=>i.name);
+    // remove quantities (e.g., "1 cup spinach" -> "spinach")
+    return parts.map(s=>{
+      if (Quantity) return Quantity.parseIngredientLine(s).name;
+      return s.replace(/^[-*\d\/.+\s]*(cup|cups|tbsp|tsp|oz|ounce|ounces|g|gram|grams|ml|cl|l|pound|lb|lbs)?\b/gi,'').trim();
+    }).filter(Boolean);
+  }
+
+  return {
+    SETTINGS_FILE, MAPPING_FILES, DIET_RULE_FILES, DIET_COMPONENTS_FILE, INDIRECT_FILES, TABLE_TITLES, TOTAL_COLUMNS,
+    loadCore, toItem, toRecipe, swapLine, deriveIngredients
+  };
+});
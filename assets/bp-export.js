@@ -0,0 +1,228 @@
+/* BrainPreserve – Exports (handout, CSV/XLSX, JSON bundle)
+ * Drop-in file: /assets/bp-export.js (load after nutrition-tables.js)
+ * Exposes window.BP.export in the browser; module.exports under Node (the row and CSV builders need no DOM).
+ *
+ * What it does
+ * 1) Turns the last result (BP.lastTables, the record model the tables are rendered from) into plain rows per table,
+ *    Total / Per serving rows included
+ * 2) Downloads one table as CSV, or every table as one XLSX workbook (SheetJS, vendored under /assets/vendor, is
+ *    loaded on first use)
+ * 3) Prints a handout: recipes, coaching notes and all tables, styled for paper (use "Save as PDF" for a PDF)
+ * 4) Saves a JSON bundle and re-imports it: the bundle keeps the original BP.renderTables inputs, so importing
+ *    renders the same result again from the current datasets (BP.export.renderRequest; the history uses it too)
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(root);
+  else (root.BP || (root.BP = {})).export = factory(root);
+})(typeof self !== 'undefined' ? self : this, function(root){
+  'use strict';
+
+  const BUNDLE_FORMAT = 'brainpreserve-result';
+  const BUNDLE_VERSION = 1;
+  // SheetJS 0.20.3 mini build (XLSX read/write; the 0.18.x on the npm registry has CVE-2023-30533 and CVE-2024-22363)
+  const XLSX_URL = '/assets/vendor/xlsx-0.20.3.mini.min.js';
+  const XLSX_INTEGRITY = 'sha384-NG/W3xvO3ynQEcDQYIOcZTXRtwUs83cLv1FIl9PuqWPDuNhsMRF6wutlNLFwlb71';
+
+  // ------- Record model → rows -------
+  function current(){
+    const model = root.BP && root.BP.lastTables;
+    if (!model) throw new Error('Nothing to export yet: generate recipes or render the tables first.');
+    return model;
+  }
+
+  const round = v => (typeof v==='number' && isFinite(v)) ? Math.round(v*100)/100 : v;
+  const cellValue = v => (v==null || (typeof v==='number' && !isFinite(v))) ? '' : round(v); // unmapped ingredients carry NaN
+
+  // → [{ id, title, headers, rows:[[...cells]] }] — the five tables, then the recipe / score / adherence / coverage cards
+  function exportTables(model){
+    model = model || current();
+    const out = [];
+    for (const t of model.tables||[]){
+      const rows = t.rows.map(r=>r.cells.map(cellValue));
+      if (t.totals) rows.push(t.totals.map(cellValue));
+      out.push({ id:t.id, title:t.title, headers:t.headers, rows });
+    }
+    for (const r of (model.recipeNutrition && model.recipeNutrition.recipes) || []){
+      const rows = r.rows.map(x=>x.cells.map(cellValue));
+      rows.push(r.total.map(cellValue), r.perServing.map(cellValue));
+      out.push({ id:`recipe_nutrition:${r.title}`, title:`Recipe Nutrition – ${r.title}`, headers:r.headers, rows });
+    }
+    if (model.recipeScores){
+      out.push({
+        id:'recipe_scores', title:model.recipeScores.title,
+        headers:['Recipe','Servings','GI (carb-weighted)','GL (recipe)','GL / serving','DII (portion-weighted)','kcal / serving','Goal checks'],
+        rows: model.recipeScores.recipes.map(r=>[
+          r.title, r.servings, cellValue(r.score.gi), cellValue(r.score.glTotal), cellValue(r.score.glPerServing), cellValue(r.score.dii), cellValue(r.score.caloriesPerServing),
+          r.verdicts.map(v=>`${v.goal}: ${v.verdict}`).join('; ')
+        ])
+      });
+    }
+    if (model.adherence){
+      const rows = [];
+      for (const d of model.adherence.diets){
+        for (const c of d.week.components) rows.push([d.diet, c.component, c.category, c.recommended, `${cellValue(c.intake)} / ${c.period}`, c.points, c.max]);
+        rows.push([d.diet, 'Total', '', '', '', d.week.score, d.week.max]);
+      }
+      out.push({ id:'diet_adherence', title:model.adherence.title, headers:['Diet','Component','Category','Recommended','Intake (servings)','Points','Max'], rows });
+    }
+    if (model.coverage){
+      const c = model.coverage;
+      out.push({
+        id:c.id, title:c.title, headers:['Nutrient','Daily target','Cognitive benefit', ...c.columns.map(x=>x.label)],
+        rows: c.targets.map(t=>[t.name, t.amount, t.benefit, ...c.columns.map(x=>(x.covered[t.id] || []).join(', ') || 'missing')])
+      });
+    }
+    return out;
+  }
+
+  // ------- CSV / XLSX -------
+  function csvField(v){
+    const s = String(v==null ? '' : v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+  }
+  function toCSV(table){
+    return [table.headers, ...table.rows].map(r=>r.map(csvField).join(',')).join('\r\n');
+  }
+
+  const fileSlug = s => String(s||'table').toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/^-|-$/g,'') || 'table';
+  const stamp = () => new Date().toISOString().slice(0,10);
+
+  function download(filename, data, type){
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  }
+
+  function downloadCSV(tableId){
+    const table = exportTables().find(t=>t.id===tableId);
+    if (!table) throw new Error(`No table "${tableId}" in the current result.`);
+    // BOM so spreadsheet apps open the ✓ / ≥ characters as UTF-8
+    download(`brainpreserve-${fileSlug(table.title)}-${stamp()}.csv`, '\ufeff' + toCSV(table), 'text/csv;charset=utf-8');
+  }
+
+  let xlsxLoading = null;
+  function loadXLSX(){
+    if (root.XLSX) return Promise.resolve(root.XLSX);
+    if (!xlsxLoading){
+      xlsxLoading = new Promise((resolve, reject)=>{
+        const s = document.createElement('script');
+        s.src = XLSX_URL;
+        s.integrity = XLSX_INTEGRITY;
+        s.onload = ()=> root.XLSX ? resolve(root.XLSX) : reject(new Error('XLSX library did not load.'));
+        s.onerror = ()=>{ xlsxLoading = null; reject(new Error(`Could not load ${XLSX_URL}`)); };
+        document.head.appendChild(s);
+      });
+    }
+    return xlsxLoading;
+  }
+
+  // Sheet names: ≤31 chars, no []:*?/\ and unique within the workbook
+  function sheetName(title, used){
+    const base = String(title).replace(/[\[\]:*?/\\]/g,' ').replace(/\s+/g,' ').trim().slice(0,31) || 'Sheet';
+    let name = base, n = 2;
+    while (used.has(name.toLowerCase())){ const suffix = ` (${n++})`; name = base.slice(0, 31-suffix.length) + suffix; }
+    used.add(name.toLowerCase());
+    return name;
+  }
+
+  async function downloadXLSX(){
+    const tables = exportTables();
+    const XLSX = await loadXLSX();
+    const wb = XLSX.utils.book_new(), used = new Set();
+    for (const t of tables) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([t.headers, ...t.rows]), sheetName(t.title, used));
+    const data = XLSX.write(wb, { bookType:'xlsx', type:'array' });
+    download(`brainpreserve-tables-${stamp()}.xlsx`, new Blob([data], { type:'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }));
+  }
+
+  // ------- JSON bundle -------
+  function bundle(){
+    const model = current();
+    return { format:BUNDLE_FORMAT, version:BUNDLE_VERSION, exportedAt:new Date().toISOString(), request:model.request, tables:exportTables(model) };
+  }
+
+  function downloadJSON(){
+    download(`brainpreserve-result-${stamp()}.json`, JSON.stringify(bundle(), null, 2), 'application/json');
+  }
+
+  // Renders a saved request (BP.lastTables.request) again from the current datasets; resolves to the new BP.lastTables
+  function renderRequest(req){
+    return root.BP.renderTables(req.ingredients||[], { recipes:req.recipes||undefined, days:req.days||undefined, goals:req.goals||[], exclusions:req.exclusions||[], groups:req.groups, profile:req.profile||undefined, servings:req.servings, title:req.title, content:req.content });
+  }
+
+  // Accepts a bundle object, its JSON text or a File; re-renders the tables and resolves to the bundle
+  async function importBundle(input){
+    let text = input;
+    if (input && typeof input.text === 'function') text = await input.text();
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!data || data.format !== BUNDLE_FORMAT || !data.request) throw new Error('Not a BrainPreserve result bundle.');
+    if (data.version > BUNDLE_VERSION) throw new Error(`Bundle version ${data.version} is newer than this page supports (${BUNDLE_VERSION}).`);
+    await renderRequest(data.request);
+    return data;
+  }
+
+  // ------- Printable handout -------
+  const esc = s => String(s==null ? '' : s).replace(/[&<>"]/g, c=>({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;' }[c]));
+  const fmtQty = q => q==null ? '' : String(Math.round(q*100)/100);
+
+  function recipeHTML(r){
+    const ing = (r.ingredients||[]).map(i=>`<li>${esc([fmtQty(i.quantity), i.unit, i.name].filter(Boolean).join(' '))}</li>`).join('');
+    const steps = (r.steps||[]).map(s=>`<li>${esc(s)}</li>`).join('');
+    const notes = (r.coaching_notes||[]).map(n=>`<li>${esc(n)}</li>`).join('');
+    return `<section class="recipe"><h2>${esc(r.title)}</h2><p class="muted">Serves ${esc(r.servings)}</p>`
+      + `<div class="cols"><div><h3>Ingredients</h3><ul>${ing}</ul></div>${steps ? `<div><h3>Steps</h3><ol>${steps}</ol></div>` : ''}</div>`
+      + (notes ? `<h3>Coaching notes</h3><ul>${notes}</ul>` : '') + '</section>';
+  }
+
+  function tableHTML(t){
+    const head = t.headers.map(h=>`<th>${esc(h)}</th>`).join('');
+    const body = t.rows.map(r=>`<tr>${r.map(c=>`<td>${esc(c)}</td>`).join('')}</tr>`).join('');
+    return `<section class="table"><h2>${esc(t.title)}</h2><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></section>`;
+  }
+
+  function handoutHTML(model){
+    const req = model.request || {};
+    const days = req.days || null;
+    let recipes = '';
+    if (days) recipes = days.map(d=>`<h2 class="day">${esc(d.label)}</h2>${(d.recipes||[]).map(recipeHTML).join('')}`).join('');
+    else if (req.recipes) recipes = req.recipes.map(recipeHTML).join('');
+    else if (req.content) recipes = `<section class="recipe"><pre>${esc(req.content)}</pre></section>`;
+    const goals = (req.goals||[]).length ? `<p class="muted">Goals: ${esc(req.goals.join(', '))}</p>` : '';
+    return `<!doctype html><html><head><meta charset="utf-8"><title>BrainPreserve – Meal handout</title><style>
+      body{font:12px/1.45 system-ui,Segoe UI,Roboto,Arial,sans-serif;color:#111;margin:24px}
+      h1{font-size:20px;margin:0 0 4px} h2{font-size:15px;margin:18px 0 6px} h3{font-size:13px;margin:10px 0 4px}
+      .muted{color:#555;margin:0 0 6px} .cols{display:flex;gap:24px} .cols > div{flex:1}
+      ul,ol{margin:0;padding-left:18px} pre{white-space:pre-wrap;font:inherit}
+      table{width:100%;border-collapse:collapse;font-size:10.5px} th,td{border:1px solid #ccc;padding:3px 5px;text-align:left;vertical-align:top}
+      thead{background:#f3f4f6} tbody tr:last-child td{font-weight:600}
+      .recipe{page-break-inside:avoid} .day{page-break-before:always} .day:first-of-type{page-break-before:auto}
+      .tables{page-break-before:always} .table{page-break-inside:avoid}
+      @page{margin:14mm}
+    </style></head><body>
+      <h1>Brain-healthy meals</h1><p class="muted">Prepared ${esc(new Date().toLocaleDateString())}</p>${goals}
+      ${recipes}
+      <div class="tables">${exportTables(model).map(tableHTML).join('')}</div>
+      <p class="muted">Nutrition values come from the BrainPreserve datasets and are estimates per reference serving unless noted.</p>
+    </body></html>`;
+  }
+
+  // Prints through a hidden iframe (no pop-up to block); the browser's print dialog offers "Save as PDF"
+  function printHandout(){
+    const html = handoutHTML(current());
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0';
+    document.body.appendChild(frame);
+    const doc = frame.contentWindow.document;
+    doc.open(); doc.write(html); doc.close();
+    setTimeout(()=>{
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(()=>frame.remove(), 1000);
+    }, 250);
+  }
+
+  return { BUNDLE_VERSION, exportTables, toCSV, downloadCSV, downloadXLSX, bundle, downloadJSON, renderRequest, importBundle, handoutHTML, printHandout };
+});
@@ -0,0 +1,129 @@
+/* BrainPreserve – Recipe history and favourites (IndexedDB)
+ * Drop-in file: /assets/bp-history.js — keeps each generation run, searchable and starrable, and compares recipe totals.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.BP || (root.BP = {})).history = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const DB_NAME = 'brainpreserve';
+  const DB_VERSION = 1;
+  const STORE = 'history';
+  const HISTORY_LIMIT = 200;
+
+  const isNum = v => typeof v === 'number' && isFinite(v);
+  const round = v => isNum(v) ? Math.round(v*100)/100 : null;
+
+  // run: { source, form, prompts, output, tables (BP.lastTables) } → an entry without id:
+  //   { createdAt, source:'custom'|'selections'|'plan', title, form, prompts:[{ role, content }], output,
+  //     keys:[ingredient keys], recipes:[titles], totals:[{ title, servings, columns, total, perServing }], request, favourite }
+  // Restoring an entry is BP.export.renderRequest(entry.request): the tables are rendered again from the current data.
+  function entryFrom(run){
+    const tables = run.tables || {};
+    const recipes = tables.recipes || [];
+    const nutrition = tables.recipeNutrition ? tables.recipeNutrition.recipes : [];
+    // Recipe Nutrition rows start with Ingredient, Amount, Reference serving, × Serving; the rest are summed columns
+    const totals = nutrition.map(r=>({
+      title: r.title, servings: r.servings, columns: r.headers.slice(4),
+      total: r.total.slice(4).map(round), perServing: r.perServing.slice(4).map(round)
+    }));
+    const titles = recipes.map(r=>r.title).filter(Boolean);
+    return {
+      createdAt: new Date().toISOString(),
+      source: run.source,
+      title: titles.length ? titles.join(' · ') : (tables.keys || []).slice(0, 5).join(', ') || 'Untitled',
+      form: run.form || null,
+      prompts: (run.prompts || []).map(m=>({ role: m.role, content: m.content })),
+      output: run.output || '',
+      keys: tables.keys || [],
+      recipes: titles,
+      totals,
+      request: tables.request || null,
+      favourite: false
+    };
+  }
+
+  // Every word of the query appears in the entry's titles, ingredients, goals, exclusions, custom text or prompts
+  function matches(entry, query){
+    const words = String(query||'').toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return true;
+    const form = entry.form || {};
+    const hay = [
+      entry.title, entry.source, ...(entry.recipes||[]), ...(entry.keys||[]),
+      ...(form.goals||[]), ...(form.exclusions||[]), form.custom, form.profile && form.profile.name,
+      ...(entry.prompts||[]).filter(m=>m.role==='user').map(m=>m.content)
+    ].filter(Boolean).join('\n').toLowerCase();
+    return words.every(w=>hay.includes(w));
+  }
+
+  // a, b: entry.totals items → [{ column, a, b, diff }] over the columns either has (per serving unless opts.total)
+  function compareTotals(a, b, opts){
+    const pick = opts && opts.total ? 'total' : 'perServing';
+    const valueOf = (t, column) => { const i = t.columns.indexOf(column); return i < 0 ? null : t[pick][i]; };
+    const columns = Array.from(new Set([...a.columns, ...b.columns]));
+    return columns.map(column=>{
+      const x = valueOf(a, column), y = valueOf(b, column);
+      return { column, a: x, b: y, diff: isNum(x) && isNum(y) ? round(y - x) : null };
+    });
+  }
+
+  // ------- IndexedDB -------
+  const promised = req => new Promise((resolve, reject)=>{
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // idb: an IDBFactory (indexedDB by default) → the store API below; rejects where IndexedDB is unavailable.
+  // Entries live in database DB_NAME, store STORE; the oldest non-favourites beyond HISTORY_LIMIT are dropped.
+  async function openHistory(idb){
+    idb = idb || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    if (!idb) throw new Error('IndexedDB is not available in this browser.');
+    const open = idb.open(DB_NAME, DB_VERSION);
+    open.onupgradeneeded = () => {
+      const store = open.result.createObjectStore(STORE, { keyPath:'id', autoIncrement:true });
+      store.createIndex('createdAt', 'createdAt');
+    };
+    const db = await promised(open);
+    const store = mode => db.transaction(STORE, mode).objectStore(STORE);
+
+    // Newest first; opts: { query, favourites }
+    async function list(opts){
+      opts = opts || {};
+      const all = await promised(store('readonly').getAll());
+      return all.filter(e=>(!opts.favourites || e.favourite) && matches(e, opts.query))
+        .sort((x, y)=>y.createdAt.localeCompare(x.createdAt) || y.id - x.id);
+    }
+
+    async function prune(){
+      const all = await list();
+      const drop = all.filter(e=>!e.favourite).slice(Math.max(0, HISTORY_LIMIT - all.filter(e=>e.favourite).length));
+      if (!drop.length) return;
+      const s = store('readwrite');
+      await Promise.all(drop.map(e=>promised(s.delete(e.id))));
+    }
+
+    // entry: entryFrom(...) → its new id
+    async function add(entry){
+      const id = await promised(store('readwrite').add(entry));
+      await prune();
+      return id;
+    }
+
+    const get = id => promised(store('readonly').get(id));
+
+    async function setFavourite(id, on){
+      const entry = await get(id);
+      if (!entry) throw new Error(`No history entry ${id}.`);
+      entry.favourite = !!on;
+      await promised(store('readwrite').put(entry));
+      return entry;
+    }
+
+    const remove = id => promised(store('readwrite').delete(id));
+
+    return { list, add, get, setFavourite, remove, close: () => db.close() };
+  }
+
+  return { DB_NAME, STORE, HISTORY_LIMIT, entryFrom, matches, compareTotals, openHistory };
+});
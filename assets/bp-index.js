@@ -0,0 +1,288 @@
+/* BrainPreserve – Ingredient index (shared data model)
+ * Drop-in file: /assets/bp-index.js (load before bp-core.js)
+ * Exposes window.BP.index in the browser; module.exports under Node (used by scripts/build-index.js).
+ *
+ * What it does
+ * 1) Declares the ingredient datasets (CSV_SOURCES), name normalization and the built-in synonyms
+ * 2) Parses CSV text the way the page's Papa Parse call does (header row, strings only, empty lines skipped,
+ *    duplicate headers renamed "name_1"), so the build and the browser see the same rows
+ * 3) Compiles the datasets into canonical records: one per ingredient key, first non-empty value per column,
+ *    where each value came from (file + data row, 1 = first row under the header), and the values later files
+ *    give for the same column when they disagree with it (conflicts)
+ * 4) Builds the versioned index the build step writes to /data/index.json:
+ *    { format, version, hash, settings, aliases, datasets, records, files }
+ *    `files` keeps every CSV as { headers, rows:[[cells]] } (tableRows turns it back into row objects), so mappings,
+ *    diet rules and settings load from the index too
+ *
+ * bp-core.js uses the same compileRecords on the live CSVs when no index is available (dev),
+ * so both paths end in the same model.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.BP || (root.BP = {})).index = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const FORMAT = 'brainpreserve-index';
+  const VERSION = 2; // 2: records carry conflicts
+
+  const DEFAULT_SETTINGS = { joinKey:'Foods' };
+  const DEFAULT_KEY_CANDIDATES = ['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name','Display','Display Name'];
+
+  // Datasets merged into the per-ingredient records, in priority order (earlier files win a column).
+  // If your files use different names, change them here; every file needs an ingredient key column
+  // (the joinKey in settings_global.csv, "Foods"/"Food", or one of keyCandidates).
+  const CSV_SOURCES = [
+    // ---- Aliases: Alias → Canonical (optional) ----
+    { name:'synonyms', file:'synonyms.csv', keyCandidates:['Alias','Synonym','Name'], expectAnyOf:['Canonical'], optional:true },
+
+    // ---- CORE NUTRITION (merged from multiple CSVs you already have) ----
+    { name:'main', file:'main.csv', keyCandidates:DEFAULT_KEY_CANDIDATES, expectAnyOf:[
+      'Serving Size (g)','ServingSize','Serving Size','Calories (kcal)','Calories','Fat (g)','Fat','Carbs (g)','Carbohydrates (g)','Carbohydrates','Protein (g)','Protein','Fiber (g)','Fiber','GI','GL','DII','Anti-Inflammatory Score','Key Micronutrients','Diet Tags','Microbiome Benefit Score'
+    ]},
+    { name:'protein', file:'protein.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name'], expectAnyOf:['Protein_per_Serving_(g)','Protein (g)','Protein'] },
+    { name:'fiber', file:'fiber.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name'], expectAnyOf:['Total Fiber (g)','Fiber (g)','Fiber'] },
+
+    // ---- GI / GL ----
+    { name:'gi_gl', file:'gi_gl.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name'], expectAnyOf:['Glycemic Index (GI)','Glycemic Load per Serving','GI','GL'] },
+
+    // ---- DII and Diet Compatibility come from diet_tool.csv in your repo ----
+    { name:'diet_tool', file:'diet_tool.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name'], expectAnyOf:[
+      'DII Score','✓MIND','✓Mediterranean','✓DASH','✓Microbiome-supporting','Contextually Pro-inflammatory?'
+    ]},
+
+    // ---- Microbiome ----
+    { name:'micro', file:'microbiome.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:['Pre_Pro_Post-Biotic','Direct Cognitive Benefits','Recommended_Intake'] },
+
+    // ---- Micronutrients ----
+    { name:'micros_food', file:'micronutrients_food.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:[
+      'Key Micronutrients/Bioactive Compounds','Direct/Indirect Cognitive Benefits','Supporting Mechanisms'
+    ]},
+    // micronutients_list.csv is keyed by nutrient, not ingredient: bp-core.js reads it through INDIRECT_FILES
+
+    // ---- Optional files present in your repo (ignored if columns not relevant) ----
+    { name:'categories', file:'categories.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:['Category','Diet Tags','Tags'], optional:true }
+  ];
+
+  // ------- Name normalization & synonyms -------
+  const stripPunct = s => s.replace(/[()\[\]{}.,/!?:;"'`~]/g,' ');
+  const normalize = s => stripPunct(String(s||'').toLowerCase()).replace(/\s+/g,' ').trim();
+  // Extend here without touching the loaders; data/synonyms.csv (Alias,Canonical) adds more
+  const SYNONYMS = {
+    'evoo':'olive oil (extra virgin)',
+    'extra virgin olive oil':'olive oil (extra virgin)',
+    'avocado oil (cold pressed)':'avocado oil',
+    'tomatoes':'tomato', 'strawberries':'strawberry', 'eggs':'egg', 'walnuts':'walnut', 'almonds':'almond',
+    'chickpea pasta':'pasta (chickpea)','wholegrain pasta':'pasta (whole grain)','sourdough pasta':'pasta (sourdough)',
+    'cheddar cheese':'cheddar','parmigiano reggiano':'parmesan',
+  };
+
+  // aliases: Map normalized alias → normalized canonical (synonyms.csv, saved user aliases); checked before SYNONYMS
+  function canonicalize(raw, aliases){
+    const n = normalize(raw);
+    if (aliases && aliases.has(n)) return aliases.get(n);
+    return SYNONYMS[n] ? normalize(SYNONYMS[n]) : n;
+  }
+
+  // Cell text with placeholder blanks removed (some sheets export empty cells as `" "` or a lone newline)
+  function clean(v){
+    const s = String(v==null?'':v).trim();
+    return /^["\s]*$/.test(s) ? '' : s;
+  }
+
+  // Numbers as written in the sheets: "160", "1,200", "~5", "15-20" (range → midpoint); NaN otherwise
+  function toNumber(v){
+    const s = clean(v).replace(/,/g,'').replace(/^[~≈]/,'');
+    if (!s) return NaN;
+    const range = s.match(/^(-?\d*\.?\d+)\s*[-–]\s*(\d*\.?\d+)$/);
+    if (range) return (Number(range[1])+Number(range[2]))/2;
+    return Number(s);
+  }
+
+  // Two sheets disagree on a value: numbers that differ, or text where neither contains the other
+  // ("1 cup" vs "1 cup raw / ½ cup cooked" agree; "Nuts" vs "Seeds" do not)
+  function valuesDisagree(a, b){
+    const x = toNumber(a), y = toNumber(b);
+    if (isFinite(x) && isFinite(y)) return Math.abs(x - y) > 1e-9;
+    const p = normalize(a), q = normalize(b);
+    return !!p && !!q && !p.includes(q) && !q.includes(p);
+  }
+
+  // ------- CSV parsing -------
+  // RFC 4180 fields (quotes, "" escapes, CR/LF/CRLF line ends) → { headers, rows:[[cells]] }
+  function parseTable(text){
+    const src = String(text||'').replace(/^\ufeff/, '');
+    const lines = [];
+    let row = [], field = '', quoted = false;
+    for (let i=0; i<src.length; i++){
+      const c = src[i];
+      if (quoted){
+        if (c==='"'){ if (src[i+1]==='"'){ field += '"'; i++; } else quoted = false; }
+        else field += c;
+      } else if (c==='"' && field===''){ quoted = true; }
+      else if (c===','){ row.push(field); field = ''; }
+      else if (c==='\r' || c==='\n'){
+        if (c==='\r' && src[i+1]==='\n') i++;
+        row.push(field); lines.push(row); row = []; field = '';
+      } else field += c;
+    }
+    if (field!=='' || row.length) { row.push(field); lines.push(row); }
+
+    const data = lines.filter(r=>!(r.length===1 && r[0]===''));
+    return data.length ? { headers: uniqueHeaders(data[0]), rows: data.slice(1) } : { headers:[], rows:[] };
+  }
+
+  // { headers, rows } → rows of objects keyed by header; cells beyond the header go to __parsed_extra
+  function tableRows(table){
+    const headers = table.headers;
+    return table.rows.map(cells=>{
+      const obj = {};
+      cells.forEach((v,j)=>{
+        if (j < headers.length) obj[headers[j]] = v;
+        else (obj.__parsed_extra || (obj.__parsed_extra = [])).push(v);
+      });
+      return obj;
+    });
+  }
+
+  const parseCSV = text => tableRows(parseTable(text));
+
+  // Repeated headers become "name_1", "name_2", ... (skipping names already in use), as Papa Parse does
+  function uniqueHeaders(cells){
+    const used = new Set(cells), count = Object.create(null);
+    return cells.map(h=>{
+      if (!count[h]){ count[h] = 1; used.add(h); return h; }
+      let n = count[h], name;
+      do { name = `${h}_${n++}`; } while (used.has(name));
+      used.add(name);
+      count[h]++;
+      return name;
+    });
+  }
+
+  // ------- Key columns -------
+  // The joinKey from settings plus its singular/plural alias (Food⇄Foods), ahead of the generic candidates
+  function joinKeyCandidates(settings){
+    const jk = (settings && settings.joinKey) || DEFAULT_SETTINGS.joinKey;
+    const alias = /s$/i.test(jk) ? jk.slice(0,-1) : jk+'s';
+    return [jk, alias];
+  }
+
+  function chooseKeyColumn(row, candidates){
+    const cols = Object.keys(row||{});
+    // 1) Exact header match
+    for (const cand of candidates){ if (cols.includes(cand)) return cand; }
+    // 2) Loose match (normalize header names)
+    const loose = new Set(candidates.map(normalize));
+    for (const c of cols){ if (loose.has(normalize(c))) return c; }
+    return null;
+  }
+
+  function detectColumns(rows){
+    if (!rows || !rows.length) return new Set();
+    return new Set(Object.keys(rows[0]));
+  }
+
+  function detectKeyColumn(rows, candidates){
+    if (!rows || !rows.length) return null;
+    // Try candidate and loose matches on the first row
+    let col = chooseKeyColumn(rows[0], candidates);
+    if (col) return col;
+    // Heuristic over up to first 500 rows
+    const cols = Object.keys(rows[0]);
+    let bestCol = null, bestScore = -1;
+    const N = Math.min(rows.length, 500);
+    for (const c of cols){
+      let nonEmpty=0, stringy=0; const uniq = new Set();
+      for (let i=0;i<N;i++){
+        const v = rows[i][c];
+        if (v==null || String(v).trim()==='') continue;
+        nonEmpty++;
+        const s = String(v).trim();
+        const isNum = !isNaN(Number(s)) && s !== '';
+        if (!isNum){ stringy++; uniq.add(s.toLowerCase()); }
+      }
+      // Prefer columns with many non-empty string values and high uniqueness
+      const score = (stringy*2) + uniq.size - (cols.length>30?5:0);
+      if (stringy>=Math.max(10, N*0.3) && uniq.size>=Math.max(10, N*0.3) && score>bestScore){ bestScore=score; bestCol=c; }
+    }
+    return bestCol; // could still be null; caller will throw a clear error
+  }
+
+  // ------- Compilation -------
+  // settings_global.csv rows (setting,value,notes) → { setting: value } over DEFAULT_SETTINGS
+  function compileSettings(rows){
+    const out = Object.assign({}, DEFAULT_SETTINGS);
+    for (const r of rows||[]){
+      const k = clean(r.setting||r.Setting||r.key||r.Key), v = clean(r.value||r.Value);
+      if (k && v) out[k] = v;
+    }
+    return out;
+  }
+
+  // sources: CSV_SOURCES entries plus { rows } or { error } (why the file could not be read)
+  // → { datasets:{ name:{ file, keyCol } }, aliases:{ alias: canonical }, records:{ key:{ display, values, sources, conflicts } }, issues:[{ level, message }] }
+  // records[key].sources[column] = [file, data row]; conflicts[column] = [[file, data row, value], ...] (valuesDisagree);
+  // a required source that fails throws.
+  function compileRecords(sources, settings){
+    const datasets = {}, aliases = new Map(), records = Object.create(null), issues = [];
+    for (const cfg of sources){
+      const rows = cfg.rows;
+      try{
+        if (cfg.error) throw new Error(cfg.error);
+        if ((!rows || rows.length===0) && cfg.optional) continue;
+        if (!rows || rows.length===0) throw new Error('No data rows');
+        const keyCol = detectKeyColumn(rows, [...joinKeyCandidates(settings), ...cfg.keyCandidates]);
+        if (!keyCol) throw new Error(`Cannot find key column among: ${cfg.keyCandidates.join(', ')}`);
+        datasets[cfg.name] = { file:cfg.file, keyCol };
+        const cols = detectColumns(rows);
+        if (!cfg.expectAnyOf.some(c=>cols.has(c)) && !cfg.optional){
+          issues.push({ level:'warn', message:`[${cfg.name}] Expected columns not found. Continuing, but some table fields may be blank.` });
+        }
+        if (cfg.name==='synonyms'){
+          for (const r of rows){
+            const alias = clean(r[keyCol]), canonical = clean(r.Canonical);
+            if (alias && canonical) aliases.set(normalize(alias), normalize(canonical));
+          }
+          continue;
+        }
+        rows.forEach((r, i)=>{
+          const rawKey = clean(r[keyCol]);
+          if (!rawKey) return;
+          const key = canonicalize(rawKey, aliases);
+          const rec = records[key] || (records[key] = { display:rawKey, values:{}, sources:{}, conflicts:{} });
+          for (const [k,v] of Object.entries(r)){
+            // Keep the first non-empty value for stability; later values that disagree with it are kept as conflicts
+            if (v==='' || v==null || k==='__parsed_extra') continue;
+            if (rec.values[k]==null || String(rec.values[k]).trim()===''){ rec.values[k] = v; rec.sources[k] = [cfg.file, i+1]; }
+            else if (k!==keyCol && valuesDisagree(rec.values[k], v)) (rec.conflicts[k] || (rec.conflicts[k] = [])).push([cfg.file, i+1, v]);
+          }
+        });
+      }catch(e){
+        if (cfg.optional){ issues.push({ level:'info', message:`Optional dataset '${cfg.name}' not loaded: ${e.message}` }); continue; }
+        throw new Error(`Dataset '${cfg.name}' failed: ${e.message}`);
+      }
+    }
+    return { datasets, aliases:Object.fromEntries(aliases), records, issues };
+  }
+
+  // files: { 'main.csv': csvText, ... } — every data CSV → the index (without hash; the build step adds it)
+  function buildIndex(files){
+    const tables = {}, parsed = {};
+    for (const [file, text] of Object.entries(files)){ tables[file] = parseTable(text); parsed[file] = tableRows(tables[file]); }
+    const settings = compileSettings(parsed['settings_global.csv']);
+    const sources = CSV_SOURCES.map(cfg=>Object.assign({}, cfg, parsed[cfg.file] ? { rows:parsed[cfg.file] } : { error:`${cfg.file} not found` }));
+    const compiled = compileRecords(sources, settings);
+    return {
+      format:FORMAT, version:VERSION,
+      settings, aliases:compiled.aliases, datasets:compiled.datasets, records:compiled.records,
+      files:tables, issues:compiled.issues
+    };
+  }
+
+  return {
+    FORMAT, VERSION, DEFAULT_SETTINGS, DEFAULT_KEY_CANDIDATES, CSV_SOURCES, SYNONYMS,
+    normalize, canonicalize, clean, toNumber, valuesDisagree, parseTable, tableRows, parseCSV, joinKeyCandidates, chooseKeyColumn, detectColumns, detectKeyColumn,
+    compileSettings, compileRecords, buildIndex
+  };
+});
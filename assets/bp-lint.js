@@ -0,0 +1,293 @@
+/* BrainPreserve – Data linter
+ * Drop-in file: /assets/bp-lint.js (load after bp-index.js and bp-match.js, before nutrition-tables.js)
+ * Exposes window.BP.lint in the browser; module.exports under Node (used by scripts/lint-data.js).
+ *
+ * What it does
+ * 1) Checks every CSV against the expected schema below: missing files (and files whose name looks misspelled),
+ *    key columns ("Food" where the rest use "Foods"), missing / misspelled / unnamed columns
+ * 2) Checks the mapping_*.csv sources point at files and columns that exist
+ * 3) Reports rows without an ingredient name (category headings exported as `" "` rows), numeric columns holding
+ *    text the scores cannot read, mojibake ("˝", "Ã©", "?-carotene"), and keys that collide after canonicalization
+ * 4) Lists ingredients that are missing from some ingredient files, with the closest name that file does have
+ *    ("Algae Oil" vs "Algae/Algae Oil")
+ *
+ * lintTables(tables) takes the index's `files` shape ({ 'main.csv': { headers, rows:[[cells]] } }) so the page can lint
+ * the loaded index; lintFiles({ 'main.csv': text }) parses CSV text first. Both → { issues, counts }, where each issue
+ * is { level:'error'|'warn'|'info', code, file, column?, rows?, message } and rows count from 1 under the header.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./bp-index.js'), require('./bp-match.js'));
+  else (root.BP || (root.BP = {})).lint = factory(root.BP && root.BP.index, root.BP && root.BP.match);
+})(typeof self !== 'undefined' ? self : this, function(Index, Match){
+  'use strict';
+
+  if (!Index || !Match) throw new Error('bp-lint.js needs bp-index.js and bp-match.js');
+
+  // Expected layout of each data file. key: the ingredient / row name column; columns: the other expected headers;
+  // numeric: columns read as numbers by the scores and totals; ingredient: keyed by the shared joinKey and joined
+  // across files (checked for missing rows and duplicates).
+  const INGREDIENT = { key:'Foods', ingredient:true };
+  const DIET_RULES = { key:'Component', columns:['Diet Name','Category','Recommended Intake','Scoring Rule'] };
+  const SCHEMA = {
+    'main.csv': Object.assign({ columns:['Category','Serving Size (Estimation)','Calories','Key Nutrients/Bioactive Compounds','Mechanism/Function','Notable Sources/Details'], numeric:['Calories'] }, INGREDIENT),
+    'protein.csv': Object.assign({ columns:['Protein_per_Serving_(g)'], numeric:['Protein_per_Serving_(g)'] }, INGREDIENT),
+    'fiber.csv': Object.assign({ columns:['Total Fiber (g)'], numeric:['Total Fiber (g)'] }, INGREDIENT),
+    'gi_gl.csv': Object.assign({ columns:['Glycemic Index (GI)','Glycemic Load per Serving','Serving Size'], numeric:['Glycemic Index (GI)','Glycemic Load per Serving'] }, INGREDIENT),
+    'diet_tool.csv': Object.assign({ columns:['Category','Serving Size (Estimation)','✓MIND','✓Mediterranean','✓DASH','✓Microbiome-supporting','✓ Anti-inflammatory','DII Score','Caution: Contextual Inflammation Risk','Contextually Pro-inflammatory?'], numeric:['DII Score'] }, INGREDIENT),
+    'microbiome.csv': Object.assign({ columns:['Direct Cognitive Benefits','Indirect Cognitive Benefits','Recommended_Intake','Pre_Pro_Post-Biotic'] }, INGREDIENT),
+    'micronutrients_food.csv': Object.assign({ columns:['Key Micronutrients/Bioactive Compounds','Direct/Indirect Cognitive Benefits','Supporting Mechanisms'] }, INGREDIENT),
+    'categories.csv': Object.assign({ columns:['Category'] }, INGREDIENT),
+    'micronutrients_list.csv': { key:'Micronutrient', columns:['Direct/Indirect Cognitive Benefits','Food Source','Recommended Daily Servings & Serving Size','Recommended Daily Amount'] },
+    'diet_components.csv': { key:'Component', columns:['Categories','Foods','Notes'] },
+    'mind.csv': DIET_RULES,
+    'mediterranean.csv': DIET_RULES,
+    'moder.csv': DIET_RULES,
+    'settings_global.csv': { key:'setting', columns:['value','notes'] }
+  };
+  const MAPPING_FILE = /^mapping_.*\.csv$/i;
+  const MAPPING_SCHEMA = { key:'table', columns:['output_header','mode','order','file','csv_column','role','combine_separator','notes'] };
+
+  const SIMILAR_NAME = 0.85;   // a missing file / column and an unexpected one this similar are the same thing misspelled
+  const NEAR_INGREDIENT = 0.6; // closest name worth showing for an ingredient missing from a file
+  const MAX_LISTED = 8;        // rows / values listed in one message
+
+  // Text that went through the wrong encoding: stray double acute, replacement char, UTF-8 read as Latin-1,
+  // and Greek letters lost to "?" ("?-tocopherol")
+  const MOJIBAKE = /[˝�]|Ã[\u0080-ÿ]|Â[ -¿]|â€|(?:^|[\s(,;/])\?-?[a-z]/i;
+
+  const clean = Index.clean;
+  const squash = h => String(h).replace(/\s+/g,' ').trim();
+  const sameName = (a, b) => Match.ratio(squash(a).toLowerCase(), squash(b).toLowerCase());
+  const unnamed = h => !squash(h) || /^_\d+$/.test(h);
+
+  function listRows(rows){
+    const shown = rows.slice(0, MAX_LISTED).join(', ');
+    return rows.length > MAX_LISTED ? `${shown} … (${rows.length} rows)` : shown;
+  }
+  function mostSimilar(name, options){
+    let best = null;
+    for (const o of options){
+      const score = sameName(name, o);
+      if (score >= SIMILAR_NAME && (!best || score > best.score)) best = { name:o, score };
+    }
+    return best;
+  }
+
+  function createReport(){
+    const issues = [];
+    const add = (level, code, file, message, extra) => issues.push(Object.assign({ level, code, file, message }, extra));
+    return { issues, add };
+  }
+
+  // Which file stands in for each schema entry: itself, or a present file whose name looks like a typo of it
+  function resolveFiles(tables, add){
+    const present = Object.keys(tables);
+    const byName = {}, claimed = new Set();
+    for (const name of Object.keys(SCHEMA)){
+      if (tables[name]){ byName[name] = name; claimed.add(name); }
+    }
+    for (const name of Object.keys(SCHEMA)){
+      if (byName[name]) continue;
+      const near = mostSimilar(name, present.filter(f=>!claimed.has(f) && !SCHEMA[f]));
+      if (near){
+        byName[name] = near.name; claimed.add(near.name);
+        add('warn', 'MISNAMED_FILE', near.name, `Looks like ${name} with a typo in the file name; code that asks for ${name} will not find it.`);
+      } else {
+        add('warn', 'MISSING_FILE', name, `${name} is not in /data.`);
+      }
+    }
+    for (const f of present){
+      if (!claimed.has(f) && !MAPPING_FILE.test(f)) add('info', 'UNKNOWN_FILE', f, `${f} has no schema here (not linted beyond mojibake).`);
+    }
+    return byName;
+  }
+
+  // Key, expected / misspelled / unnamed columns of one file → the key column
+  function checkHeaders(file, table, schema, settings, add){
+    const headers = table.headers;
+    const present = new Set(headers.map(squash));
+    const rows = Index.tableRows(table);
+    const joinKeys = Index.joinKeyCandidates(settings);
+    const keyCol = Index.detectKeyColumn(rows, schema.ingredient ? joinKeys : [schema.key]);
+    if (!keyCol){
+      add('error', 'NO_KEY', file, `No key column: expected "${schema.key}".`);
+    } else if (schema.ingredient && keyCol!==joinKeys[0]){
+      add('warn', 'KEY_COLUMN', file, `Key column is "${keyCol}" while the joinKey (settings_global.csv) is "${joinKeys[0]}". It still joins, but mapping rows have to spell it per file.`, { column:keyCol });
+    }
+    const expected = [schema.key, ...schema.columns];
+    const extra = headers.filter(h=>!unnamed(h) && h!==keyCol && !expected.some(e=>squash(e)===squash(h)));
+    for (const col of schema.columns){
+      if (present.has(squash(col))) continue;
+      const near = mostSimilar(col, extra);
+      if (near){
+        extra.splice(extra.indexOf(near.name), 1);
+        add('warn', 'HEADER_TYPO', file, `Header "${near.name}" looks like a misspelling of "${col}". Fix it together with the mapping rows that use it.`, { column:near.name });
+      } else {
+        add('warn', 'MISSING_COLUMN', file, `Expected column "${col}" is missing.`, { column:col });
+      }
+    }
+    for (const h of extra) add('info', 'EXTRA_COLUMN', file, `Column "${h}" is not in the schema.`, { column:h });
+    headers.forEach((h, i)=>{
+      if (!unnamed(h)) return;
+      const filled = table.rows.filter(r=>clean(r[i])).length;
+      add(filled ? 'warn' : 'info', 'UNNAMED_COLUMN', file,
+        `Column ${i+1} has no header${filled ? ` but ${filled} value(s)` : ' and no values (a trailing comma in the sheet)'}.`, { column:h });
+    });
+    return keyCol;
+  }
+
+  // Rows without a name, numbers that are not numbers, duplicate keys → Map(key → display) of the file's ingredients
+  function checkRows(file, table, schema, keyCol, aliases, add){
+    const rows = Index.tableRows(table);
+    const keys = new Map(), headings = [], unkeyed = [], labels = new Set();
+    rows.forEach((r, i)=>{
+      const name = clean(r[keyCol]);
+      if (!name){
+        const filled = Object.keys(r).filter(c=>c!==keyCol && c!=='Category' && clean(r[c]));
+        (filled.length ? unkeyed : headings).push(i+1);
+        if (filled.length && clean(r.Category)) labels.add(clean(r.Category));
+        return;
+      }
+      const key = schema.ingredient ? Index.canonicalize(name, aliases) : Index.normalize(name);
+      if (!keys.has(key)) keys.set(key, []);
+      keys.get(key).push({ row:i+1, name });
+    });
+    if (headings.length) add('info', 'BLANK_ROWS', file, `${headings.length} row(s) carry no ${keyCol} (category headings or \`" "\` placeholders); they are skipped. Rows ${listRows(headings)}.`, { rows:headings });
+    if (unkeyed.length){
+      const e = labels.size ? ` (headings such as ${Array.from(labels).slice(0, 3).map(l=>`"${l}"`).join(', ')})` : '';
+      add('warn', 'UNKEYED_ROWS', file, `${unkeyed.length} row(s)${e} have values but no ${keyCol}, so nothing can join to them. Rows ${listRows(unkeyed)}.`, { rows:unkeyed });
+    }
+
+    for (const [key, hits] of keys){
+      if (hits.length < 2) continue;
+      const names = Array.from(new Set(hits.map(h=>`"${h.name}"`))).join(', ');
+      add('warn', 'DUPLICATE_KEY', file, `${hits.length} rows (${names}) share the key "${key}": rows ${listRows(hits.map(h=>h.row))}; only row ${hits[0].row} is used.`, { rows:hits.map(h=>h.row) });
+    }
+
+    for (const col of schema.numeric || []){
+      const bad = new Map();
+      rows.forEach((r, i)=>{
+        const v = clean(r[col]);
+        if (v && !isFinite(Index.toNumber(v))){ if (!bad.has(v)) bad.set(v, []); bad.get(v).push(i+1); }
+      });
+      if (!bad.size) continue;
+      const all = [].concat(...bad.values()).sort((a,b)=>a-b);
+      const examples = Array.from(bad).slice(0, MAX_LISTED).map(([v, rs])=>`"${v}" (row${rs.length>1?'s':''} ${listRows(rs)})`).join(', ');
+      add('warn', 'NON_NUMERIC', file, `${col}: ${all.length} value(s) are not numbers and are left out of scores and totals: ${examples}.`, { column:col, rows:all });
+    }
+    return new Map(Array.from(keys, ([k, hits])=>[k, hits[0].name]));
+  }
+
+  function checkMojibake(file, table, add){
+    table.headers.forEach((h, c)=>{
+      const rows = [];
+      let sample = '';
+      table.rows.forEach((r, i)=>{
+        const v = String(r[c]==null ? '' : r[c]);
+        const m = MOJIBAKE.exec(v);
+        if (!m) return;
+        rows.push(i+1);
+        if (!sample) sample = v.slice(Math.max(0, m.index-15), m.index+20).replace(/\s+/g,' ').trim();
+      });
+      if (MOJIBAKE.test(h)) add('warn', 'MOJIBAKE', file, `Header "${h}" has mis-encoded characters.`, { column:h });
+      if (rows.length) add('warn', 'MOJIBAKE', file, `${h || `Column ${c+1}`}: ${rows.length} cell(s) have mis-encoded characters, e.g. "…${sample}…". Rows ${listRows(rows)}.`, { column:h, rows });
+    });
+  }
+
+  // Each mapping source must name a file and column that exist (optional_fallback sources may not)
+  function checkMappings(file, table, tables, add){
+    Index.tableRows(table).forEach((r, i)=>{
+      const target = clean(r.file), column = clean(r.csv_column), role = clean(r.role) || 'primary';
+      if (!target || !column) return;
+      const level = role==='optional_fallback' ? 'info' : 'error';
+      const where = { rows:[i+1] };
+      const t = tables[target];
+      if (!t){
+        const near = mostSimilar(target, Object.keys(tables));
+        add(level, 'MAPPING_FILE', file, `Row ${i+1} reads ${target}, which is not in /data${near ? ` (did you mean ${near.name}?)` : ''}.`, where);
+      } else if (!t.headers.some(h=>squash(h)===squash(column))){
+        const near = mostSimilar(column, t.headers);
+        add(level, 'MAPPING_COLUMN', file, `Row ${i+1} reads column "${column}", which ${target} does not have${near ? ` (did you mean "${near.name}"?)` : ''}.`, Object.assign({ column }, where));
+      }
+    });
+  }
+
+  // CSV_SOURCES (bp-index.js) and the settings whitelist name files too
+  function checkSources(tables, settings, add){
+    for (const src of Index.CSV_SOURCES){
+      if (tables[src.file]) continue;
+      const near = mostSimilar(src.file, Object.keys(tables));
+      add(src.optional ? (near ? 'warn' : 'info') : 'error', 'SOURCE_FILE', near ? near.name : src.file,
+        `CSV_SOURCES '${src.name}' reads ${src.file}, which is not in /data${near ? `; ${near.name} looks like the same file` : src.optional ? ' (optional)' : ''}.`);
+    }
+    for (const f of String(settings.whitelist || '').split('|').map(s=>s.trim()).filter(Boolean)){
+      if (!tables[f]) add('error', 'SOURCE_FILE', 'settings_global.csv', `whitelist names ${f}, which is not in /data.`);
+    }
+  }
+
+  // Ingredients some ingredient files have and others do not, with the closest name in the file that lacks it
+  function checkJoins(keysByFile, add){
+    const files = Object.keys(keysByFile);
+    const all = new Map();
+    for (const f of files) for (const [k, name] of keysByFile[f]) if (!all.has(k)) all.set(k, { name, in:[] });
+    for (const f of files) for (const k of keysByFile[f].keys()) all.get(k).in.push(f);
+    const matchers = {};
+    for (const f of files){
+      const missing = Array.from(all).filter(([k])=>!keysByFile[f].has(k));
+      if (!missing.length) continue;
+      matchers[f] = matchers[f] || Match.createMatcher(Array.from(keysByFile[f], ([key, name])=>({ key, name })));
+      for (const [k, info] of missing){
+        const near = matchers[f].match(info.name, 1)[0];
+        const hint = near && near.score >= NEAR_INGREDIENT ? ` Closest here: "${near.name}" (${Math.round(near.score*100)}%).` : '';
+        add('warn', 'MISSING_JOIN', f, `"${info.name}" (in ${info.in.join(', ')}) has no row here.${hint}`, { key:k, near: hint ? near.name : null });
+      }
+    }
+  }
+
+  // tables: { file: { headers, rows:[[cells]] } } → { issues, counts }
+  function lintTables(tables){
+    const { issues, add } = createReport();
+    const settings = Object.assign({}, Index.DEFAULT_SETTINGS,
+      tables['settings_global.csv'] ? Index.compileSettings(Index.tableRows(tables['settings_global.csv'])) : {});
+    const aliases = new Map();
+    if (tables['synonyms.csv']){
+      for (const r of Index.tableRows(tables['synonyms.csv'])){
+        const alias = clean(r.Alias || r.Synonym || r.Name), canonical = clean(r.Canonical);
+        if (alias && canonical) aliases.set(Index.normalize(alias), Index.normalize(canonical));
+      }
+    }
+
+    const byName = resolveFiles(tables, add);
+    checkSources(tables, settings, add);
+    const keysByFile = {};
+    for (const [name, file] of Object.entries(byName)){
+      const schema = SCHEMA[name];
+      const keyCol = checkHeaders(file, tables[file], schema, settings, add);
+      if (keyCol){
+        const keys = checkRows(file, tables[file], schema, keyCol, aliases, add);
+        if (schema.ingredient) keysByFile[file] = keys;
+      }
+    }
+    for (const file of Object.keys(tables).filter(f=>MAPPING_FILE.test(f))){
+      checkHeaders(file, tables[file], MAPPING_SCHEMA, settings, add);
+      checkMappings(file, tables[file], tables, add);
+    }
+    for (const [file, table] of Object.entries(tables)) checkMojibake(file, table, add);
+    checkJoins(keysByFile, add);
+
+    const rank = { error:0, warn:1, info:2 };
+    issues.sort((a,b)=> a.file.localeCompare(b.file) || rank[a.level]-rank[b.level]);
+    const counts = { error:0, warn:0, info:0 };
+    for (const i of issues) counts[i.level]++;
+    return { issues, counts };
+  }
+
+  // texts: { file: csvText }
+  function lintFiles(texts){
+    const tables = {};
+    for (const [file, text] of Object.entries(texts)) tables[file] = Index.parseTable(text);
+    return lintTables(tables);
+  }
+
+  return { SCHEMA, MOJIBAKE, lintTables, lintFiles };
+});
@@ -0,0 +1,131 @@
+/* BrainPreserve – Fuzzy ingredient matching
+ * Drop-in file: /assets/bp-match.js — scores the names the model writes against the ingredient catalog.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.BP || (root.BP = {})).match = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const AUTO_THRESHOLD = 0.85; // at or above: use the candidate without asking
+  const SUGGEST_MIN = 0.45;    // below: not worth showing as a suggestion
+  const TOKEN_MATCH = 0.8;     // two words count as the same word at this similarity ("brocoli" ~ "broccoli")
+
+  const STOPWORDS = new Set([
+    'a','an','and','or','of','the','with','for','to','in','if',
+    'fresh','organic','raw','chopped','diced','sliced','minced','grated','shredded','crushed','peeled',
+    'finely','roughly','thinly','large','small','medium','optional','plain','unsalted','lightly','cut',
+    // the piece of the ingredient a recipe uses ("salmon fillets", "garlic cloves", "walnut halves")
+    'fillet','filet','clove','leaf','half','halve','sprig','stalk','floret','wedge','piece','chunk'
+  ]);
+  // Kept whole: words whose trailing "s" is not a plural
+  const NOT_PLURAL = new Set(['hummus','asparagus','couscous','citrus','molasses','swiss']);
+
+  const normalize = s => String(s||'').toLowerCase().replace(/[()\[\]{}.,/!?:;"'`~]/g,' ').replace(/\s+/g,' ').trim();
+
+  function singular(word){
+    if (word.length <= 3 || NOT_PLURAL.has(word) || /(ss|us|is)$/.test(word)) return word;
+    if (/ies$/.test(word)) return word.slice(0,-3) + 'y';               // berries → berry
+    if (/(ch|sh|x|z)es$/.test(word)) return word.slice(0,-2);           // peaches → peach
+    if (/oes$/.test(word)) return word.slice(0,-2);                     // tomatoes → tomato
+    if (/(lea|hal|loa)ves$/.test(word)) return word.slice(0,-3) + 'f';  // leaves → leaf
+    if (/s$/.test(word)) return word.slice(0,-1);
+    return word;
+  }
+
+  // Comparable words of one name: lower case, punctuation and hyphens as spaces, singular, no preparation words
+  function tokens(name){
+    return normalize(String(name||'').replace(/[-–—_&+%]/g,' ')).split(' ')
+      .map(singular).filter(w=>w && !STOPWORDS.has(w) && !/^\d+$/.test(w));
+  }
+
+  // The whole name, the name without "(...)", and each slash / semicolon / comma alternative, as tokens without
+  // duplicates ("Oats/Oat Groats/Steel Cut/Rolled" → oat groat steel rolled · oat · oat groat · steel · rolled)
+  function variants(name){
+    const raw = String(name||'');
+    const seen = new Set(), out = [];
+    const add = s => {
+      const t = Array.from(new Set(tokens(s))); // "Algae/Algae Oil" → algae · oil
+      const k = t.join(' ');
+      if (t.length && !seen.has(k)){ seen.add(k); out.push(t); }
+    };
+    add(raw);
+    const bare = raw.replace(/\([^)]*\)?/g,' ');
+    add(bare);
+    for (const part of bare.split(/[\/;,]/)) add(part);
+    return out;
+  }
+
+  function levenshtein(a, b){
+    if (a===b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({length:b.length+1}, (_,i)=>i);
+    for (let i=1; i<=a.length; i++){
+      const cur = [i];
+      for (let j=1; j<=b.length; j++){
+        cur[j] = Math.min(prev[j]+1, cur[j-1]+1, prev[j-1] + (a[i-1]===b[j-1] ? 0 : 1));
+      }
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  const ratio = (a, b) => a===b ? 1 : 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  // Words of `a` found in `b` (up to a typo) → { hit: summed similarity, covered: count }
+  function overlap(a, b){
+    let hit = 0, covered = 0;
+    for (const t of a){
+      let best = 0;
+      for (const u of b) best = Math.max(best, ratio(t, u));
+      if (best >= TOKEN_MATCH){ hit += best; covered++; }
+    }
+    return { hit, covered };
+  }
+
+  // Every word of `a` is in `b`, and `a` is a name of its own: two words or more ("extra virgin olive oil" inside
+  // "Olive Oil (Extra Virgin -Cold-pressed)"), or at least half of `b` ("feta" in "Feta Cheese", "Onions" in
+  // "red onion") → 0.9 scaled by how close the words are; 0 otherwise
+  function containment(a, b, o){
+    return o.covered === a.length && (a.length >= 2 || 2*a.length >= b.length) ? 0.9 * o.hit / a.length : 0;
+  }
+
+  // Query words vs candidate words → 0..1: token-set overlap (words may differ by a typo), whole-string edit distance
+  // or containment, whichever is highest; 1 is an exact match
+  function similarity(q, c){
+    if (!q.length || !c.length) return 0;
+    const qc = overlap(q, c), cq = overlap(c, q);
+    const score = Math.max(2*qc.hit / (q.length + c.length), ratio([...q].sort().join(' '), [...c].sort().join(' ')),
+      containment(q, c, qc), containment(c, q, cq));
+    return Math.round(score*1000) / 1000;
+  }
+
+  // entries: [{ key, name }] — the catalog. → { match(name, limit) → [{ key, name, score }] best first }
+  function createMatcher(entries){
+    const catalog = (entries||[]).map(e=>({ key:e.key, name:e.name, variants: variants(e.name).concat(variants(e.key)) }));
+    function match(name, limit){
+      const qs = variants(name);
+      const best = new Map();
+      for (const e of catalog){
+        let score = 0;
+        for (const q of qs) for (const v of e.variants) score = Math.max(score, similarity(q, v));
+        if (score >= SUGGEST_MIN && score > (best.get(e.key) || { score:0 }).score) best.set(e.key, { key:e.key, name:e.name, score });
+      }
+      return Array.from(best.values())
+        .sort((a,b)=> b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name))
+        .slice(0, limit || 3);
+    }
+    return { match, size: catalog.length };
+  }
+
+  // match() results → the candidate to use without asking, or null: the best one reaches `threshold` and, short of
+  // an exact match, no other entry fits as well ("cheese" is in every "X Cheese", "cherry tomatoes" fits both)
+  function confident(candidates, threshold){
+    const [best, next] = candidates || [];
+    if (!best || best.score < (threshold || AUTO_THRESHOLD)) return null;
+    return best.score < 1 && next && next.score === best.score ? null : best;
+  }
+
+  return { AUTO_THRESHOLD, SUGGEST_MIN, singular, tokens, variants, levenshtein, ratio, similarity, createMatcher, confident };
+});
@@ -0,0 +1,107 @@
+/* BrainPreserve – Micronutrient vocabulary & coverage
+ * Drop-in file: /assets/bp-nutrients.js — reads free-text compound lists into nutrient ids and finds the missing targets.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.BP || (root.BP = {})).nutrients = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  // id, display name, what it looks like in the sheets. `group`: a member also supplies the group (any B vitamin
+  // counts for "B vitamins"); `bioactive`: recognized and listed, but never a coverage target.
+  const NUTRIENTS = [
+    { id:'b_vitamins', name:'B vitamins', pattern:/\bb[- ]?(?:complex )?vitamins?\b|\bvitamin b\b(?!\d)/ },
+    { id:'b1', name:'Vitamin B1 (thiamine)', group:'b_vitamins', pattern:/\bb1\b|\bthiamine?\b/ },
+    { id:'b2', name:'Vitamin B2 (riboflavin)', group:'b_vitamins', pattern:/\bb2\b|\briboflavin\b/ },
+    { id:'b3', name:'Vitamin B3 (niacin)', group:'b_vitamins', pattern:/\bb3\b|\bniacin\b/ },
+    { id:'b5', name:'Vitamin B5 (pantothenic acid)', group:'b_vitamins', pattern:/\bb5\b|\bpantothen/ },
+    { id:'b6', name:'Vitamin B6', group:'b_vitamins', pattern:/\bb6\b|\bpyridox/ },
+    { id:'b7', name:'Vitamin B7 (biotin)', group:'b_vitamins', pattern:/\bb7\b|\bbiotin\b/ },
+    { id:'b9', name:'Vitamin B9 (folate)', group:'b_vitamins', pattern:/\bb9\b|\bfolate\b|\bfolic acid\b/ },
+    { id:'b12', name:'Vitamin B12', group:'b_vitamins', pattern:/\bb12\b|\bcobalamin\b/ },
+    { id:'vitamin_a', name:'Vitamin A', pattern:/\bvitamin a\b|\bretinol\b|carotene\b/ },
+    { id:'vitamin_c', name:'Vitamin C', pattern:/\bvitamin c\b|\bascorbic\b/ },
+    { id:'vitamin_d', name:'Vitamin D', pattern:/\bvitamin d\d?\b/ },
+    { id:'vitamin_e', name:'Vitamin E', pattern:/\bvitamin e\b|\btocopherol|\btocotrienol/ },
+    { id:'vitamin_k', name:'Vitamin K', pattern:/\bvitamin k\d?\b|\bphylloquinone\b|\bmenaquinone\b/ },
+    { id:'omega3', name:'Omega-3 fatty acids', pattern:/\bomega[- ]?3\b|\bepa\b|\bdha\b|\bala\b|\balpha[- ]linolenic\b/ },
+    { id:'choline', name:'Choline', pattern:/\bcholine\b|\bciticoline\b/ },
+    { id:'calcium', name:'Calcium', pattern:/\bcalcium\b/ },
+    { id:'iron', name:'Iron', pattern:/\bir+on\b/ },
+    { id:'magnesium', name:'Magnesium', pattern:/\bmagnesium\b|\(mg\b/ },
+    { id:'manganese', name:'Manganese', pattern:/\bmanganese\b/ },
+    { id:'potassium', name:'Potassium', pattern:/\bpotassium\b/ },
+    { id:'zinc', name:'Zinc', pattern:/\bzinc\b|\bzn\b/ },
+    { id:'selenium', name:'Selenium', pattern:/\bselenium\b/ },
+    { id:'copper', name:'Copper', pattern:/\bcopper\b/ },
+    { id:'chromium', name:'Chromium', pattern:/\bchromium\b/ },
+    { id:'iodine', name:'Iodine', pattern:/\biodine\b/ },
+    { id:'phosphorus', name:'Phosphorus', pattern:/\bphosphor(?:us)?\b/ },
+    { id:'coq10', name:'Coenzyme Q10', pattern:/\bcoenzyme q10\b|\bcoq10\b/ },
+    { id:'lutein', name:'Lutein / zeaxanthin', bioactive:true, pattern:/\blutein\b|\bzeaxanthin\b/ },
+    { id:'polyphenols', name:'Polyphenols / flavonoids', bioactive:true, pattern:/polyphenol|flavon|anthocyan|catechin|quercetin|resveratrol|ellag|lignan|phenolic/ }
+  ];
+  const BY_ID = new Map(NUTRIENTS.map(n=>[n.id, n]));
+  // Targets that are not rows of micronutients_list.csv but belong in every coverage view
+  const EXTRA_TARGETS = ['omega3'];
+
+  // "vitamins C, E" / "vitamin A/B9/C" → "vitamin c , vitamin e" so each letter is matched on its own
+  function expandVitamins(text){
+    return text.replace(/\bvitamins?\s+([a-z]\d{0,2}\b(?:\s*(?:[\/,&]|and)\s*[a-z]\d{0,2}\b)*)/g,
+      (m, list)=> list.split(/\s*(?:[\/,&]|\band\b)\s*/).filter(Boolean).map(x=>`vitamin ${x}`).join(' , '));
+  }
+
+  // Free text → nutrient ids, in vocabulary order (a B vitamin adds b_vitamins too)
+  function parseCompounds(text){
+    const s = expandVitamins(String(text||'').toLowerCase());
+    const ids = new Set();
+    for (const n of NUTRIENTS){
+      if (!n.pattern.test(s)) continue;
+      ids.add(n.id);
+      if (n.group) ids.add(n.group);
+    }
+    return NUTRIENTS.map(n=>n.id).filter(id=>ids.has(id));
+  }
+
+  // A micronutrient list name ("B Vitamins ", "Choline/Citicoline") → its id, or null
+  function idFor(name){
+    const ids = parseCompounds(name);
+    if (!ids.length) return null;
+    // "B1" parses as [b_vitamins, b1]: the specific vitamin is meant
+    return ids.find(id=>BY_ID.get(id).group) || ids[0];
+  }
+
+  // listRows: [{ name, benefit, amount, foods }] from the list file (the rows' own text) →
+  // [{ id, name, listName, benefit, amount, foods }] in vocabulary order: one target per list row, plus EXTRA_TARGETS
+  function targetsFrom(listRows){
+    const byId = new Map();
+    for (const r of listRows || []){
+      const id = idFor(r.name);
+      if (id && !byId.has(id) && !BY_ID.get(id).bioactive) byId.set(id, r);
+    }
+    for (const id of EXTRA_TARGETS) if (!byId.has(id)) byId.set(id, null);
+    return NUTRIENTS.filter(n=>byId.has(n.id)).map(n=>{
+      const r = byId.get(n.id);
+      return { id:n.id, name:n.name, listName: r ? r.name : null, benefit: r ? r.benefit || '' : '', amount: r ? r.amount || '' : '', foods: r ? r.foods || '' : '' };
+    });
+  }
+
+  // items: [{ name, ids }] (ids from parseCompounds) → { covered:{ id:[names] }, missing:[ids], extras:{ id:[names] } }
+  // extras: non-target nutrients and bioactives the items supply. Covered means an ingredient lists the nutrient, not
+  // that the amount reaches the daily target: the sheets give no amounts.
+  function coverage(items, targets){
+    const targetIds = new Set(targets.map(t=>t.id));
+    const covered = {}, extras = {};
+    for (const item of items){
+      for (const id of item.ids){
+        const into = targetIds.has(id) ? covered : extras;
+        (into[id] || (into[id] = [])).includes(item.name) || into[id].push(item.name);
+      }
+    }
+    return { covered, missing: targets.map(t=>t.id).filter(id=>!covered[id]), extras };
+  }
+
+  const nameOf = id => (BY_ID.get(id) || { name:id }).name;
+
+  return { NUTRIENTS, EXTRA_TARGETS, parseCompounds, idFor, targetsFrom, coverage, nameOf };
+});
@@ -0,0 +1,175 @@
+/* BrainPreserve – Client profiles (allergens, diet pattern, dislikes, default goals, servings)
+ * Drop-in file: /assets/bp-profiles.js — turns a profile into ingredient rules and prompt lines, and saves profiles.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.BP || (root.BP = {})).profiles = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const FORMAT = 'brainpreserve-profiles';
+  const VERSION = 1;
+  const STORAGE_KEY = 'bp.profiles';
+  const ACTIVE_KEY = 'bp.activeProfile';
+
+  // Allergens and the name-based diets match ingredient names as the model writes them ("almond butter", "chopped
+  // walnuts"), whole words. Plant "milks" and nut butters are not dairy; "non-wheat" is not wheat, and pasta,
+  // noodles and flour made from a gluten-free grain or legume ("chickpea pasta", "rice noodles", "almond flour") are
+  // not gluten.
+  const FOODS = {
+    meat: /\b(beef|pork|lamb|mutton|veal|venison|goat|chicken|turkey|duck|bacon|ham|sausages?|salami|liver|meat)\b/i,
+    fish: /\b(fish|salmon|tuna|cod|anchov(y|ies)|sardines?|herring|mackerel|trout|flounder|sea bass|sturgeon|catfish|halibut|tilapia)\b/i,
+    shellfish: /\b(shrimps?|prawns?|crabs?|lobsters?|krill|oysters?|mussels?|clams?|scallops?|squid|octopus)\b/i,
+    dairy: /\b(cheeses?|feta|parmesan|parmigiano|pecorino|ricotta|mozzarella|burrata|mascarpone|halloumi|paneer|cheddar|brie|camembert|gouda|gruy[eè]re|asiago|provolone|yog(h)?urt|kefir|ghee|whey|casein|buttermilk)\b|(?<!\b(almond|soy|oat|coconut|rice|hemp|cashew) )\bmilk\b|(?<!\b(peanut|almond|cashew|nut|seed|apple|cocoa|cacao) )\bbutter\b|(?<!\bcoconut )\bcream\b/i,
+    eggs: /\b(eggs?|mayo(nnaise)?|aioli|meringues?)\b/i,
+    honey: /\bhoney\b/i,
+    gluten: /(?<!non-)\bwheat\b|\b(barley|rye|spelt|farro|semolina|bulgur|couscous|seitan|sourdough|bread(crumbs?|s)?|panko|crackers?|croutons?|soy sauce)\b|(?<!\b(almond|coconut|rice|chickpea|lentil|bean|pea|quinoa|buckwheat|soba|corn|cassava|tapioca|potato|konjac|shirataki|glass|zucchini|non-wheat|gluten[- ]free)\)? )\b(pasta|spaghetti|macaroni|noodles?|flour)\b(?! \(?non-wheat)/i,
+    soy: /\b(soy|soya|soybeans?|tofu|tempeh|edamame|miso|natto)\b/i,
+    peanuts: /\bpeanuts?\b/i,
+    treeNuts: /\b(almonds?|brazil nuts?|cashews?|hazelnuts?|macadamia|pecans?|pistachios?|walnuts?|pine nuts?)\b/i,
+    sesame: /\b(sesame|tahini)\b/i,
+    grains: /(?<!\bcauliflower )\b(rice|oats?|oatmeal|quinoa|corn|cornmeal|polenta|grits|millet|amaranth|buckwheat|sorghum|teff|granola|tortillas?)\b/i,
+    legumes: /(?<!\b(green|string|snap|snow|coffee|cocoa|cacao|vanilla) )\b(beans?|peas|lentils?|chickpeas?|hummus|lupins?)\b/i,
+    sugars: /(?<!\bcoconut )\bsugars?\b(?! snap)|\b(syrups?|agave|molasses|candy)\b/i
+  };
+
+  // label, the FOODS it covers, and the page's ingredient groups (STARTER_INGREDIENTS) it rules out
+  const ALLERGENS = {
+    tree_nuts:{ label:'Tree nuts', foods:['treeNuts'] },
+    peanuts:{ label:'Peanuts', foods:['peanuts'] },
+    fish:{ label:'Fish', foods:['fish'], groups:['Fish'] },
+    shellfish:{ label:'Shellfish', foods:['shellfish'] },
+    dairy:{ label:'Dairy (milk)', foods:['dairy'], groups:['Dairy'] },
+    eggs:{ label:'Eggs', foods:['eggs'] },
+    gluten:{ label:'Gluten (wheat, barley, rye)', foods:['gluten'] },
+    soy:{ label:'Soy', foods:['soy'] },
+    sesame:{ label:'Sesame', foods:['sesame'] }
+  };
+
+  // Name-based patterns and groups rule foods out; `flag` patterns keep only foods whose diet_tool.csv column is ✓
+  // (the Diet Compatibility table's columns); `max` rules out foods whose reference serving goes over a limit: GI from
+  // gi_gl.csv (55 is the Blood Sugar goal's pass mark in bp-scoring.js), available carbs (g) from its GL.
+  const DIETS = {
+    vegan:{ label:'Vegan', foods:['meat','fish','shellfish','dairy','eggs','honey'], groups:['Meat','Fish','Dairy'], prompt:'no meat, fish, shellfish, dairy, eggs or honey' },
+    vegetarian:{ label:'Vegetarian', foods:['meat','fish','shellfish'], groups:['Meat','Fish'], prompt:'no meat, fish or shellfish' },
+    pescatarian:{ label:'Pescatarian', foods:['meat'], groups:['Meat'], prompt:'fish and seafood but no meat' },
+    gluten_free:{ label:'Gluten-Free', foods:['gluten'], prompt:'no wheat, barley, rye or anything made from them' },
+    dairy_free:{ label:'Dairy-Free', foods:['dairy'], groups:['Dairy'], prompt:'no milk, cheese, yogurt, butter or cream' },
+    low_gi:{ label:'Low GI', max:{ gi:55 }, prompt:'low-glycemic foods only, GI 55 or below' },
+    keto:{ label:'Keto', foods:['gluten','grains','legumes','honey','sugars'], max:{ carbs:10 }, prompt:'very low carbohydrate: no grains, bread, pasta, legumes or sugar, and at most 10 g of carbohydrate per serving of any food' },
+    paleo:{ label:'Paleo', foods:['dairy','gluten','grains','legumes','soy','peanuts','sugars'], groups:['Whole Grains','Pasta','Legumes','Dairy'], prompt:'no grains, legumes, dairy or added sugar' },
+    mind:{ label:'MIND', flag:'mind', prompt:'MIND-diet foods only' },
+    mediterranean:{ label:'Mediterranean', flag:'mediterranean', prompt:'Mediterranean-diet foods only' },
+    dash:{ label:'DASH', flag:'dash', prompt:'DASH-compatible foods only' }
+  };
+
+  const clean = v => String(v==null ? '' : v).replace(/\s+/g,' ').trim();
+  const norm = s => ' ' + clean(s).toLowerCase().replace(/[^a-z0-9]+/g,' ').trim() + ' ';
+  const list = v => (Array.isArray(v) ? v : String(v||'').split(/[,;\n]/)).map(clean).filter(Boolean);
+
+  // Any input → a profile with known allergens / diet only; null without a name
+  function normalizeProfile(p){
+    if (!p || !clean(p.name)) return null;
+    const servings = Math.round(Number(p.servings));
+    return {
+      name: clean(p.name),
+      allergens: Array.from(new Set(list(p.allergens).filter(a=>ALLERGENS[a]))),
+      diet: DIETS[clean(p.diet)] ? clean(p.diet) : '',
+      dislikes: Array.from(new Set(list(p.dislikes))),
+      goals: Array.from(new Set(list(p.goals))),
+      servings: servings >= 1 && servings <= 12 ? servings : null
+    };
+  }
+
+  // profile → [{ reason, foods:[RegExp], groups:[group], flag, max, dislike }] — one rule per allergen, dislike and the diet
+  function rulesFor(profile){
+    profile = normalizeProfile(profile);
+    if (!profile) return [];
+    const rules = profile.allergens.map(id=>({
+      reason: `${ALLERGENS[id].label.replace(/ \(.*\)$/,'').toLowerCase()} allergy`,
+      foods: ALLERGENS[id].foods.map(f=>FOODS[f]), groups: ALLERGENS[id].groups || []
+    }));
+    for (const d of profile.dislikes) rules.push({ reason:`disliked (${d})`, foods:[], groups:[], dislike: norm(d) });
+    const diet = DIETS[profile.diet];
+    if (diet) rules.push({ reason:`not ${diet.label}`, foods:(diet.foods||[]).map(f=>FOODS[f]), groups: diet.groups || [], flag: diet.flag || null, max: diet.max || null });
+    return rules;
+  }
+
+  // The name-based part of a rule: the ingredient's name (or its catalog name) matches a food pattern or a dislike.
+  // A dislike matches whole words from the start ("mushroom" matches "Mushrooms", "nut" does not match "Walnuts").
+  function nameMatches(rule, names){
+    return names.some(n=>{
+      if (!clean(n)) return false;
+      if (rule.dislike) return new RegExp(`\\s${rule.dislike.trim().replace(/ /g,'\\s')}`).test(norm(n));
+      return rule.foods.some(re=>re.test(n));
+    });
+  }
+
+  // Lines for the recipe engine's user message; [] without a profile
+  function promptLines(profile){
+    profile = normalizeProfile(profile);
+    if (!profile) return [];
+    const lines = [`Client profile: ${profile.name}.`];
+    if (profile.allergens.length) lines.push(`Allergies — never use these or anything made from them: ${profile.allergens.map(a=>ALLERGENS[a].label).join(', ')}.`);
+    if (profile.diet) lines.push(`Diet: ${DIETS[profile.diet].label} (${DIETS[profile.diet].prompt}).`);
+    if (profile.dislikes.length) lines.push(`Disliked foods — do not use: ${profile.dislikes.join(', ')}.`);
+    if (profile.servings) lines.push(`Unless asked otherwise, each recipe serves ${profile.servings}.`);
+    return lines;
+  }
+
+  // ------- Storage and files -------
+  // storage: a Storage (localStorage by default; none under Node). The export file:
+  //   { format:'brainpreserve-profiles', version:1, exportedAt, profiles:[{ name, allergens, diet, dislikes, goals, servings }] }
+  const defaultStorage = () => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+  function loadProfiles(storage){
+    storage = storage || defaultStorage();
+    try{
+      const saved = storage && JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+      return ((saved && saved.profiles) || []).map(normalizeProfile).filter(Boolean);
+    }catch(e){ console.info(`Saved profiles not loaded: ${e.message}`); return []; }
+  }
+
+  function saveProfiles(profiles, storage){
+    storage = storage || defaultStorage();
+    if (!storage) return;
+    storage.setItem(STORAGE_KEY, JSON.stringify({ format:FORMAT, version:VERSION, profiles: profiles.map(normalizeProfile).filter(Boolean) }));
+  }
+
+  function activeName(storage){
+    storage = storage || defaultStorage();
+    try{ return (storage && storage.getItem(ACTIVE_KEY)) || ''; }catch(e){ return ''; }
+  }
+  function setActiveName(name, storage){
+    storage = storage || defaultStorage();
+    if (!storage) return;
+    if (name) storage.setItem(ACTIVE_KEY, name); else storage.removeItem(ACTIVE_KEY);
+  }
+
+  // Adds or replaces (by name, case-insensitive) → the new list
+  function upsert(profiles, profile){
+    const p = normalizeProfile(profile);
+    if (!p) throw new Error('A profile needs a name.');
+    const same = x => x.name.toLowerCase()===p.name.toLowerCase();
+    return profiles.some(same) ? profiles.map(x=>same(x) ? p : x) : [...profiles, p];
+  }
+
+  function exportProfiles(profiles){
+    return JSON.stringify({ format:FORMAT, version:VERSION, exportedAt:new Date().toISOString(), profiles: profiles.map(normalizeProfile).filter(Boolean) }, null, 2);
+  }
+
+  // text: an exported file → { profiles: existing with the imported ones added or replaced, imported: count }
+  function importProfiles(text, existing){
+    const data = typeof text==='string' ? JSON.parse(text) : text;
+    if (!data || data.format!==FORMAT || !Array.isArray(data.profiles)) throw new Error('Not a BrainPreserve profiles file.');
+    if (data.version > VERSION) throw new Error(`Profiles file version ${data.version} is newer than this page supports (${VERSION}).`);
+    const incoming = data.profiles.map(normalizeProfile).filter(Boolean);
+    return { profiles: incoming.reduce(upsert, existing || []), imported: incoming.length };
+  }
+
+  return {
+    FORMAT, VERSION, FOODS, ALLERGENS, DIETS,
+    normalizeProfile, rulesFor, nameMatches, promptLines,
+    loadProfiles, saveProfiles, activeName, setActiveName, upsert, exportProfiles, importProfiles
+  };
+});
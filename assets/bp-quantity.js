@@ -0,0 +1,168 @@
+/* BrainPreserve – Quantities & serving sizes
+ * Drop-in file: /assets/bp-quantity.js (load before bp-core.js)
+ * Exposes window.BP.quantity in the browser; module.exports under Node.
+ *
+ * What it does
+ * 1) Parses amounts as people write them: "1", "1.5", "1/2", "1 1/2", "½", "1½", "1–2" (range → midpoint)
+ * 2) Parses recipe lines: "1 ½ cups chopped spinach" → { quantity:1.5, unit:'cup', name:'spinach' }
+ * 3) Normalizes the free-text serving columns (main.csv / diet_tool.csv "Serving Size (Estimation)", gi_gl.csv "Serving Size"):
+ *    "1 cup raw / ½ cup cooked (1 handful)" → [{1 cup, raw}, {½ cup, cooked}, {1 handful}]
+ * 4) Scales a recipe amount against a serving: 2 cups spinach vs "1 cup raw / ..." → ×2
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.BP || (root.BP = {})).quantity = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  const FRACTIONS = { '½':0.5, '⅓':1/3, '⅔':2/3, '¼':0.25, '¾':0.75, '⅕':0.2, '⅖':0.4, '⅗':0.6, '⅘':0.8, '⅙':1/6, '⅚':5/6, '⅛':0.125, '⅜':0.375, '⅝':0.625, '⅞':0.875 };
+  const FRACTION_CHARS = Object.keys(FRACTIONS).join('');
+
+  // Every unit normalizes to a dimension and a factor to that dimension's base (ml, g, each, handful)
+  const UNITS = {
+    cup:{dim:'volume',base:240}, tbsp:{dim:'volume',base:15}, tsp:{dim:'volume',base:5}, ml:{dim:'volume',base:1}, l:{dim:'volume',base:1000},
+    'fl oz':{dim:'volume',base:30}, pint:{dim:'volume',base:473}, quart:{dim:'volume',base:946}, pinch:{dim:'volume',base:0.3}, dash:{dim:'volume',base:0.6},
+    g:{dim:'mass',base:1}, kg:{dim:'mass',base:1000}, mg:{dim:'mass',base:0.001}, oz:{dim:'mass',base:28.35}, lb:{dim:'mass',base:453.6},
+    each:{dim:'count',base:1},
+    handful:{dim:'handful',base:1}
+  };
+  const UNIT_ALIASES = {
+    cup:'cup', cups:'cup', c:'cup',
+    tablespoon:'tbsp', tablespoons:'tbsp', tbsp:'tbsp', tbs:'tbsp', tbl:'tbsp', tbsps:'tbsp',
+    teaspoon:'tsp', teaspoons:'tsp', tsp:'tsp', tsps:'tsp',
+    ml:'ml', milliliter:'ml', milliliters:'ml', millilitre:'ml', millilitres:'ml',
+    l:'l', liter:'l', liters:'l', litre:'l', litres:'l',
+    'fl oz':'fl oz', 'fluid ounce':'fl oz', 'fluid ounces':'fl oz',
+    pint:'pint', pints:'pint', quart:'quart', quarts:'quart', pinch:'pinch', pinches:'pinch', dash:'dash', dashes:'dash',
+    g:'g', gram:'g', grams:'g', gr:'g', kg:'kg', kilogram:'kg', kilograms:'kg', mg:'mg', milligram:'mg', milligrams:'mg',
+    oz:'oz', ounce:'oz', ounces:'oz', lb:'lb', lbs:'lb', pound:'lb', pounds:'lb',
+    each:'each', whole:'each', small:'each', medium:'each', large:'each', piece:'each', pieces:'each', slice:'each', slices:'each',
+    clove:'each', cloves:'each', stalk:'each', stalks:'each', bar:'each', bars:'each', package:'each', packages:'each', pack:'each',
+    can:'each', cans:'each', fillet:'each', fillets:'each', sprig:'each', sprigs:'each', bunch:'each', bunches:'each', head:'each', heads:'each',
+    handful:'handful', handfuls:'handful'
+  };
+  // Words in front of an ingredient name that describe preparation, not the food
+  const PREP_WORDS = /^(?:(?:freshly|finely|roughly|thinly|coarsely|lightly)\s+)?(?:chopped|diced|minced|sliced|grated|shredded|crushed|ground|fresh|frozen|rinsed|drained|cubed|halved|peeled|packed|heaping|level|of)\b\s*/i;
+  const STATE_WORDS = ['raw','cooked','dried','canned','fresh'];
+
+  const AMOUNT = `(?:\\d+(?:\\.\\d+)?\\s*[${FRACTION_CHARS}]|\\d+\\s+\\d+\\s*[/⁄]\\s*\\d+|\\d+\\s*[/⁄]\\s*\\d+|\\d*\\.?\\d+|[${FRACTION_CHARS}])`;
+  const AMOUNT_RE = new RegExp(`^(?:~|≈|about\\s+|approx\\.?\\s*)?(${AMOUNT})(?:\\s*(?:-|–|—|to)\\s*(${AMOUNT}))?`, 'i');
+
+  // "1", "1.5", "1/2", "1 1/2", "½", "1½" → number (NaN when not an amount)
+  function parseNumber(s){
+    s = String(s||'').trim();
+    let m;
+    if ((m = s.match(new RegExp(`^(\\d+(?:\\.\\d+)?)?\\s*([${FRACTION_CHARS}])$`)))) return (m[1]?Number(m[1]):0) + FRACTIONS[m[2]];
+    if ((m = s.match(/^(\d+)\s+(\d+)\s*[/⁄]\s*(\d+)$/))) return Number(m[1]) + Number(m[2])/Number(m[3]);
+    if ((m = s.match(/^(\d+)\s*[/⁄]\s*(\d+)$/))) return Number(m[2]) ? Number(m[1])/Number(m[2]) : NaN;
+    const n = Number(s);
+    return s !== '' && isFinite(n) ? n : NaN;
+  }
+
+  // Leading amount of a string (ranges → midpoint). Returns { value, rest } or null.
+  function parseAmount(str){
+    const s = String(str||'').trim();
+    const m = s.match(AMOUNT_RE);
+    if (!m) return null;
+    const a = parseNumber(m[1]), b = m[2] ? parseNumber(m[2]) : NaN;
+    const value = isFinite(b) ? (a+b)/2 : a;
+    if (!isFinite(value)) return null;
+    return { value, rest: s.slice(m[0].length).trim() };
+  }
+
+  // Leading unit of a string. Returns { unit, rest }; unit is '' when none is recognized.
+  function parseUnit(str){
+    const s = String(str||'').trim();
+    const sized = s.match(/^(?:small|medium|large)\s+(handfuls?)\b/i); // "small handful" is a handful, not an item
+    if (sized) return { unit:'handful', rest: s.slice(sized[0].length).trim() };
+    const m = s.match(/^(fl\.?\s*oz|fluid\s+ounces?|[a-zA-Z]+)\.?(?![a-zA-Z])/);
+    if (m){
+      const word = m[1].toLowerCase().replace(/\./g,'').replace(/\s+/g,' ');
+      if (UNIT_ALIASES[word]) return { unit: UNIT_ALIASES[word], rest: s.slice(m[0].length).trim() };
+    }
+    return { unit:'', rest:s };
+  }
+
+  function cleanName(s){
+    let name = String(s||'')
+      .replace(/^\(.*?\)\s*/,'')          // "(15 oz) can chickpeas" → "can chickpeas"
+      .replace(/\bto taste\b/i,'')
+      .trim();
+    let prev;
+    do { prev = name; name = name.replace(PREP_WORDS,''); } while (name !== prev);
+    // Drop a trailing ", chopped" style note, but keep commas inside parentheses ("Grits (whole grain, cooked)")
+    let depth = 0;
+    for (let i=0;i<name.length;i++){
+      const c = name[i];
+      if (c==='(') depth++; else if (c===')') depth = Math.max(0, depth-1);
+      else if (c===',' && depth===0){ name = name.slice(0,i); break; }
+    }
+    return name.replace(/\s+/g,' ').trim();
+  }
+
+  // "1 ½ cups chopped spinach" → { quantity:1.5, unit:'cup', name:'spinach', raw }
+  // "salt, to taste" → { quantity:null, unit:'', name:'salt', raw }
+  function parseIngredientLine(line){
+    const raw = String(line||'').trim();
+    const body = raw.replace(/^(?:[-*•·]\s+|\d+[.)]\s+(?=\D))/,'');
+    const amt = parseAmount(body);
+    if (!amt) return { quantity:null, unit:'', name: cleanName(body), raw };
+    let rest = amt.rest.replace(/^\(.*?\)\s*/,'');
+    const u = parseUnit(rest);
+    let unit = u.unit;
+    rest = u.rest.replace(/^of\s+/i,'');
+    if (!unit) unit = 'each'; // "2 eggs"
+    return { quantity: amt.value, unit, name: cleanName(rest), raw };
+  }
+
+  // Serving-size text → list of alternative measures [{ quantity, unit, state, text }]
+  function parseServing(text){
+    const src = String(text||'').replace(/(\d)\s*\/\s*(\d)/g,'$1⁄$2'); // protect "1/2" from the "/" separator
+    const pieces = [];
+    // Parenthesised parts are alternatives too: "1 oz (small handful)", "10 large (30g)"
+    const outer = src.replace(/\(([^)]*)\)/g, (_, inner)=>{ pieces.push(inner); return ' '; });
+    pieces.unshift(outer);
+    const alts = [];
+    for (const piece of pieces){
+      for (let part of piece.split(/\s*(?:\/|;|\bor\b)\s*/i)){
+        part = part.replace(/^(?:approx\.?|about)\s*/i,'').trim();
+        if (!part) continue;
+        if (/^(?:small|medium|large)\s+handful/i.test(part)){ alts.push({ quantity:1, unit:'handful', state:'', text:part }); continue; }
+        const amt = parseAmount(part);
+        if (!amt) continue;
+        const u = parseUnit(amt.rest);
+        const unit = u.unit || 'each';
+        const state = STATE_WORDS.find(w=>new RegExp(`\\b${w}\\b`,'i').test(u.rest)) || '';
+        alts.push({ quantity: amt.value, unit, state, text: part.replace(/⁄/g,'/') });
+      }
+    }
+    return alts;
+  }
+
+  function toBase(quantity, unit){
+    const info = UNITS[unit || 'each'];
+    if (!info || quantity==null || !isFinite(quantity)) return null;
+    return { dim: info.dim, value: quantity * info.base };
+  }
+
+  // How many servings `amount` ({quantity, unit, raw?}) is, measured against the serving text.
+  // Returns { factor, serving } or null when the two cannot be compared (no quantity, or e.g. grams vs cups).
+  function scaleToServing(amount, servingText){
+    if (!amount || amount.quantity==null) return null;
+    const have = toBase(amount.quantity, amount.unit);
+    if (!have) return null;
+    const alts = parseServing(servingText).map(a=>({ alt:a, base: toBase(a.quantity, a.unit) })).filter(x=>x.base && x.base.dim===have.dim && x.base.value>0);
+    if (!alts.length) return null;
+    const hint = STATE_WORDS.find(w=>new RegExp(`\\b${w}\\b`,'i').test(amount.raw||amount.name||''));
+    const pick = (hint && alts.find(x=>x.alt.state===hint)) || alts[0];
+    return { factor: have.value / pick.base.value, serving: pick.alt.text };
+  }
+
+  function formatAmount(a){
+    if (!a || a.quantity==null) return '';
+    const q = Math.round(a.quantity*100)/100;
+    return a.unit && a.unit!=='each' ? `${q} ${a.unit}` : String(q);
+  }
+
+  return { UNITS, parseNumber, parseAmount, parseUnit, parseIngredientLine, parseServing, toBase, scaleToServing, formatAmount };
+});
@@ -0,0 +1,149 @@
+/* BrainPreserve – Recipe scoring & goal checks
+ * Drop-in file: /assets/bp-scoring.js — carb-weighted GI, GL per serving, portion-weighted DII and a verdict per goal.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.BP || (root.BP = {})).scoring = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+  'use strict';
+
+  // Stand-in DII for ingredients that only carry a flag (diet_tool.csv scores run from about -2 to +0.8)
+  const FLAG_DII = { antiInflammatory:-1, proInflammatory:0.4 };
+
+  // Thresholds per goal; lower is better unless noted. Keys match the GOALS checklist in index.html.
+  const GOAL_RULES = {
+    'Blood Sugar Control (Low GI/GL)': { glPerServing:{ pass:10, warn:20 }, gi:{ pass:55, warn:69 } },
+    'Anti-inflammatory Focus (Lower DII)': { dii:{ pass:-0.5, warn:0 } },
+    'Weight Loss / Metabolic Health': { caloriesPerServing:{ pass:600, warn:800 }, fiberPerServing:{ pass:8, warn:5 } },          // fiber: higher is better
+    'Cardiovascular Support (Low Sodium / Healthy Fats)': { dashShare:{ pass:0.75, warn:0.5 } },                                  // higher is better
+    'General Cognitive Health': { mindShare:{ pass:0.75, warn:0.5 } },                                                           // higher is better
+    'Microbiome Support (Pre/Pro/Post-biotic)': { prebiotics:{ pass:2, warn:1 } },                                              // + one pre/post-biotic source to pass
+    'Sleep Support': { sleepNutrients:{ pass:2, warn:1 } }
+  };
+  const SLEEP_COMPOUNDS = /\b(magnesium|tryptophan|melatonin|glycine|b6|vitamin b6)\b/i;
+  const STIMULANTS = /\b(coffee|espresso|green tea|black tea|matcha|cacao|cocoa|dark chocolate|guarana)\b/i;
+
+  const isNum = v => typeof v === 'number' && isFinite(v);
+  const round = (v, d=1) => isNum(v) ? Math.round(v * 10**d) / 10**d : null;
+  const sum = (xs) => xs.reduce((a,b)=>a+(isNum(b)?b:0), 0);
+
+  function inflammatoryValue(it){
+    if (isNum(it.dii)) return { value: it.dii, basis:'score' };
+    if (it.proInflammatory) return { value: FLAG_DII.proInflammatory, basis:'flag' };
+    if (it.antiInflammatory) return { value: FLAG_DII.antiInflammatory, basis:'flag' };
+    return null;
+  }
+
+  // Share of the recipe's portions for which `pred` holds (ingredients without data are left out)
+  function portionShare(items, known, pred){
+    const rel = items.filter(known);
+    const total = sum(rel.map(i=>i.portions));
+    return total > 0 ? sum(rel.filter(pred).map(i=>i.portions)) / total : null;
+  }
+
+  // items: already scaled to the recipe amounts by bp-core.js (numbers null when the datasets have no value):
+  //   { name, portions, gi, carbs, gl, dii, antiInflammatory, proInflammatory, calories, fiber, protein,
+  //     mind, dash, microbiome, biotic, compounds, caution }
+  // Carbs per serving are derived as GL × 100 / GI; DII falls back to the flags (FLAG_DII).
+  function scoreRecipe(items, servings){
+    servings = Math.max(1, Number(servings) || 1);
+    const withCarbs = items.filter(i=>isNum(i.gi) && isNum(i.carbs) && i.carbs > 0);
+    const carbs = sum(withCarbs.map(i=>i.carbs));
+    const gi = carbs > 0 ? sum(withCarbs.map(i=>i.gi * i.carbs)) / carbs : null;
+    const glTotal = items.some(i=>isNum(i.gl)) ? sum(items.map(i=>i.gl)) : null;
+
+    const infl = items.map(i=>({ it:i, v:inflammatoryValue(i) })).filter(x=>x.v && isNum(x.it.portions) && x.it.portions > 0);
+    const inflWeight = sum(infl.map(x=>x.it.portions));
+    const dii = inflWeight > 0 ? sum(infl.map(x=>x.v.value * x.it.portions)) / inflWeight : null;
+
+    const perServing = (field) => items.some(i=>isNum(i[field])) ? sum(items.map(i=>i[field])) / servings : null;
+    const flagged = (field) => (i) => typeof i[field] === 'boolean';
+    return {
+      servings,
+      gi: round(gi, 0),
+      carbs: round(carbs),
+      glTotal: round(glTotal),
+      glPerServing: isNum(glTotal) ? round(glTotal / servings) : null,
+      dii: round(dii, 2),
+      diiBasis: { scored: infl.filter(x=>x.v.basis==='score').length, flagged: infl.filter(x=>x.v.basis==='flag').length },
+      caloriesPerServing: round(perServing('calories'), 0),
+      fiberPerServing: round(perServing('fiber')),
+      proteinPerServing: round(perServing('protein')),
+      mindShare: round(portionShare(items, flagged('mind'), i=>i.mind), 2),
+      dashShare: round(portionShare(items, flagged('dash'), i=>i.dash), 2),
+      items
+    };
+  }
+
+  // value vs {pass, warn}: lower-is-better unless pass > warn
+  function grade(value, t){
+    if (!isNum(value)) return 'n/a';
+    const higherIsBetter = t.pass > t.warn;
+    if (higherIsBetter) return value >= t.pass ? 'pass' : value >= t.warn ? 'warn' : 'fail';
+    return value <= t.pass ? 'pass' : value <= t.warn ? 'warn' : 'fail';
+  }
+  const RANK = { 'n/a':0, pass:1, warn:2, fail:3 };
+  const worst = (...vs) => vs.reduce((a,b)=> RANK[b] > RANK[a] ? b : a, 'n/a');
+
+  // Ingredients contributing at least `share` of a summed field, largest first
+  function topContributors(items, field, share){
+    const total = sum(items.map(i=>i[field]));
+    if (!(total > 0)) return [];
+    return items.filter(i=>isNum(i[field]) && i[field] / total >= share).sort((a,b)=>b[field]-a[field]).map(i=>i.name);
+  }
+
+  const CHECKS = {
+    'Blood Sugar Control (Low GI/GL)': (s, r) => {
+      const verdict = worst(grade(s.glPerServing, r.glPerServing), grade(s.gi, r.gi));
+      const culprits = [...new Set([...topContributors(s.items, 'gl', 0.25), ...s.items.filter(i=>isNum(i.gi) && i.gi > r.gi.warn).map(i=>i.name)])];
+      return { verdict, culprits, message: `GL ${s.glPerServing ?? '—'} per serving (target ≤ ${r.glPerServing.pass}); recipe GI ${s.gi ?? '—'} (low ≤ ${r.gi.pass})` };
+    },
+    'Anti-inflammatory Focus (Lower DII)': (s, r) => {
+      const culprits = s.items.filter(i=>{ const v = inflammatoryValue(i); return v && v.value > 0; }).map(i=>i.name);
+      const basis = s.diiBasis.flagged ? ` (${s.diiBasis.flagged} ingredient(s) estimated from flags)` : '';
+      return { verdict: grade(s.dii, r.dii), culprits, message: `Portion-weighted DII ${s.dii ?? '—'} (target ≤ ${r.dii.pass})${basis}` };
+    },
+    'Weight Loss / Metabolic Health': (s, r) => {
+      const verdict = worst(grade(s.caloriesPerServing, r.caloriesPerServing), grade(s.fiberPerServing, r.fiberPerServing));
+      return { verdict, culprits: topContributors(s.items, 'calories', 0.3),
+        message: `${s.caloriesPerServing ?? '—'} kcal and ${s.fiberPerServing ?? '—'} g fiber per serving (targets ≤ ${r.caloriesPerServing.pass} kcal, ≥ ${r.fiberPerServing.pass} g fiber)` };
+    },
+    'Cardiovascular Support (Low Sodium / Healthy Fats)': (s, r) => {
+      const culprits = s.items.filter(i=>i.dash===false || /saturated fat/i.test(i.caution||'')).map(i=>i.name);
+      const pct = isNum(s.dashShare) ? Math.round(s.dashShare*100) : '—';
+      return { verdict: grade(s.dashShare, r.dashShare), culprits, message: `${pct}% of portions are DASH-compatible (target ≥ ${r.dashShare.pass*100}%); sodium is not in the datasets — check added salt` };
+    },
+    'General Cognitive Health': (s, r) => {
+      const pct = isNum(s.mindShare) ? Math.round(s.mindShare*100) : '—';
+      return { verdict: grade(s.mindShare, r.mindShare), culprits: s.items.filter(i=>i.mind===false).map(i=>i.name),
+        message: `${pct}% of portions are MIND-diet foods (target ≥ ${r.mindShare.pass*100}%)` };
+    },
+    'Microbiome Support (Pre/Pro/Post-biotic)': (s, r) => {
+      const pre = s.items.filter(i=>/prebiotic/i.test(i.biotic||''));
+      const live = s.items.filter(i=>/probiotic|postbiotic/i.test(i.biotic||''));
+      let verdict = grade(pre.length, r.prebiotics);
+      if (verdict==='pass' && !live.length) verdict = 'warn';
+      const culprits = s.items.filter(i=>i.microbiome===false && !/biotic/i.test(i.biotic||'')).map(i=>i.name);
+      return { verdict, culprits, message: `${pre.length} prebiotic and ${live.length} probiotic/postbiotic source(s) (target ≥ ${r.prebiotics.pass} prebiotic + 1 fermented)` };
+    },
+    'Sleep Support': (s, r) => {
+      const helpers = s.items.filter(i=>SLEEP_COMPOUNDS.test(i.compounds||''));
+      const stimulants = s.items.filter(i=>STIMULANTS.test(i.name));
+      let verdict = grade(helpers.length, r.sleepNutrients);
+      if (stimulants.length) verdict = worst(verdict, 'warn');
+      return { verdict, culprits: stimulants.map(i=>i.name),
+        message: `${helpers.length} magnesium/tryptophan-rich ingredient(s)${stimulants.length ? '; contains stimulants' : ''}` };
+    }
+  };
+
+  // → [{ goal, verdict:'pass'|'warn'|'fail'|'n/a', message, culprits:[names] }]
+  function evaluateGoals(goals, score){
+    return (goals || []).map(goal=>{
+      const check = CHECKS[goal], rule = GOAL_RULES[goal];
+      if (!check || !rule) return { goal, verdict:'n/a', message:'No automatic check for this goal.', culprits:[] };
+      return Object.assign({ goal }, check(score, rule));
+    });
+  }
+
+  return { FLAG_DII, GOAL_RULES, scoreRecipe, evaluateGoals, grade };
+});
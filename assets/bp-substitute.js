@@ -0,0 +1,101 @@
+/* BrainPreserve – Ingredient substitutions
+ * Drop-in file: /assets/bp-substitute.js — ranks swaps for a flagged ingredient by the role it keeps and the metrics it improves.
+ */
+(function(root, factory){
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./bp-scoring.js'));
+  else (root.BP || (root.BP = {})).substitute = factory(root.BP && root.BP.scoring);
+})(typeof self !== 'undefined' ? self : this, function(Scoring){
+  'use strict';
+
+  const FLAG_DII = (Scoring && Scoring.FLAG_DII) || { antiInflammatory:-1, proInflammatory:0.4 };
+  const isNum = v => typeof v === 'number' && isFinite(v);
+
+  // better: 'lower' for amounts and scores, 'flag' for ✓ columns (a candidate with the flag beats one without)
+  const METRICS = {
+    gl:{ label:'GL', better:'lower', value: i => i.gl },
+    gi:{ label:'GI', better:'lower', value: i => i.gi },
+    dii:{ label:'DII', better:'lower', value: i => isNum(i.dii) ? i.dii : i.proInflammatory ? FLAG_DII.proInflammatory : i.antiInflammatory ? FLAG_DII.antiInflammatory : null },
+    calories:{ label:'kcal', better:'lower', value: i => i.calories },
+    mind:{ label:'MIND', better:'flag', value: i => i.mind },
+    mediterranean:{ label:'Mediterranean', better:'flag', value: i => i.mediterranean },
+    dash:{ label:'DASH', better:'flag', value: i => i.dash },
+    microbiome:{ label:'Microbiome-supporting', better:'flag', value: i => i.microbiome }
+  };
+
+  // Goals (the GOALS checklist in index.html) whose culprits get swaps, and the metrics a swap should improve.
+  // Sleep Support has none: its culprits are stimulants by name, not by a data column.
+  const GOAL_METRICS = {
+    'Blood Sugar Control (Low GI/GL)': ['gl','gi'],
+    'Anti-inflammatory Focus (Lower DII)': ['dii'],
+    'Weight Loss / Metabolic Health': ['calories'],
+    'Cardiovascular Support (Low Sodium / Healthy Fats)': ['dash'],
+    'General Cognitive Health': ['mind'],
+    'Microbiome Support (Pre/Pro/Post-biotic)': ['microbiome']
+  };
+
+  // The ingredient's role: what it mainly brings to the dish per serving (protein and fiber in g, calories in kcal).
+  // The sheets carry no fat column, so a calorie-dense ingredient with little protein or fiber counts as a fat.
+  const ROLE_THRESHOLDS = { protein:7, fiber:3, calories:80 };
+  function roleOf(item){
+    if (isNum(item.protein) && item.protein >= ROLE_THRESHOLDS.protein) return 'protein';
+    if (isNum(item.fiber) && item.fiber >= ROLE_THRESHOLDS.fiber) return 'fiber';
+    if (isNum(item.calories) && item.calories >= ROLE_THRESHOLDS.calories) return 'fat';
+    return 'other';
+  }
+  const hasRoleData = item => isNum(item.protein) || isNum(item.fiber) || isNum(item.calories);
+
+  // 0–1: how close the candidate's protein, fiber and calories are to the original's (unknown values count as half a match)
+  function roleSimilarity(from, to){
+    const part = (a, b, floor) => (isNum(a) && isNum(b)) ? 1 - Math.min(1, Math.abs(a - b) / Math.max(a, b, floor)) : 0.5;
+    const sameRole = roleOf(from)===roleOf(to) ? 1 : 0;
+    return (part(from.protein, to.protein, ROLE_THRESHOLDS.protein) + part(from.fiber, to.fiber, ROLE_THRESHOLDS.fiber)
+      + part(from.calories, to.calories, ROLE_THRESHOLDS.calories) + sameRole) / 4;
+  }
+
+  // 0–1 improvement on one metric; null when it cannot be compared, negative when the candidate is worse
+  function gain(metric, from, to){
+    const m = METRICS[metric];
+    const a = m.value(from), b = m.value(to);
+    if (m.better==='flag'){
+      if (typeof b !== 'boolean') return null;
+      return b===true && a!==true ? 1 : (b===false && a===true ? -1 : 0);
+    }
+    if (!isNum(b)) return null;
+    if (!isNum(a)) return 0;
+    return Math.max(-1, Math.min(1, (a - b) / Math.max(Math.abs(a), 1)));
+  }
+
+  // Items are per reference serving (bp-core.js does the lookups):
+  //   { key, name, category, protein, fiber, calories, gi, gl, dii, antiInflammatory, proInflammatory,
+  //     mind, mediterranean, dash, microbiome }
+  // Numbers are null and flags undefined when the datasets have no value.
+  // from: the flagged item; candidates: items (already free of exclusions and of the recipe's other ingredients)
+  // opts: { metrics:[ids], crossCategory, limit } → [{ item, score, role, sameCategory, changes:[{ metric, label, from, to }] }]
+  // A candidate must improve every given metric it can be compared on, and at least one of them. An ingredient
+  // without any protein, fiber or calorie data has no role to keep and gets no cross-category swaps. Candidates come
+  // from the same categories.csv category; crossCategory (for exclusions, which usually rule out the whole category)
+  // falls back to any category, ranked by role alone when no metric applies.
+  function rank(from, candidates, opts){
+    opts = opts || {};
+    const metrics = (opts.metrics || []).filter(m=>METRICS[m]);
+    const category = String(from.category||'').toLowerCase();
+    const score = to => {
+      const gains = metrics.map(m=>gain(m, from, to)).filter(g=>g!==null);
+      if (metrics.length && (!gains.length || gains.some(g=>g < 0) || !gains.some(g=>g > 0))) return null;
+      const role = roleSimilarity(from, to);
+      const improvement = gains.length ? gains.reduce((a,b)=>a+b, 0) / gains.length : 0;
+      const sameCategory = !!category && String(to.category||'').toLowerCase()===category;
+      return {
+        item: to, role, sameCategory,
+        score: Math.round((metrics.length ? (role + improvement) / 2 : role) * 100) / 100,
+        changes: metrics.map(m=>({ metric:m, label:METRICS[m].label, from:METRICS[m].value(from), to:METRICS[m].value(to) }))
+      };
+    };
+    const scoreAll = pool => pool.filter(c=>c.key!==from.key).map(score).filter(Boolean).sort((a,b)=>(b.score-a.score) || a.item.name.localeCompare(b.item.name));
+    let out = scoreAll(candidates.filter(c=>category && String(c.category||'').toLowerCase()===category));
+    if (!out.length && opts.crossCategory && hasRoleData(from)) out = scoreAll(candidates);
+    return out.slice(0, opts.limit || 3);
+  }
+
+  return { METRICS, GOAL_METRICS, ROLE_THRESHOLDS, roleOf, roleSimilarity, gain, rank };
+});
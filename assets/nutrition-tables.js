@@ -1,20 +1,9 @@
 /* BrainPreserve – Auto Nutrition Tables (Five Tables)
- * Drop-in file: /assets/nutrition-tables.js
- * Requires: Papa Parse (CDN) before this script
- * Renders automatically when you call: window.BP.renderTables(["Avocado","Cheddar","Eggs"]) 
- * or dispatch: window.dispatchEvent(new CustomEvent('bp:recipe-ready',{detail:{ingredients:[...]}}))
- *
- * What it does
- * 1) Robustly loads multiple CSVs (headers with quotes/commas OK) using Papa.parse
- * 2) Normalizes ingredient names (case/spacing/punctuation) + synonym map
- * 3) Merges rows across CSVs into a canonical per-ingredient record
- * 4) Renders the five required tables (Nutrition; Cognitive & Other Health Benefits; Diet Compatibility; Microbiome Benefit; Micronutrient Benefits)
- * 5) Shows clear diagnostics for unmapped ingredients / missing columns (no more silent N/A)
- *
- * How to configure
- * - Place your CSVs in /data with the exact filenames used below or change CSV_SOURCES URLs to match your repo paths.
- * - Ensure each CSV includes a primary key column that names the ingredient (default key: "Ingredient").
- * - You can extend the SYNONYMS map at the bottom without changing code.
+ * Drop-in file: /assets/nutrition-tables.js — after bp-core.js and the modules it lists; reads /data for the core
+ * (data/index.json, or the CSVs on localhost and with ?live-data) and renders what it computes.
+ * Call window.BP.renderTables(["Avocado","Cheddar","Eggs"]) or dispatch 'bp:recipe-ready' ({ detail:{ ingredients } });
+ * each render stores its record model in BP.lastTables and dispatches 'bp:tables-rendered' with it.
+ * Tables are configured in /data/mapping_*.csv; run `node scripts/build-index.js` after editing a CSV.
  */
 (function(){
   'use strict';
@@ -24,6 +13,10 @@
   const $$ = (sel, root=document) => Array.from(root.querySelectorAll(sel));
   const el = (tag, attrs={}) => Object.assign(document.createElement(tag), attrs);
   const text = (s) => document.createTextNode(String(s==null?"":s));
+  // The scoring and nutrient modules name things in the card notes; bp-core.js reports them in mappingIssues when missing
+  const Scoring = (window.BP && window.BP.scoring) || null;
+  const Nutrients = (window.BP && window.BP.nutrients) || null;
+  const Lint = (window.BP && window.BP.lint) || null; // optional: only the data check (BP.renderDataCheck) needs it
 
   // Inject minimal styles once
   (function injectStyles(){
@@ -43,218 +36,256 @@
       .bp-muted{color:#6b7280}
       .bp-small{font-size:12px}
       .bp-mono{font-family:ui-monospace,SFMono-Regular,Menlo,Monaco,Consolas,monospace}
+      .bp-verdict{display:inline-block;min-width:44px;text-align:center;border-radius:9999px;padding:2px 8px;margin-right:6px;font-size:12px;font-weight:600}
+      .bp-verdict-pass{background:#ecfdf5;color:#065f46}
+      .bp-verdict-warn{background:#fff7ed;color:#9a3412}
+      .bp-verdict-fail{background:#fef2f2;color:#991b1b}
+      .bp-verdict-na{background:#f3f4f6;color:#374151}
+      .bp-goals{list-style:none;padding:0;margin:8px 0 0}
+      .bp-goals li{margin:6px 0}
+      .bp-suggest{margin:4px 0 0;display:flex;flex-wrap:wrap;gap:6px;align-items:center}
+      .bp-suggest button{border:1px solid #fdba74;background:#fff;color:#7c2d12;border-radius:9999px;padding:2px 10px;font-size:12px;cursor:pointer}
+      .bp-suggest button:hover{background:#ffedd5}
+      .bp-table td.bp-conflict{background:#fff7ed}
+      .bp-fn{color:#9a3412;margin-left:2px}
+      .bp-footnotes{margin-top:8px;color:#7c2d12}
+      .bp-footnotes summary{cursor:pointer}
+      .bp-footnotes ol{margin:6px 0;padding-left:22px}
+      .bp-check details{margin:6px 0}
+      .bp-check summary{cursor:pointer}
+      .bp-check ul{margin:6px 0;padding-left:18px}
+      .bp-check li{margin:4px 0}
+      .bp-gap{color:#9a3412}
     `;
     document.head.appendChild(s);
   })();
 
-  // ------- CSV configuration -------
-  // If your files use different names/paths, change here (not in the code below).
-  // All CSVs must include a primary ingredient key column (default "Ingredient" or synonyms defined below).
-  const CSV_SOURCES = [
-    // ---- CORE NUTRITION (merged from multiple CSVs you already have) ----
-    { name:'main', url:'/data/main.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name','Display','Display Name'], expectAnyOf:[
-      'Serving Size (g)','ServingSize','Serving Size','Calories (kcal)','Calories','Fat (g)','Fat','Carbs (g)','Carbohydrates (g)','Carbohydrates','Protein (g)','Protein','Fiber (g)','Fiber','GI','GL','DII','Anti-Inflammatory Score','Key Micronutrients','Diet Tags','Microbiome Benefit Score'
-    ]},
-    { name:'protein', url:'/data/protein.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name'], expectAnyOf:['Protein (g)','Protein_g','Protein'] },
-    { name:'fiber', url:'/data/fiber.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name'], expectAnyOf:['Fiber (g)','Fiber_g','Fiber'] },
-
-    // ---- GI / GL ----
-    { name:'gi_gl', url:'/data/gi_gl.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name'], expectAnyOf:['GI','Glycemic Index','GL','Glycemic Load'] },
-
-    // ---- DII and Diet Compatibility come from diet_tool.csv in your repo ----
-    { name:'diet_tool', url:'/data/diet_tool.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name','Ingredient Name','Food Name'], expectAnyOf:[
-      'DII','Anti-Inflammatory Score','MIND','DASH','Mediterranean','Low GI','Keto','Paleo','Vegan','Vegetarian','Gluten-Free','Dairy-Free'
-    ]},
-
-    // ---- Cognitive & Other Health Benefits ----
-    { name:'cog', url:'/data/mapping_cognitive_other.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:['Direct Cognitive Benefits','Indirect Cognitive Benefits','Other Health Benefits'] },
-
-    // ---- Microbiome ----
-    { name:'micro', url:'/data/microbiome.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:['Microbiome Benefit','Prebiotic Fibers','Polyphenols','Microbiome Benefit Score'] },
-
-    // ---- Micronutrients ----
-    { name:'micros_food', url:'/data/micronutrients_food.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:[
-      'Vitamin A','Vitamin C','Vitamin D','Vitamin E','Vitamin K','B1','B2','B3','B5','B6','B7','B9','B12','Folate','Choline','Calcium','Magnesium','Zinc','Iron','Selenium','Potassium','Manganese','Copper','Omega-3','Key Micronutrients'
-    ]},
-    // Optional helper list (names/units) — merged if present
-    { name:'micros_list', url:'/data/micronutrients_list.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:['Vitamin A','Vitamin C','Magnesium','Zinc'], optional:true },
-
-    // ---- Synonym maps (optional). If present, they add Alias->Canonical mappings so names line up across files. ----
-    { name:'syn_map_nutrition', url:'/data/mapping_nutrition.csv', keyCandidates:['Alias','alias','ALIAS'], expectAnyOf:['Canonical','canonical','CANONICAL'], optional:true },
-    { name:'syn_map_diet', url:'/data/mapping_diet_compat.csv', keyCandidates:['Alias','alias','ALIAS'], expectAnyOf:['Canonical','canonical','CANONICAL'], optional:true },
-    { name:'syn_map_micro', url:'/data/mapping_microbiome.csv', keyCandidates:['Alias','alias','ALIAS'], expectAnyOf:['Canonical','canonical','CANONICAL'], optional:true },
-    { name:'syn_map_micros', url:'/data/mapping_micronutrients.csv', keyCandidates:['Alias','alias','ALIAS'], expectAnyOf:['Canonical','canonical','CANONICAL'], optional:true },
-
-    // ---- Optional files present in your repo (ignored if columns not relevant) ----
-    { name:'categories', url:'/data/categories.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:['Category','Diet Tags','Tags'], optional:true },
-    { name:'settings', url:'/data/settings_global.csv', keyCandidates:['Key','Setting','Name'], expectAnyOf:['Value'], optional:true },
-    { name:'moder', url:'/data/moder.csv', keyCandidates:['Ingredient','Food','Item','Name','Canonical','Canonical Name'], expectAnyOf:['Score','Mediterranean','DII'], optional:true }
-  ];
-
-  // ------- Name normalization & synonyms -------
-  const stripPunct = s => s.replace(/[()\[\]{}.,/!?:;"'`~]/g,' ');
-  const normalize = s => stripPunct(String(s||'').toLowerCase()).replace(/\s+/g,' ').trim();
-  const SYNONYMS = {
-    'evoo':'olive oil (extra virgin)',
-    'extra virgin olive oil':'olive oil (extra virgin)',
-    'avocado oil (cold pressed)':'avocado oil',
-    'tomatoes':'tomato', 'strawberries':'strawberry', 'eggs':'egg', 'walnuts':'walnut', 'almonds':'almond',
-    'chickpea pasta':'pasta (chickpea)','wholegrain pasta':'pasta (whole grain)','sourdough pasta':'pasta (sourdough)',
-    'cheddar cheese':'cheddar','parmigiano reggiano':'parmesan',
-  };
-
-  // ------- Data state -------
+  // ------- Data configuration -------
+  // Loading, name resolution, merging and every table's numbers live in bp-core.js (no DOM, also used from Node);
+  // this file reads /data for it and renders what it computes. The ingredient datasets (CSV_SOURCES), key columns,
+  // normalization and synonyms live in bp-index.js, shared with the build step (scripts/build-index.js).
+  const Index = (window.BP && window.BP.index) || null;
+  if (!Index) throw new Error('bp-index.js must be loaded before nutrition-tables.js');
+  const Core = (window.BP && window.BP.core) || null;
+  if (!Core) throw new Error('bp-core.js must be loaded before nutrition-tables.js');
+  const { normalize, clean, toNumber } = Index;
+
+  const DATA_DIR = '/data/';
+  // Precompiled index: the manifest is always fetched fresh, the index itself under its content hash (cacheable)
+  const INDEX_MANIFEST_URL = '/data/index.manifest.json';
+  // Aliases the user accepted from the diagnostics suggestions: { normalized name: canonical key }
+  const ALIAS_STORAGE_KEY = 'bp.aliases';
+
+  // ------- Page state -------
   const State = {
-    ready:false,
-    dataByKey: new Map(), // key -> merged record
-    keyToDisplay: new Map(), // key -> original display name
-    keyColByDataset: {},    // datasetName -> actual key column detected
-    synonymsDynamic: new Map(),
-    loadError:null
+    core: null,             // the loaded bp-core.js instance (set once BP.ready resolves)
+    lastRequest: null       // the last BP.renderTables inputs, re-rendered after an alias is accepted
   };
 
-  // ------- CSV Loader (Papa Parse required) -------
-  async function fetchCsv(url){
+  // ------- Index / CSV reader -------
+  // Dev hosts read the CSVs directly so edits show up without a rebuild; add ?live-data to force that anywhere
+  function liveDataWanted(){
+    return /^(localhost|127\.0\.0\.1|\[::1\])$/.test(location.hostname) || /[?&]live-data\b/.test(location.search);
+  }
+
+  // → the /data/index.json the manifest names, or null to read the CSVs
+  async function loadIndex(){
+    if (liveDataWanted()) return null;
+    try{
+      const res = await fetch(INDEX_MANIFEST_URL, {cache:'no-store'});
+      if (!res.ok) throw new Error(`manifest ${res.status}`);
+      const manifest = await res.json();
+      if (manifest.format!==Index.FORMAT || manifest.version!==Index.VERSION) throw new Error(`unsupported ${manifest.format} v${manifest.version}`);
+      const idx = await fetch(`${DATA_DIR}${manifest.file}?v=${encodeURIComponent(manifest.hash)}`).then(r=>{ if (!r.ok) throw new Error(`index ${r.status}`); return r.json(); });
+      if (idx.hash!==manifest.hash) throw new Error('index does not match its manifest');
+      return idx;
+    }catch(e){ console.info(`Ingredient index not used (${e.message}); reading the CSVs directly.`); return null; }
+  }
+
+  // bp-core.js reader: one /data file as rows (Papa Parse when the page loads it; bp-core.js parses the text otherwise)
+  async function readData(file){
+    const url = DATA_DIR + file;
     const res = await fetch(url, {cache:'no-store'});
     if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
     const text = await res.text();
+    if (!window.Papa) return text;
     return new Promise((resolve,reject)=>{
-      if (!window.Papa) return reject(new Error('Papa Parse is not loaded. Include it before nutrition-tables.js')); 
       Papa.parse(text, {header:true, skipEmptyLines:true, dynamicTyping:false, complete: results=>resolve(results.data), error: err=>reject(err)});
     });
   }
 
-  function chooseKeyColumn(row, candidates){
-    // 1) Exact header match
-    const cols = Object.keys(row||{});
-    for (const cand of candidates){ if (cols.includes(cand)) return cand; }
-    // 2) Loose match (normalize header names)
-    for (const c of cols){ const cn = normalize(c); if (['ingredient','food','item','name','canonical','canonical name','ingredient name','food name','display','display name'].includes(cn)) return c; }
-    // 3) Heuristic: choose the column with the highest count of non-numeric, non-empty, mostly-unique strings
-    let bestCol = null, bestScore = -1;
-    const seenCols = cols.slice(0, 50); // safety
-    for (const c of seenCols){
-      let nonEmpty=0, stringy=0; const uniq = new Set();
-      for (let i=0;i<50 && i<window.__TMP_ROWS_LEN__;++i){/* placeholder; replaced below */}
-    }
-    // Since we don't have rows here, this fallback is implemented in detectKeyColumn
-    return null;
-  });
-    for (const cand of candidates){ if (cols.includes(cand)) return cand; }
-    // Try loose match
-    for (const c of cols){ if (normalize(c)==='ingredient') return c; }
-    return null;
+  function loadAliases(){
+    try{ return JSON.parse(localStorage.getItem(ALIAS_STORAGE_KEY) || '{}'); }
+    catch(e){ console.info(`Saved aliases not loaded: ${e.message}`); return {}; }
   }
 
-  function detectColumns(rows){
-    if (!rows || !rows.length) return new Set();
-    return new Set(Object.keys(rows[0]));
-  }
-  function detectKeyColumn(rows, candidates){
-    if (!rows || !rows.length) return null;
-    // Try candidate and loose matches on the first row
-    let col = chooseKeyColumn(rows[0], candidates);
-    if (col) return col;
-    // Heuristic over up to first 500 rows
-    const cols = Object.keys(rows[0]);
-    let bestCol = null, bestScore = -1;
-    const N = Math.min(rows.length, 500);
-    for (const c of cols){
-      let nonEmpty=0, stringy=0; const uniq = new Set();
-      for (let i=0;i<N;i++){
-        const v = rows[i][c];
-        if (v==null || String(v).trim()==='') continue;
-        nonEmpty++;
-        const s = String(v).trim();
-        const isNum = !isNaN(Number(s)) && s !== '';
-        if (!isNum){ stringy++; uniq.add(s.toLowerCase()); }
-      }
-      // Prefer columns with many non-empty string values and high uniqueness
-      const score = (stringy*2) + uniq.size - (cols.length>30?5:0);
-      if (stringy>=Math.max(10, N*0.3) && uniq.size>=Math.max(10, N*0.3) && score>bestScore){ bestScore=score; bestCol=c; }
-    }
-    return bestCol; // could still be null; caller will throw a clear error
+  function saveAlias(alias, key){
+    State.core.addAlias(alias, key);
+    try{
+      const saved = JSON.parse(localStorage.getItem(ALIAS_STORAGE_KEY) || '{}');
+      saved[normalize(alias)] = key;
+      localStorage.setItem(ALIAS_STORAGE_KEY, JSON.stringify(saved));
+    }catch(e){ console.warn(`Alias not saved for next time: ${e.message}`); }
   }
 
-  function addSynonym(alias, canonical){
-    if (!alias || !canonical) return;
-    State.synonymsDynamic.set(normalize(alias), normalize(canonical));
+  const displayNameFor = key => State.core ? State.core.displayNameFor(key) : key;
+  const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // ------- Public API -------
+  const BP = window.BP || (window.BP = {});
+  BP.normalizeName = raw => State.core ? State.core.canonicalize(raw) : Index.canonicalize(raw);
+
+  BP.ready = (async ()=>{
+    const index = await loadIndex();
+    State.core = await Core.loadCore(readData, { index, aliases: loadAliases() });
+    for (const note of State.core.loadNotes) console.info(note);
+    return true;
+  })();
+
+  // name → { key, match, score, candidates } (see bp-core.js resolveName); for tools that want the matching without rendering
+  BP.resolveName = async function(name){
+    await BP.ready;
+    return State.core.resolveName(name);
   }
 
-  function canonicalizeName(raw){
-    let n = normalize(raw);
-    if (State.synonymsDynamic.has(n)) n = State.synonymsDynamic.get(n);
-    else if (SYNONYMS[n]) n = normalize(SYNONYMS[n]);
-    return n;
+  // name → the canonical record { key, display, values, sources:{ column:[file, row] }, conflicts:{ column:[[file, row, value]] } },
+  // or null when unmapped
+  BP.getRecord = async function(name){
+    await BP.ready;
+    return State.core.getRecord(name);
   }
 
-  function recordDisplayName(key, display){
-    if (!State.keyToDisplay.has(key)) State.keyToDisplay.set(key, display||key);
+  // The data files as { file: { headers, rows } }: the index's copy, or every known file fetched live
+  async function dataTables(){
+    const core = State.core;
+    if (core.index) return core.index.files;
+    const files = new Set([...Object.keys(Lint.SCHEMA), ...Index.CSV_SOURCES.map(s=>s.file), ...Object.keys(Core.INDIRECT_FILES), ...core.files()]);
+    const tables = {};
+    await Promise.all(Array.from(files, async file=>{
+      const res = await fetch(DATA_DIR + file, {cache:'no-store'}).catch(()=>null);
+      if (res && res.ok) tables[file] = Index.parseTable(await res.text());
+    }));
+    return tables;
   }
 
-  function mergeRecord(datasetName, key, row){
-    const rec = State.dataByKey.get(key) || { _key:key };
-    for (const [k,v] of Object.entries(row)){
-      if (k==='_dataset' || k==='_rawKey') continue;
-      // Keep first non-empty value for stability; otherwise allow overwrite
-      if (v!=='' && v!=null){
-        if (rec[k]==null || String(rec[k]).trim()==='') rec[k]=v; else rec[k]=rec[k];
-      }
-    }
-    State.dataByKey.set(key, rec);
+  // → { issues:[{ level, code, file, column?, rows?, message }], counts:{ error, warn, info } } (see bp-lint.js)
+  BP.lintData = async function(){
+    if (!Lint) throw new Error('bp-lint.js is not loaded.');
+    await BP.ready;
+    return Lint.lintTables(await dataTables());
   }
 
-  async function loadAllCSVs(){
-    try{
-      for (const cfg of CSV_SOURCES){
-        try{
-          const rows = await fetchCsv(cfg.url);
-          if ((!rows || rows.length===0) && cfg.optional) continue; 
-          if (!rows || rows.length===0) throw new Error('No data rows');
-          const keyCol = detectKeyColumn(rows, cfg.keyCandidates);
-          if (!keyCol) throw new Error(`Cannot find key column among: ${cfg.keyCandidates.join(', ')}`);
-          State.keyColByDataset[cfg.name] = keyCol;
-          const cols = detectColumns(rows);
-          const foundExpect = cfg.expectAnyOf.some(c=>cols.has(c));
-          if (!foundExpect && !cfg.optional){ console.warn(`[${cfg.name}] Expected columns not found. Continuing, but some table fields may be blank.`); }
-          // Special: synonyms CSV
-          if (cfg.name==='synonyms'){
-            for (const r of rows){ addSynonym(r[keyCol], r['Canonical']); }
-            continue;
-          }
-          for (const r of rows){
-            const rawKey = r[keyCol];
-            if (!rawKey) continue;
-            const key = canonicalizeName(rawKey);
-            recordDisplayName(key, rawKey);
-            mergeRecord(cfg.name, key, Object.assign({_dataset:cfg.name,_rawKey:rawKey}, r));
-          }
-        }catch(e){
-          if (cfg.optional){ console.info(`Optional dataset '${cfg.name}' not loaded: ${e.message}`); continue; }
-          throw new Error(`Dataset '${cfg.name}' failed: ${e.message}`);
-        }
+  // Debug panel: the lint report grouped by file (index.html shows it with ?debug)
+  BP.renderDataCheck = async function(root){
+    root = root || $('#bp-data-check');
+    if (!root) return null;
+    root.innerHTML = '';
+    const card = el('div',{className:'bp-card bp-check'});
+    card.appendChild(el('h3',{textContent:'Data check'}));
+    root.appendChild(card);
+    root.hidden = false;
+    let report;
+    try{ report = await BP.lintData(); }
+    catch(e){
+      const warn = el('div',{className:'bp-warn'}); warn.textContent = `Data check failed: ${e.message}`;
+      card.appendChild(warn);
+      return null;
+    }
+    const badge = (level, label) => el('span',{className:`bp-verdict bp-verdict-${{ error:'fail', warn:'warn', info:'na' }[level]}`, textContent:label});
+    const summary = el('p');
+    summary.appendChild(badge('error', report.counts.error)); summary.appendChild(text(' errors '));
+    summary.appendChild(badge('warn', report.counts.warn)); summary.appendChild(text(' warnings '));
+    summary.appendChild(badge('info', report.counts.info)); summary.appendChild(text(` notes — ${State.core.index ? 'index ' + State.core.index.hash : 'live CSVs'}`));
+    card.appendChild(summary);
+
+    const issueItem = i => {
+      const li = el('li');
+      li.appendChild(badge(i.level, i.level));
+      li.appendChild(text(' '));
+      li.appendChild(el('code',{className:'bp-mono bp-small', textContent:i.code}));
+      li.appendChild(text(' ' + i.message));
+      return li;
+    };
+    const byFile = new Map();
+    for (const i of report.issues){ if (!byFile.has(i.file)) byFile.set(i.file, []); byFile.get(i.file).push(i); }
+    for (const [file, issues] of byFile){
+      const details = el('details');
+      const errors = issues.some(i=>i.level==='error');
+      details.open = errors;
+      details.appendChild(el('summary',{textContent:`${file} — ${issues.length} issue${issues.length===1?'':'s'}${errors ? ' (errors)' : ''}`}));
+      const ul = el('ul');
+      const joins = issues.filter(i=>i.code==='MISSING_JOIN');
+      for (const i of issues) if (i.code!=='MISSING_JOIN') ul.appendChild(issueItem(i));
+      if (joins.length){
+        // One line per ingredient adds up; keep them folded
+        const li = el('li'), inner = el('details'), list = el('ul');
+        inner.appendChild(el('summary',{textContent:`${joins.length} ingredient(s) from other files have no row here (MISSING_JOIN)`}));
+        for (const i of joins) list.appendChild(issueItem(i));
+        inner.appendChild(list); li.appendChild(inner); ul.appendChild(li);
       }
-      State.ready = true;
-    }catch(e){
-      State.loadError = e;
-      console.error('CSV load failed:', e);
+      details.appendChild(ul);
+      card.appendChild(details);
+    }
+    if (!report.issues.length){
+      const ok = el('div',{className:'bp-ok'}); ok.textContent = 'No data issues found.';
+      card.appendChild(ok);
     }
+    return report;
   }
 
-  // ------- Public API -------
-  const BP = window.BP || (window.BP = {});
-  BP.normalizeName = canonicalizeName;
-  BP.ready = (async ()=>{ await loadAllCSVs(); return true; })();
+  // Accept a suggestion from the diagnostics box: `name` is looked up as `key` from now on (saved in localStorage),
+  // and the last tables are rendered again with it
+  BP.acceptAlias = async function(name, key){
+    await BP.ready;
+    saveAlias(name, key);
+    const req = State.lastRequest;
+    return req ? BP.renderTables(req.ingredients, req.opts) : null;
+  }
 
   // Try to derive ingredients from a free-text recipe (best-effort fallbacks)
-  BP.deriveIngredientsFromRecipe = function(recipeText){
-    if (!recipeText) return [];
-    // naive: split by commas or newlines; trim; drop empties
-    const parts = String(recipeText).split(/\n|,/).map(s=>s.trim()).filter(Boolean);
-    // remove quantities (e.g., "1 cup spinach" -> "spinach")
-    return parts.map(s=>{
-      return s.replace(/^[-*\d\/.+\s]*(cup|cups|tbsp|tsp|oz|ounce|ounces|g|gram|grams|ml|cl|l|pound|lb|lbs)?\b/gi,'').trim();
-    });
+  // {withQuantities:true} keeps the amounts: [{ quantity, unit, name, raw }] (one item per line)
+  BP.deriveIngredientsFromRecipe = Core.deriveIngredients;
+
+  // Check generated recipes against the excluded categories and the whitelist (see bp-core.js validateRecipes)
+  BP.validateRecipes = async function(recipes, opts){
+    await BP.ready;
+    return State.core.validateRecipes(recipes, opts);
+  }
+
+  // Which of the names a client profile (bp-profiles.js) rules out, for filtering the page's ingredient lists.
+  // groups: the group → foods map the profile's groups refer to → { name: [reasons] } for the ruled-out names only
+  BP.checkProfile = async function(names, profile, groups){
+    await BP.ready;
+    return State.core.checkProfile(names, profile, groups);
+  }
+
+  // Swap an ingredient for a suggestion from the Ingredient Swaps card: the recipe in the last BP.renderTables request
+  // (recipeIndex counts across days for a plan) is edited in place, its steps included, and the tables are rendered
+  // again. Dispatches 'bp:recipe-swapped' with { recipe, recipeIndex, from, to } so the page can redraw the recipe.
+  BP.applySwap = async function(recipeIndex, from, key){
+    await BP.ready;
+    const req = State.lastRequest;
+    if (!req) throw new Error('Nothing to swap: render the tables first.');
+    if (!State.core.has(key)) throw new Error(`Unknown ingredient key "${key}".`);
+    const to = displayNameFor(key);
+    const opts = req.opts || {};
+    const same = line => normalize(line && typeof line==='object' ? line.name : Core.toItem(line).name)===normalize(from);
+    const recipe = (opts.days ? opts.days.flatMap(d=>d.recipes||[]) : (opts.recipes||[]))[recipeIndex] || null;
+    if (recipe){
+      recipe.ingredients = (recipe.ingredients||[]).map(i=>same(i) ? Core.swapLine(i, to) : i);
+      const mention = new RegExp(`\\b${escapeRegExp(String(from).trim())}\\b`, 'gi');
+      if (Array.isArray(recipe.steps)) recipe.steps = recipe.steps.map(step=>String(step).replace(mention, to));
+    }
+    const ingredients = Array.from(new Set((req.ingredients||[]).map(i=>same(i) ? Core.swapLine(i, to) : i)));
+    const result = await BP.renderTables(ingredients, opts);
+    window.dispatchEvent(new CustomEvent('bp:recipe-swapped', { detail:{ recipe, recipeIndex, from, to } }));
+    return result;
+  }
+
+  // Merge the ingredients of structured recipes into one list grouped by categories.csv category
+  BP.buildShoppingList = async function(recipes){
+    await BP.ready;
+    return State.core.buildShoppingList(recipes);
   }
 
   // ------- Rendering -------
@@ -271,34 +302,69 @@
   }
 
   function fmtNum(v){ if (v===undefined || v===null || v==='') return '—'; const n = Number(String(v).replace(/,/g,'')); return isFinite(n)? (Math.round(n*100)/100).toString(): String(v); }
-  function yesNo(v){ if (v==null || v==='') return '—'; const s=String(v).trim().toLowerCase(); return (s==='1'||s==='y'||s==='yes'||s==='true')?'Yes':(s==='0'||s==='n'||s==='no'||s==='false')?'No':String(v); }
-
-  function rowFor(key){ return State.dataByKey.get(key) || null; }
-  function displayNameFor(key){ return State.keyToDisplay.get(key) || key; }
 
-  function collectFor(keys){
-    const out = [];
-    for (const k of keys){ const r=rowFor(k); if (r) out.push(r); }
-    return out;
+  // Buttons for the top candidates; clicking one saves it as an alias and renders again
+  function suggestionRow(label, name, candidates){
+    const row = el('div',{className:'bp-suggest bp-small'});
+    row.appendChild(text(label));
+    for (const c of candidates){
+      const b = el('button',{type:'button', title:`Always use "${c.name}" for "${name}"`});
+      b.appendChild(text(`${c.name} (${Math.round(c.score*100)}%)`));
+      b.addEventListener('click', ()=>{ b.disabled = true; BP.acceptAlias(name, c.key).catch(e=>console.error(e)); });
+      row.appendChild(b);
+    }
+    return row;
   }
 
-  function renderDiagnostics(root, requestedKeys){
-    const missed = [];
-    for (const r of requestedKeys){ if (!State.dataByKey.has(r)) missed.push(r); }
-    if (State.loadError){
+  // resolved: [{ name, key, match, score, candidates }] (resolveName results for the requested names)
+  function renderDiagnostics(root, resolved){
+    const missed = resolved.filter(r=>r.match==='none');
+    const fuzzy = resolved.filter(r=>r.match==='fuzzy' && r.score<1); // plural / word-order matches are not worth listing
+    const { loadError, mappingIssues } = State.core;
+    if (loadError){
       const warn = el('div',{className:'bp-warn'});
-      warn.innerHTML = `<strong>Data load error:</strong> ${State.loadError.message}. Ensure CSV paths exist and are accessible.`;
+      warn.innerHTML = `<strong>Data load error:</strong> ${loadError.message}. Ensure CSV paths exist and are accessible.`;
       root.appendChild(warn);
     } else if (missed.length){
       const warn = el('div',{className:'bp-warn'});
-      const ul = missed.map(m=>`<li><code class="bp-mono">${m}</code> &rarr; consider adding to <code class="bp-mono">/data/synonyms.csv</code> or matching the <code class="bp-mono">Ingredient</code> name in your CSVs.</li>`).join('');
-      warn.innerHTML = `<strong>Unmapped ingredients:</strong><ul>${ul}</ul>`;
+      warn.innerHTML = '<strong>Unmapped ingredients:</strong>';
+      const ul = el('ul');
+      for (const m of missed){
+        const li = el('li');
+        const code = el('code',{className:'bp-mono'}); code.appendChild(text(m.name)); li.appendChild(code);
+        if (m.candidates.length) li.appendChild(suggestionRow('Did you mean:', m.name, m.candidates));
+        else li.insertAdjacentHTML('beforeend', ` &rarr; consider adding to <code class="bp-mono">/data/synonyms.csv</code> or matching the <code class="bp-mono">Ingredient</code> name in your CSVs.`);
+        ul.appendChild(li);
+      }
+      warn.appendChild(ul);
       root.appendChild(warn);
     } else {
       const ok = el('div',{className:'bp-ok'});
       ok.textContent = 'All ingredients mapped successfully.';
       root.appendChild(ok);
     }
+    if (fuzzy.length && !loadError){
+      const note = el('div',{className:'bp-note'});
+      note.appendChild(text('Matched approximately (pick another candidate to correct it):'));
+      const ul = el('ul');
+      for (const f of fuzzy){
+        const li = el('li');
+        li.appendChild(text(`${f.name} → ${displayNameFor(f.key)} (${Math.round(f.score*100)}%)`));
+        const others = f.candidates.filter(c=>c.key!==f.key);
+        if (others.length) li.appendChild(suggestionRow('or:', f.name, others));
+        ul.appendChild(li);
+      }
+      note.appendChild(ul);
+      root.appendChild(note);
+    }
+    if (mappingIssues.length){
+      const warn = el('div',{className:'bp-warn'});
+      const ul = el('ul');
+      for (const m of mappingIssues){ const li = el('li'); li.appendChild(text(m)); ul.appendChild(li); }
+      warn.innerHTML = '<strong>Table mapping issues</strong> (check /data/mapping_*.csv):';
+      warn.appendChild(ul);
+      root.appendChild(warn);
+    }
   }
 
   function table(headers, rows){
@@ -311,132 +377,248 @@
     tbl.appendChild(tbody); return tbl;
   }
 
-  function sum(nums){ return nums.reduce((a,b)=>a+(isFinite(+b)?+b:0),0); }
-
-  function renderNutritionCard(root, recs){
-    const {card,body} = hCard('Nutrition Table');
-    const headers = ['Ingredient','Serving (g)','Calories','Protein (g)','Fiber (g)','Fat (g)','Carbs (g)'];
-    const rows = [];
-    let totals = {g:0,kcal:0,p:0,fib:0,fat:0,carb:0};
-    for (const r of recs){
-      const g   = r['Serving Size (g)']||r['ServingSize']||r['Serving Size']||'';
-      const kcal= r['Calories (kcal)']||r['Calories']||'';
-      const p   = r['Protein (g)']||r['Protein']||'';
-      const fib = r['Fiber (g)']||r['Fiber']||'';
-      const fat = r['Fat (g)']||r['Fat']||'';
-      const carb= r['Carbs (g)']||r['Carbohydrates (g)']||r['Carbohydrates']||'';
-      rows.push([displayNameFor(r._key), fmtNum(g), fmtNum(kcal), fmtNum(p), fmtNum(fib), fmtNum(fat), fmtNum(carb)]);
-      totals.g+=+g||0; totals.kcal+=+kcal||0; totals.p+=+p||0; totals.fib+=+fib||0; totals.fat+=+fat||0; totals.carb+=+carb||0;
+  const citeText = c => `${c.file} row ${c.row}, column "${c.column}"`;
+  const snippet = v => v.length > 80 ? `${v.slice(0, 79)}…` : v;
+
+  // One card per compiled mapping table; numbers are tidied, text is shown as written.
+  // Hovering a cell shows where its value came from; cells the sheets disagree on get a numbered footnote.
+  function renderTableCard(root, model){
+    const {card,body} = hCard(model.title);
+    const fmt = v => (v==='' || v==null) ? '—' : (isFinite(toNumber(v)) && /^[~≈]?-?[\d.,]+$/.test(clean(v))) ? fmtNum(v) : String(v);
+    const rows = model.rows.map(r=>r.cells.map(fmt));
+    if (model.totals) rows.push(model.totals.map((v,i)=> i===0 ? v : (v==='' ? '' : fmtNum(v))));
+    const tbl = table(model.headers, rows);
+    const notes = [];
+    const trs = tbl.tBodies[0].rows;
+    model.rows.forEach((r, ri)=>{
+      (r.provenance || []).forEach((p, ci)=>{
+        if (!p || !p.sources.length) return;
+        const td = trs[ri].cells[ci];
+        td.title = p.sources.map(citeText).join('\n');
+        if (!p.conflicts.length) return;
+        notes.push({ name:r.cells[0] || displayNameFor(r.key), header:model.headers[ci], shown:p.sources, others:p.conflicts });
+        td.classList.add('bp-conflict');
+        td.title += `\nDisagrees with: ${p.conflicts.map(c=>`${c.value} (${citeText(c)})`).join('; ')}`;
+        const sup = el('sup',{className:'bp-fn'}); sup.appendChild(text(`[${notes.length}]`));
+        td.appendChild(sup);
+      });
+    });
+    body.appendChild(tbl);
+    if (notes.length){
+      const details = el('details',{className:'bp-footnotes bp-small'});
+      details.appendChild(el('summary',{textContent:`⚠ The data files disagree on ${notes.length} value${notes.length===1?'':'s'} (first source shown)`}));
+      const ol = el('ol');
+      for (const n of notes){
+        const li = el('li');
+        li.appendChild(text(`${n.name} – ${n.header}: shown ${n.shown.map(c=>`"${snippet(c.value)}" from ${citeText(c)}`).join(', ')}; also ${n.others.map(c=>`"${snippet(c.value)}" in ${citeText(c)}`).join(', ')}.`));
+        ol.appendChild(li);
+      }
+      details.appendChild(ol);
+      body.appendChild(details);
     }
-    // Totals row
-    rows.push(['Total', fmtNum(totals.g), fmtNum(totals.kcal), fmtNum(totals.p), fmtNum(totals.fib), fmtNum(totals.fat), fmtNum(totals.carb)]);
-    body.appendChild(table(headers, rows));
+    const note = el('div',{className:'bp-note'});
+    note.textContent = 'Hover a value to see the file, row and column it comes from (rows count from 1 below the header).';
+    body.appendChild(note);
     root.appendChild(card);
   }
 
-  function renderCognitiveCard(root, recs){
-    const {card,body} = hCard('Cognitive & Other Health Benefits');
-    const headers = ['Ingredient','Direct Cognitive Benefits','Indirect Cognitive Benefits'];
-    const rows = [];
-    for (const r of recs){
-      rows.push([
-        displayNameFor(r._key),
-        r['Direct Cognitive Benefits']||'—',
-        r['Indirect Cognitive Benefits']||'—'
-      ]);
+  function renderRecipeNutritionCard(root, model){
+    const {card,body} = hCard(model.title);
+    const num = v => (typeof v==='number' && isFinite(v)) ? fmtNum(v) : (v==='' ? '' : '—');
+    for (const r of model.recipes){
+      if (model.recipes.length>1){ const h = el('h4'); h.appendChild(text(r.title)); body.appendChild(h); }
+      const rows = r.rows.map(row=>row.cells.map((c,i)=>{
+        if (i===3) return typeof c==='number' ? `×${fmtNum(c)}` : (c||'—');
+        return i<4 ? (c||'—') : num(c);
+      }));
+      rows.push(r.total.map((c,i)=> i===0 ? c : num(c)));
+      rows.push(r.perServing.map((c,i)=> i===0 ? c : num(c)));
+      body.appendChild(table(r.headers, rows));
+    }
+    const rows = model.recipes.flatMap(r=>r.rows);
+    if (rows.some(row=>row.scaling.length>1)){
+      const note = el('div',{className:'bp-note'});
+      note.textContent = 'Where an ingredient’s files give different serving sizes, each value is scaled against the serving of the file it comes from; the columns in brackets say which serving and factor each value uses.';
+      body.appendChild(note);
+    }
+    if (rows.some(row=>row.mapped && !row.comparable)){
+      const note = el('div',{className:'bp-note'});
+      note.textContent = '“not comparable”: the amount has no quantity or a unit that cannot be measured against that serving size (e.g. grams vs cups, or cups vs “1 handful”), so those values are shown as — and left out of the totals.';
+      body.appendChild(note);
     }
-    body.appendChild(table(headers, rows));
     root.appendChild(card);
   }
 
-  function renderDietCompatCard(root, recs){
-    const {card,body} = hCard('Diet Compatibility');
-    const TAGS = ['MIND','DASH','Mediterranean','Low GI','Keto','Paleo','Vegan','Vegetarian','Gluten-Free','Dairy-Free'];
-    const headers = ['Ingredient', ...TAGS];
-    const rows = [];
-    for (const r of recs){
-      const row = [displayNameFor(r._key)];
-      for (const t of TAGS){ row.push(yesNo(r[t])); }
-      rows.push(row);
+  function renderScoresCard(root, model){
+    const {card,body} = hCard(model.title);
+    const v = x => x==null ? '—' : fmtNum(x);
+    const rows = model.recipes.map(r=>[r.title, String(r.servings), v(r.score.gi), v(r.score.glTotal), v(r.score.glPerServing), v(r.score.dii), v(r.score.caloriesPerServing)]);
+    body.appendChild(table(['Recipe','Servings','GI (carb-weighted)','GL (recipe)','GL / serving','DII (portion-weighted)','kcal / serving'], rows));
+    for (const r of model.recipes){
+      if (!r.verdicts.length) continue;
+      if (model.recipes.length>1){ const h = el('h4'); h.appendChild(text(`Goals – ${r.title}`)); body.appendChild(h); }
+      const ul = el('ul',{className:'bp-goals'});
+      for (const g of r.verdicts){
+        const li = el('li');
+        const badge = el('span',{className:`bp-verdict bp-verdict-${g.verdict==='n/a'?'na':g.verdict}`}); badge.appendChild(text(g.verdict.toUpperCase()));
+        const name = el('strong'); name.appendChild(text(g.goal));
+        li.appendChild(badge); li.appendChild(name); li.appendChild(text(` — ${g.message}`));
+        if (g.culprits.length && g.verdict!=='pass'){
+          const c = el('div',{className:'bp-small bp-muted'}); c.appendChild(text(`Because of: ${g.culprits.join(', ')}`)); li.appendChild(c);
+        }
+        ul.appendChild(li);
+      }
+      body.appendChild(ul);
     }
-    body.appendChild(table(headers, rows));
+    const note = el('div',{className:'bp-note'});
+    note.textContent = `GI is weighted by available carbs (GL × 100 / GI); DII is weighted by portions. Ingredients without a DII score use the ✓ anti-inflammatory (${Scoring.FLAG_DII.antiInflammatory}) or ⚠ pro-inflammatory (+${Scoring.FLAG_DII.proInflammatory}) flags.`;
+    body.appendChild(note);
     root.appendChild(card);
   }
 
-  function renderMicrobiomeCard(root, recs){
-    const {card,body} = hCard('Microbiome Benefit');
-    const headers = ['Ingredient','Microbiome Benefit'];
-    const rows = [];
-    for (const r of recs){ rows.push([displayNameFor(r._key), r['Microbiome Benefit']||r['Prebiotic Fibers']||r['Polyphenols']||'—']); }
-    body.appendChild(table(headers, rows));
+  // Targets down the side, one column per day / recipe: the ingredients that supply each target, or a gap
+  function renderCoverageCard(root, model){
+    const {card,body} = hCard(model.title);
+    const list = names => names.length > 3 ? `${names.slice(0, 3).join(', ')} +${names.length-3}` : names.join(', ');
+    const rows = model.targets.map(t=>{
+      const name = el('span'); name.appendChild(text(t.name));
+      if (t.benefit) name.title = t.benefit;
+      const benefit = el('span',{className:'bp-small'}); benefit.appendChild(text(t.benefit ? snippet(t.benefit) : '—'));
+      if (t.benefit) benefit.title = t.benefit;
+      return [name, t.amount || '—', benefit, ...model.columns.map(c=>{
+        const names = c.covered[t.id];
+        const cell = el('span',{className: names ? '' : 'bp-gap'});
+        cell.appendChild(text(names ? `✓ ${list(names)}` : '— missing'));
+        if (names && names.length > 3) cell.title = names.join(', ');
+        return cell;
+      })];
+    });
+    rows.push(['Covered', '', '', ...model.columns.map(c=>`${model.targets.length - c.missing.length} of ${model.targets.length}`)]);
+    body.appendChild(table(['Nutrient','Daily target','Cognitive benefit', ...model.columns.map(c=>c.label)], rows));
+    const ul = el('ul',{className:'bp-goals bp-small'});
+    for (const c of model.columns){
+      const li = el('li');
+      const label = el('strong'); label.appendChild(text(model.columns.length>1 ? `${c.label}: ` : ''));
+      li.appendChild(label);
+      li.appendChild(text(c.missing.length ? `missing ${c.missing.map(Nutrients.nameOf).join(', ')}.` : 'every target nutrient is supplied.'));
+      const extras = Object.keys(c.extras);
+      if (extras.length) li.appendChild(text(` Also supplies ${extras.map(Nutrients.nameOf).join(', ')}.`));
+      ul.appendChild(li);
+    }
+    body.appendChild(ul);
+    const note = el('div',{className:'bp-note'});
+    note.textContent = 'Covered means an ingredient lists the nutrient in micronutrients_food.csv or main.csv; the sheets give no amounts, so this does not check the daily target. '
+      + 'Targets, benefits and daily amounts come from micronutients_list.csv.';
+    body.appendChild(note);
     root.appendChild(card);
   }
 
-  function renderMicronutrientCard(root, recs){
-    const {card,body} = hCard('Micronutrient Benefits');
-    // Dynamically list micronutrient columns present in data
-    const POSSIBLE = ['Vitamin A','Vitamin C','Vitamin D','Vitamin E','Vitamin K','B1','B2','B3','B5','B6','B7','B9','B12','Folate','Choline','Calcium','Magnesium','Zinc','Iron','Selenium','Potassium','Manganese','Copper','Omega-3'];
-    const present = new Set();
-    for (const r of recs){ for (const k of Object.keys(r)){ if (POSSIBLE.includes(k)) present.add(k); } }
-    const cols = Array.from(present);
-    const headers = ['Ingredient', ...cols];
-    const rows = [];
-    for (const r of recs){
-      const row = [displayNameFor(r._key)];
-      for (const c of cols){ row.push(fmtNum(r[c])); }
-      rows.push(row);
+  // Each flagged ingredient with its reasons and one button per suggested swap (BP.applySwap)
+  function renderSubstitutionsCard(root, model){
+    const {card,body} = hCard(model.title);
+    const v = x => typeof x==='boolean' ? (x ? '✓' : 'no') : (x==null ? '—' : fmtNum(x));
+    const ul = el('ul',{className:'bp-goals'});
+    for (const issue of model.issues){
+      const li = el('li');
+      const name = el('strong'); name.appendChild(text(issue.ingredient)); li.appendChild(name);
+      li.appendChild(text(`${model.recipes > 1 ? ` (${issue.recipe})` : ''} — ${issue.reasons.join('; ')}`));
+      const row = el('div',{className:'bp-suggest'});
+      if (!issue.suggestions.length) row.appendChild(el('span',{className:'bp-small bp-muted', textContent:'No comparable catalog ingredient does better (or there is no data to compare it by).'}));
+      for (const sug of issue.suggestions){
+        const btn = el('button',{type:'button', className:'bp-swap', textContent:`Swap for ${sug.name}`});
+        btn.title = [
+          sug.sameCategory ? `Same category (${sug.category})` : `From ${sug.category || 'another category'}`,
+          ...sug.changes.map(c=>`${c.label}: ${v(c.from)} → ${v(c.to)}`),
+          `Protein ${v(sug.protein)} g, fiber ${v(sug.fiber)} g per serving; match ${Math.round(sug.score*100)}%`
+        ].join('\n');
+        btn.addEventListener('click', async ()=>{
+          btn.disabled = true;
+          try{ await BP.applySwap(issue.recipeIndex, issue.ingredient, sug.key); }
+          catch(e){ btn.disabled = false; console.error('Swap failed', e); }
+        });
+        row.appendChild(btn);
+      }
+      li.appendChild(row);
+      ul.appendChild(li);
     }
-    body.appendChild(table(headers, rows));
+    body.appendChild(ul);
+    const note = el('div',{className:'bp-note'});
+    note.textContent = 'Swaps come from the same categories.csv category (any allowed category for excluded ingredients), ranked by how close their protein, fiber and calories are and how much they improve the flagged GI/GL, DII, calories or diet flags. Hover a swap for the numbers; clicking it updates the recipe and the tables.';
+    body.appendChild(note);
     root.appendChild(card);
   }
 
-  function renderGiDiiInline(root, recs){
-    // Optional: small inline note under Nutrition for GI/GL and DII summaries
-    const wrap = el('div',{className:'bp-note'});
-    const giVals = recs.map(r=>r['GI']||r['Glycemic Index']).filter(v=>v!=''&&v!=null).map(Number).filter(n=>isFinite(n));
-    const glVals = recs.map(r=>r['GL']||r['Glycemic Load']).filter(v=>v!=''&&v!=null).map(Number).filter(n=>isFinite(n));
-    const diiVals= recs.map(r=>r['DII']||r['Anti-Inflammatory Score']).filter(v=>v!=''&&v!=null).map(Number).filter(n=>isFinite(n));
-    const parts = [];
-    if (giVals.length) parts.push(`Avg GI: ${Math.round(sum(giVals)/giVals.length)}`);
-    if (glVals.length) parts.push(`Avg GL: ${Math.round(sum(glVals)/glVals.length)}`);
-    if (diiVals.length) parts.push(`Avg DII: ${Math.round((sum(diiVals)/diiVals.length)*100)/100}`);
-    if (parts.length){ wrap.textContent = parts.join('  •  '); root.querySelector('.bp-card').appendChild(wrap); }
+  function renderAdherenceCard(root, model){
+    const {card,body} = hCard(model.title);
+    const pts = s => `${fmtNum(s.score)} / ${fmtNum(s.max)} (${s.pct==null ? '—' : s.pct + '%'})`;
+    const single = model.days.length===1;
+    const weekLabel = single ? 'Week (projected from 1 day)' : `Week (${model.days.length} days)`;
+    body.appendChild(table(['Diet', ...model.days, weekLabel], model.diets.map(d=>[d.diet, ...d.days.map(pts), pts(d.week)])));
+    for (const d of model.diets){
+      const det = el('details'); const sum = el('summary');
+      sum.appendChild(text(`${d.diet} – component breakdown (${weekLabel.toLowerCase()})`)); det.appendChild(sum);
+      const rows = d.week.components.map(c=>[
+        c.component, c.category, c.recommended, `${fmtNum(c.intake)} / ${c.period}`,
+        `${fmtNum(c.points)} / ${fmtNum(c.max)}`, c.mapped ? (c.foods.join(', ') || '—') : 'not mapped in diet_components.csv'
+      ]);
+      det.appendChild(table(['Component','Category','Recommended','Intake (servings)','Points','Counted foods'], rows));
+      body.appendChild(det);
+    }
+    const note = el('div',{className:'bp-note'});
+    note.textContent = 'Each recipe counts as one serving eaten; ingredient amounts are converted to reference servings from the serving-size columns. '
+      + 'Foods are matched to components through categories.csv and data/diet_components.csv. Weekly targets on a single day use that day × 7; daily targets over a week use the daily average.';
+    body.appendChild(note);
+    root.appendChild(card);
   }
 
-  BP.renderTables = async function(ingredients){
+  // ingredients: names, or lines with amounts ("2 cups spinach") for recipe-scaled totals
+  // opts: { recipes:[{title, servings, ingredients:[...]}] } or, for a single recipe given as `ingredients`, { title, servings };
+  // opts.days: [{ label, recipes }] for a meal plan (replaces opts.recipes); opts.content: free-text recipe kept for exports;
+  // opts.goals: GOALS checklist entries to check each recipe against; opts.dayLabel: column label for the adherence card (default 'Today');
+  // opts.exclusions / opts.groups: excluded groups and the group → foods map, for the Ingredient Swaps card;
+  // opts.profile: the client profile (bp-profiles.js) the swaps must respect
+  BP.renderTables = async function(ingredients, opts){
+    opts = opts || {};
+    // Exports read BP.lastTables: a render that finds nothing must not leave the previous recipe's tables behind
+    BP.lastTables = null;
     const root = ensureMount();
     root.innerHTML = '';
     const title = el('div',{className:'bp-muted', innerHTML:'<strong>Nutrition & Brain Benefits</strong> – Auto-generated from your verified CSV data'});
     root.appendChild(title);
 
     await BP.ready; // ensure datasets are loaded
-    const requested = (ingredients||[]).map(s=>canonicalizeName(s)).filter(Boolean);
+    State.lastRequest = { ingredients, opts };
+    const built = State.core.build(ingredients, opts);
 
-    renderDiagnostics(root, requested);
+    renderDiagnostics(root, built.resolved);
 
-    const recs = collectFor(requested);
-    if (!recs.length){
+    if (!built.model){
       const warn = el('div',{className:'bp-warn'}); warn.textContent = 'No matching ingredients were found in your CSV datasets.'; root.appendChild(warn); return;
     }
 
-    // 1) Nutrition
-    renderNutritionCard(root, recs);
-    renderGiDiiInline(root, recs);
-    // 2) Cognitive & Other Health Benefits
-    renderCognitiveCard(root, recs);
-    // 3) Diet Compatibility
-    renderDietCompatCard(root, recs);
-    // 4) Microbiome
-    renderMicrobiomeCard(root, recs);
-    // 5) Micronutrient Benefits
-    renderMicronutrientCard(root, recs);
+    BP.lastTables = built.model;
+    const { tables, recipeNutrition, recipeScores, adherence, coverage, substitutions } = BP.lastTables;
+    for (const model of tables){
+      renderTableCard(root, model);
+      if (model.id==='micronutrients' && coverage) renderCoverageCard(root, coverage);
+      if (model.id==='nutrition'){
+        if (recipeNutrition) renderRecipeNutritionCard(root, recipeNutrition);
+        if (recipeScores) renderScoresCard(root, recipeScores);
+        if (substitutions && substitutions.issues.length) renderSubstitutionsCard(root, substitutions);
+      }
+    }
+    if (coverage && !tables.some(t=>t.id==='micronutrients')) renderCoverageCard(root, coverage);
+    if (adherence) renderAdherenceCard(root, adherence);
+    window.dispatchEvent(new CustomEvent('bp:tables-rendered', { detail: BP.lastTables }));
+    return BP.lastTables;
   }
 
   // Listen for custom event so you don’t have to wire function calls deep in your code if you prefer events.
   window.addEventListener('bp:recipe-ready', async (e)=>{
     try{
-      const list = (e && e.detail && Array.isArray(e.detail.ingredients)) ? e.detail.ingredients : [];
-      await BP.renderTables(list);
+      const detail = (e && e.detail) || {};
+      const list = Array.isArray(detail.ingredients) ? detail.ingredients : [];
+      await BP.renderTables(list, { recipes: detail.recipes, servings: detail.servings, goals: detail.goals });
     }catch(err){ console.error('bp:recipe-ready handler failed', err); }
   }, false);
 
@@ -0,0 +1,100 @@
+// /netlify/functions/generate-stream.mjs
+// Streaming twin of generate.js (Netlify Functions v2: a Request in, a Response out).
+// POST { messages, temperature?, max_tokens?, model?, structured? } → text/event-stream with events:
+//  - delta   { text }                      each chunk of model output as it arrives
+//  - status  { message }                   progress notes (e.g. the schema repair round-trip)
+//  - result  { content, recipes? }         the final answer, same shape as generate.js returns
+//  - error   { error, code, details? }     failures after the stream has started
+// Rejections before the stream starts (method, origin, rate limit, limits) are plain JSON with a status code,
+// exactly as generate.js answers them, so the front end can fall back to generate.js on 404 / network errors only.
+// Closing the connection (the browser's Cancel) aborts the upstream request, the schema repair included. The model
+// provider is chosen by LLM_PROVIDER (../lib/providers.js), and requests count against the same rate limit
+// (../lib/rate-limit.js) as generate.js.
+
+import { loadConfig, originAllowed, corsHeaders, admitRequest, rateHeaders, errorBody } from '../lib/guards.js';
+import { createRateLimiter, clientIp } from '../lib/rate-limit.js';
+import { createProvider, repairRecipes } from '../lib/providers.js';
+import { RESPONSE_FORMAT, parseRecipes } from '../lib/recipe-schema.js';
+
+const sse = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// options: { env, store } — as generate.js createHandler
+export function createHandler(options = {}) {
+  const config = loadConfig(options.env || process.env);
+  const limit = createRateLimiter({ store: options.store, max: config.rateLimitMax, windowMs: config.rateLimitWindowMs });
+  return (req, context) => handle(config, limit, req, context);
+}
+
+async function handle(config, limit, req, context) {
+  const origin = req.headers.get('origin');
+  const host = req.headers.get('host');
+  const cors = corsHeaders(config, origin, host);
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: originAllowed(config, origin, host) ? 204 : 403, headers: cors });
+  }
+
+  let admitted;
+  try {
+    admitted = await admitRequest(config, limit, {
+      method: req.method, origin, host,
+      ip: context?.ip || clientIp(Object.fromEntries(req.headers)),
+      body: req.method === 'POST' ? await req.text() : ''
+    });
+  } catch (err) {
+    const { statusCode, body } = errorBody(err);
+    return Response.json(body, { status: statusCode, headers: { ...cors, ...rateHeaders(err?.rate) } });
+  }
+
+  const { body, payload, rate } = admitted;
+  const provider = createProvider(config);
+  const request = body.structured ? { ...payload, response_format: RESPONSE_FORMAT } : payload;
+  const upstream = new AbortController();
+  req.signal?.addEventListener('abort', () => upstream.abort());
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (!upstream.signal.aborted) controller.enqueue(encoder.encode(sse(event, data)));
+      };
+      try {
+        let content = '';
+        for await (const text of provider.streamCompletion(request, upstream.signal)) {
+          content += text;
+          send('delta', { text });
+        }
+        if (!body.structured) {
+          send('result', { content });
+        } else {
+          const parsed = parseRecipes(content);
+          if (!parsed.errors.length) {
+            send('result', { content, recipes: parsed.recipes });
+          } else {
+            send('status', { message: 'Answer did not match the recipe schema; asking the model to repair it…' });
+            send('result', await repairRecipes(provider, payload, content, parsed.errors, upstream.signal));
+          }
+        }
+      } catch (err) {
+        if (err?.name !== 'AbortError') send('error', errorBody(err).body);
+      }
+      if (!upstream.signal.aborted) controller.close();
+    },
+    cancel() {
+      upstream.abort();
+    }
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      ...cors,
+      ...rateHeaders(rate),
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
+
+export default createHandler();
@@ -1,69 +1,51 @@
 // /netlify/functions/generate.js
 // Uses Node 18+ native fetch (no node-fetch needed)
-
-exports.handler = async (event) => {
-  const cors = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
-  };
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers: cors, body: '' };
-  }
-
-  try {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return {
-        statusCode: 500,
-        headers: cors,
-        body: JSON.stringify({ error: 'OPENAI_API_KEY is not set in Netlify.' })
-      };
-    }
-
-    const body = JSON.parse(event.body || '{}');
-    const {
-      messages,
-      temperature = 0.4,
-      max_tokens = 1200,
-      model = 'gpt-4o-mini'
-    } = body;
-
-    if (!Array.isArray(messages)) {
-      return {
-        statusCode: 400,
-        headers: cors,
-        body: JSON.stringify({ error: 'messages[] required' })
-      };
+// POST { messages, temperature?, max_tokens?, model?, structured? }
+//  - default: returns { content } (free text)
+//  - structured: true → returns { content, recipes } validated against ../lib/recipe-schema.js,
+//    with one repair round-trip if the first answer does not match the schema
+//  - streaming lives in generate-stream.mjs (same body, SSE response); this endpoint is its fallback
+//  - errors: { error, code, details? } — codes: METHOD_NOT_ALLOWED, ORIGIN_NOT_ALLOWED, RATE_LIMITED, INVALID_JSON,
+//    INVALID_MESSAGES, TOO_MANY_MESSAGES, MESSAGE_TOO_LONG, MODEL_NOT_ALLOWED, SERVER_MISCONFIGURED,
+//    UPSTREAM_ERROR, SCHEMA_MISMATCH, INTERNAL
+// Limits, CORS origins, rate limiting and the model provider (LLM_PROVIDER: openai, openai-compatible or an offline
+// fixture; see ../lib/providers.js) are configured by env vars (see ../lib/guards.js).
+
+const { loadConfig, originAllowed, corsHeaders, admitRequest, rateHeaders, errorBody } = require('../lib/guards');
+const { createRateLimiter, clientIp } = require('../lib/rate-limit');
+const { createProvider, structuredRecipes } = require('../lib/providers');
+
+// options: { env, store } — a custom rate-limit store (see ../lib/rate-limit.js) or env for tests/local mocks
+function createHandler(options = {}) {
+  const config = loadConfig(options.env || process.env);
+  const limit = createRateLimiter({ store: options.store, max: config.rateLimitMax, windowMs: config.rateLimitWindowMs });
+
+  return async (event) => {
+    const headers = event.headers || {};
+    const origin = headers.origin || headers.Origin;
+    const host = headers.host || headers.Host;
+    const cors = corsHeaders(config, origin, host);
+
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: originAllowed(config, origin, host) ? 204 : 403, headers: cors, body: '' };
     }
 
-    const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ model, messages, temperature, max_tokens })
-    });
-
-    const data = await resp.json();
-    if (!resp.ok) {
-      return {
-        statusCode: resp.status,
-        headers: cors,
-        body: JSON.stringify({ error: data?.error?.message || 'OpenAI error' })
-      };
+    try {
+      const { body, payload, rate } = await admitRequest(config, limit, {
+        method: event.httpMethod, origin, host, ip: clientIp(headers), body: event.body
+      });
+      const provider = createProvider(config);
+      const result = body.structured
+        ? await structuredRecipes(provider, payload)
+        : { content: await provider.chatCompletion(payload) };
+      return { statusCode: 200, headers: { ...cors, ...rateHeaders(rate) }, body: JSON.stringify(result) };
+
+    } catch (err) {
+      const { statusCode, body } = errorBody(err);
+      return { statusCode, headers: { ...cors, ...rateHeaders(err?.rate) }, body: JSON.stringify(body) };
     }
+  };
+}
 
-    const content = data?.choices?.[0]?.message?.content ?? '';
-    return { statusCode: 200, headers: cors, body: JSON.stringify({ content }) };
-
-  } catch (err) {
-    return {
-      statusCode: 500,
-      headers: cors,
-      body: JSON.stringify({ error: String(err?.message || err) })
-    };
-  }
-};
-
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,140 @@
+// /netlify/lib/fixture.js
+// The fixture provider (LLM_PROVIDER=fixture): canned recipes instead of a model, so the page, the week plan and
+// the tables can be developed and tested without network or an API key. Answers are deterministic: the same
+// messages always give the same recipes.
+//  - structured requests (response_format set) get { recipes } JSON; free-text requests get the same recipes as text
+//  - the recipe count follows the prompt ("Generate 2 recipes", "Return exactly 3 recipe(s)"), else 3 (at most 5)
+//  - "serves N" / "Each recipe serves N" sets the servings
+//  - ingredient names quoted in the last user message (the page's fix prompt: "X" in "Recipe") are avoided
+//  - which recipes come first depends on a hash of the messages, so plan days and retries get different ones
+// Ingredient names are spelled as in the /data catalog.
+
+const RECIPES = [
+  {
+    title: 'Spinach & Walnut Salmon Bowl', servings: 2,
+    ingredients: [
+      { quantity: 8, unit: 'oz', name: 'Salmon' },
+      { quantity: 4, unit: 'cups', name: 'Spinach' },
+      { quantity: 0.25, unit: 'cup', name: 'Walnuts' },
+      { quantity: 1, unit: 'tbsp', name: 'Olive Oil (Extra Virgin -Cold-pressed)' },
+      { quantity: null, unit: '', name: 'salt' }
+    ],
+    steps: ['Roast the salmon at 200 °C for 12 minutes.', 'Wilt the spinach in the olive oil.', 'Top with the salmon and chopped walnuts; season with salt.'],
+    coaching_notes: ['Fatty fish twice a week supplies omega-3s.']
+  },
+  {
+    title: 'Lentil & Broccoli Stew', servings: 2,
+    ingredients: [
+      { quantity: 1, unit: 'cup', name: 'Lentils' },
+      { quantity: 2, unit: 'cups', name: 'Broccoli' },
+      { quantity: 1, unit: 'cup', name: 'Tomatoes' },
+      { quantity: 1, unit: '', name: 'Onions' },
+      { quantity: 1, unit: 'tbsp', name: 'Olive Oil (Extra Virgin -Cold-pressed)' }
+    ],
+    steps: ['Soften the onion in the olive oil.', 'Add the lentils, tomatoes and 3 cups of water; simmer 20 minutes.', 'Stir in the broccoli for the last 5 minutes.'],
+    coaching_notes: ['Legumes add fiber that slows the rise in blood sugar.']
+  },
+  {
+    title: 'Blueberry Chia Oats', servings: 2,
+    ingredients: [
+      { quantity: 1, unit: 'cup', name: 'Oats/Oat Groats/Steel Cut/Rolled' },
+      { quantity: 1, unit: 'cup', name: 'Blueberries' },
+      { quantity: 2, unit: 'tbsp', name: 'Chia Seeds' },
+      { quantity: 1, unit: 'cup', name: 'Almond Milk' }
+    ],
+    steps: ['Simmer the oats in the almond milk and 1 cup of water for 5 minutes.', 'Stir in the chia seeds and top with blueberries.'],
+    coaching_notes: ['Berries are a MIND-diet staple; aim for two servings a week.']
+  },
+  {
+    title: 'Chickpea Quinoa Salad', servings: 2,
+    ingredients: [
+      { quantity: 1, unit: 'cup', name: 'Chickpeas' },
+      { quantity: 100, unit: 'g', name: 'Quinoa' },
+      { quantity: 1, unit: '', name: 'Cucumber' },
+      { quantity: 2, unit: 'cups', name: 'Arugula' },
+      { quantity: 1, unit: 'tbsp', name: 'Olive Oil (Extra Virgin -Cold-pressed)' },
+      { quantity: 1, unit: '', name: 'Lemon' }
+    ],
+    steps: ['Cook the quinoa and let it cool.', 'Toss with the chickpeas, sliced cucumber and arugula.', 'Dress with the olive oil and lemon juice.'],
+    coaching_notes: ['Whole grains and legumes together give a complete protein.']
+  },
+  {
+    title: 'Sardine & Kale Toast', servings: 1,
+    ingredients: [
+      { quantity: 1, unit: 'can', name: 'Sardines' },
+      { quantity: 1, unit: 'cup', name: 'Kale' },
+      { quantity: 1, unit: 'slice', name: 'Whole Grain (Bread)' },
+      { quantity: 0.5, unit: '', name: 'Avocados' }
+    ],
+    steps: ['Toast the bread.', 'Sauté the kale for 2 minutes.', 'Layer the avocado, kale and sardines on the toast.'],
+    coaching_notes: ['Sardines are a low-mercury source of omega-3s and calcium.']
+  },
+  {
+    title: 'Tofu & Mushroom Stir-fry', servings: 2,
+    ingredients: [
+      { quantity: 7, unit: 'oz', name: 'Tofu' },
+      { quantity: 2, unit: 'cups', name: 'Mushrooms' },
+      { quantity: 1, unit: 'cup', name: 'Bell Peppers' },
+      { quantity: 1, unit: 'cup', name: 'Brown Rice' },
+      { quantity: 1, unit: 'tbsp', name: 'Sesame Oil' }
+    ],
+    steps: ['Cook the brown rice.', 'Brown the tofu in the sesame oil, then add the mushrooms and peppers.', 'Serve over the rice.'],
+    coaching_notes: ['Mushrooms and peppers add polyphenols with little effect on blood sugar.']
+  }
+];
+
+// FNV-1a over the message contents: a stable starting point in RECIPES for each conversation
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  return h;
+}
+
+function pick(messages) {
+  const all = messages.map((m) => m.content).join('\n');
+  const last = [...messages].reverse().find((m) => m.role === 'user')?.content || '';
+  const count = Number((all.match(/\bexactly (\d+) recipe/i) || all.match(/\bgenerate (\d+) recipes?\b/i) || [])[1]) || 3;
+  const servings = Number((all.match(/\bserves (\d+)\b/i) || [])[1]) || null;
+  const avoid = new Set([...last.matchAll(/"([^"]+)" in "/g)].map((m) => m[1].toLowerCase()));
+  const usable = RECIPES.filter((r) => !r.ingredients.some((i) => avoid.has(i.name.toLowerCase())));
+  const pool = usable.length ? usable : RECIPES;
+  const start = hash(all) % pool.length;
+  return Array.from({ length: Math.min(5, Math.max(1, count), pool.length) }, (_, i) => {
+    const recipe = pool[(start + i) % pool.length];
+    return servings ? { ...recipe, servings } : recipe;
+  });
+}
+
+const asText = (recipes) => recipes.map((r) => [
+  `${r.title} (serves ${r.servings})`,
+  'Ingredients:',
+  ...r.ingredients.map((i) => `- ${[i.quantity, i.unit, i.name].filter((v) => v !== null && v !== '').join(' ')}`),
+  'Steps:',
+  ...r.steps.map((s, n) => `${n + 1}. ${s}`),
+  ...r.coaching_notes.map((n) => `Tip: ${n}`)
+].join('\n')).join('\n\n');
+
+// options: { delayMs } — pause between streamed chunks so the page's live preview has something to show
+function createFixtureProvider({ delayMs = 0 } = {}) {
+  const answer = (payload) => {
+    const recipes = pick(payload.messages || []);
+    return payload.response_format ? JSON.stringify({ recipes }) : asText(recipes);
+  };
+
+  async function chatCompletion(payload) {
+    return answer(payload);
+  }
+
+  async function* streamCompletion(payload, signal) {
+    const text = answer(payload);
+    for (let i = 0; i < text.length; i += 40) {
+      if (signal?.aborted) return;
+      if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+      yield text.slice(i, i + 40);
+    }
+  }
+
+  return { name: 'the fixture provider', chatCompletion, streamCompletion };
+}
+
+module.exports = { RECIPES, createFixtureProvider };
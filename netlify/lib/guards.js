@@ -0,0 +1,179 @@
+// /netlify/lib/guards.js
+// Server-side limits for the generate endpoint, read from environment variables:
+//   ALLOWED_MODELS          comma list; the first one is the default model      (gpt-4o-mini)
+//   MAX_TEMPERATURE         requested temperature is clamped to [0, this]        (1)
+//   MAX_TOKENS              requested max_tokens is clamped to [1, this]         (2400)
+//   MAX_MESSAGES            messages per request                                  (20)
+//   MAX_MESSAGE_CHARS       characters per message                                (16000)
+//   MAX_TOTAL_CHARS         characters across all messages                        (60000)
+//   ALLOWED_ORIGINS         comma list of origins allowed cross-origin, or "*"    (none: same host only)
+//   RATE_LIMIT_MAX          requests per client IP per window, 0 disables         (60)
+//   RATE_LIMIT_WINDOW_MS    window length                                         (600000 = 10 min)
+//   LLM_PROVIDER            openai | openai-compatible | fixture (./providers.js)  (openai)
+//   OPENAI_API_KEY          API key of the openai provider (required for it)
+//   OPENAI_BASE_URL         API root of the openai provider, e.g. a local mock    (https://api.openai.com/v1)
+//   LLM_BASE_URL            API root of an openai-compatible server (required for it), e.g. http://localhost:11434/v1
+//   LLM_API_KEY             bearer key for the openai-compatible server, if it wants one  (none)
+//   LLM_FIXTURE_DELAY_MS    pause between streamed chunks of the fixture provider  (15)
+// Every rejection is an Error with statusCode + a stable `code` the front end can show.
+
+const ROLES = new Set(['system', 'user', 'assistant']);
+const PROVIDERS = ['openai', 'openai-compatible', 'fixture'];
+
+const list = (v) => String(v || '').split(',').map((s) => s.trim()).filter(Boolean);
+const num = (v, dflt) => {
+  const n = Number(v);
+  return v !== undefined && v !== '' && Number.isFinite(n) ? n : dflt;
+};
+
+function loadConfig(env = process.env) {
+  const models = list(env.ALLOWED_MODELS);
+  const provider = String(env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  const compatible = provider === 'openai-compatible';
+  return {
+    models: models.length ? models : ['gpt-4o-mini'],
+    maxTemperature: num(env.MAX_TEMPERATURE, 1),
+    maxTokens: num(env.MAX_TOKENS, 2400),
+    maxMessages: num(env.MAX_MESSAGES, 20),
+    maxMessageChars: num(env.MAX_MESSAGE_CHARS, 16000),
+    maxTotalChars: num(env.MAX_TOTAL_CHARS, 60000),
+    origins: list(env.ALLOWED_ORIGINS),
+    rateLimitMax: num(env.RATE_LIMIT_MAX, 60),
+    rateLimitWindowMs: num(env.RATE_LIMIT_WINDOW_MS, 600000),
+    provider,
+    baseUrl: String((compatible ? env.LLM_BASE_URL : env.OPENAI_BASE_URL || 'https://api.openai.com/v1') || '').replace(/\/+$/, ''),
+    apiKey: (compatible ? env.LLM_API_KEY : env.OPENAI_API_KEY) || '',
+    fixtureDelayMs: num(env.LLM_FIXTURE_DELAY_MS, 15)
+  };
+}
+
+// What keeps the configured provider from answering, or null when it can
+function providerProblem(config) {
+  if (!PROVIDERS.includes(config.provider)) return `LLM_PROVIDER "${config.provider}" is not one of ${PROVIDERS.join(', ')}.`;
+  if (config.provider === 'openai' && !config.apiKey) return 'OPENAI_API_KEY is not set in Netlify.';
+  if (config.provider === 'openai-compatible' && !config.baseUrl) return 'LLM_BASE_URL is not set for the openai-compatible provider.';
+  return null;
+}
+
+function httpError(statusCode, code, message, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// CORS: same-host requests always pass; other origins only when listed (or "*")
+function originAllowed(config, origin, host) {
+  if (!origin) return true; // not a browser cross-origin request
+  if (config.origins.includes('*') || config.origins.includes(origin)) return true;
+  try { return new URL(origin).host === host; } catch { return false; }
+}
+
+function corsHeaders(config, origin, host) {
+  const headers = {
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Vary': 'Origin'
+  };
+  if (origin && originAllowed(config, origin, host)) {
+    headers['Access-Control-Allow-Origin'] = config.origins.includes('*') ? '*' : origin;
+  }
+  return headers;
+}
+
+// Validates and clamps the browser's request body → the payload sent upstream (minus response_format)
+function sanitizeRequest(config, body) {
+  const { messages, temperature, max_tokens, model } = body || {};
+
+  if (!Array.isArray(messages) || !messages.length) {
+    throw httpError(400, 'INVALID_MESSAGES', 'messages[] required');
+  }
+  if (messages.length > config.maxMessages) {
+    throw httpError(413, 'TOO_MANY_MESSAGES', `At most ${config.maxMessages} messages per request (got ${messages.length}).`);
+  }
+  let total = 0;
+  const clean = messages.map((m, i) => {
+    if (!m || !ROLES.has(m.role) || typeof m.content !== 'string') {
+      throw httpError(400, 'INVALID_MESSAGES', `messages[${i}] must be { role: system|user|assistant, content: string }`);
+    }
+    if (m.content.length > config.maxMessageChars) {
+      throw httpError(413, 'MESSAGE_TOO_LONG', `messages[${i}] is ${m.content.length} characters; the limit is ${config.maxMessageChars}.`);
+    }
+    total += m.content.length;
+    return { role: m.role, content: m.content };
+  });
+  if (total > config.maxTotalChars) {
+    throw httpError(413, 'MESSAGE_TOO_LONG', `Messages total ${total} characters; the limit is ${config.maxTotalChars}.`);
+  }
+
+  const chosen = model == null || model === '' ? config.models[0] : model;
+  if (!config.models.includes(chosen)) {
+    throw httpError(400, 'MODEL_NOT_ALLOWED', `Model "${chosen}" is not allowed.`, { allowed: config.models });
+  }
+
+  const t = Number(temperature);
+  const tokens = Math.floor(Number(max_tokens));
+  return {
+    model: chosen,
+    messages: clean,
+    temperature: Number.isFinite(t) ? Math.min(config.maxTemperature, Math.max(0, t)) : Math.min(0.4, config.maxTemperature),
+    max_tokens: Number.isFinite(tokens) && tokens > 0 ? Math.min(config.maxTokens, tokens) : Math.min(1200, config.maxTokens)
+  };
+}
+
+// The checks every generate request passes, in order: method, origin, rate limit, provider config, body.
+// request: { method, origin, host, ip, body } (body is the raw string); limit: ./rate-limit.js createRateLimiter.
+// → { body, payload, rate }; a thrown error carries `rate` (when counted) for the rate-limit headers.
+async function admitRequest(config, limit, request) {
+  let rate = null;
+  try {
+    if (request.method !== 'POST') throw httpError(405, 'METHOD_NOT_ALLOWED', 'Use POST.');
+    if (!originAllowed(config, request.origin, request.host)) {
+      throw httpError(403, 'ORIGIN_NOT_ALLOWED', `Origin ${request.origin} is not allowed.`);
+    }
+
+    rate = await limit(request.ip);
+    if (!rate.allowed) {
+      throw httpError(429, 'RATE_LIMITED', `Too many requests. Try again in ${rate.retryAfter} s.`, { retryAfter: rate.retryAfter });
+    }
+
+    const problem = providerProblem(config);
+    if (problem) throw httpError(500, 'SERVER_MISCONFIGURED', problem);
+
+    let body;
+    try { body = JSON.parse(request.body || '{}'); }
+    catch { throw httpError(400, 'INVALID_JSON', 'Request body is not valid JSON.'); }
+
+    return { body, payload: sanitizeRequest(config, body), rate };
+  } catch (err) {
+    err.rate = rate;
+    throw err;
+  }
+}
+
+function rateHeaders(rate) {
+  if (!rate || !rate.limit) return {};
+  return {
+    'X-RateLimit-Limit': String(rate.limit),
+    'X-RateLimit-Remaining': String(rate.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000)),
+    ...(rate.allowed ? {} : { 'Retry-After': String(rate.retryAfter) })
+  };
+}
+
+// Error → { statusCode, body } in the shape the front end reads: { error, code, details? }
+function errorBody(err) {
+  const statusCode = err?.statusCode || 500;
+  if (!err?.code) console.error('generate failed', err);
+  return {
+    statusCode,
+    body: {
+      error: statusCode === 500 && !err?.code ? 'Internal error.' : String(err?.message || err),
+      code: err?.code || 'INTERNAL',
+      ...(err?.details ? { details: err.details } : {})
+    }
+  };
+}
+
+module.exports = { PROVIDERS, loadConfig, providerProblem, httpError, originAllowed, corsHeaders, sanitizeRequest, admitRequest, rateHeaders, errorBody };
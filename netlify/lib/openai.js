@@ -0,0 +1,70 @@
+// /netlify/lib/openai.js
+// Chat-completions transport for the openai and openai-compatible providers (./providers.js): the same
+// POST {baseUrl}/chat/completions, JSON or SSE. Ollama, llama.cpp's server, vLLM, LM Studio, ... speak it too.
+// Errors carry statusCode + code like the guards do.
+
+const { httpError } = require('./guards');
+
+// options: { name, baseUrl, apiKey } — name labels upstream errors ("OpenAI", "the model server"); no apiKey, no header
+function createOpenAIProvider({ name, baseUrl, apiKey }) {
+  async function post(payload, signal) {
+    try {
+      return await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload),
+        signal
+      });
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err;
+      throw httpError(502, 'UPSTREAM_ERROR', `Could not reach ${name}: ${err.message}`);
+    }
+  }
+
+  async function upstreamError(resp) {
+    const data = await resp.json().catch(() => ({}));
+    return httpError(502, 'UPSTREAM_ERROR', data?.error?.message || `${name} error`, { upstreamStatus: resp.status });
+  }
+
+  async function chatCompletion(payload, signal) {
+    const resp = await post(payload, signal);
+    if (!resp.ok) throw await upstreamError(resp);
+    const data = await resp.json().catch(() => {
+      throw httpError(502, 'UPSTREAM_ERROR', `${name} returned invalid JSON.`);
+    });
+    return data?.choices?.[0]?.message?.content ?? '';
+  }
+
+  // Streams the completion: yields each content delta as it arrives (SSE "data: {...}" lines, ends at [DONE])
+  async function* streamCompletion(payload, signal) {
+    const resp = await post({ ...payload, stream: true }, signal);
+    if (!resp.ok) throw await upstreamError(resp);
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        let chunk;
+        try { chunk = JSON.parse(data); } catch { continue; }
+        if (chunk?.error) throw httpError(502, 'UPSTREAM_ERROR', chunk.error.message || `${name} stream error`);
+        const text = chunk?.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  }
+
+  return { name, chatCompletion, streamCompletion };
+}
+
+module.exports = { createOpenAIProvider };
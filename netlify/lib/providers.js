@@ -0,0 +1,51 @@
+// /netlify/lib/providers.js
+// The model behind generate.js and generate-stream.mjs, chosen by LLM_PROVIDER (see ./guards.js for the env vars):
+//   openai             api.openai.com (or OPENAI_BASE_URL) with OPENAI_API_KEY            — ./openai.js
+//   openai-compatible  any server with an OpenAI chat-completions API at LLM_BASE_URL, e.g. Ollama
+//                      (http://localhost:11434/v1) or llama.cpp's server (http://localhost:8080/v1); set
+//                      ALLOWED_MODELS to the model names the server knows                 — ./openai.js
+//   fixture            canned, deterministic recipes; no network, no key                   — ./fixture.js
+// A provider is { name, chatCompletion(payload, signal) → text, streamCompletion(payload, signal) → async text chunks }.
+// The structured-recipe flow (schema in response_format, validation, one repair round-trip) works the same on all.
+
+const { RESPONSE_FORMAT, parseRecipes } = require('./recipe-schema');
+const { httpError, providerProblem } = require('./guards');
+const { createOpenAIProvider } = require('./openai');
+const { createFixtureProvider } = require('./fixture');
+
+// config: ./guards.js loadConfig; throws SERVER_MISCONFIGURED like admitRequest does
+function createProvider(config) {
+  const problem = providerProblem(config);
+  if (problem) throw httpError(500, 'SERVER_MISCONFIGURED', problem);
+  if (config.provider === 'fixture') return createFixtureProvider({ delayMs: config.fixtureDelayMs });
+  const name = config.provider === 'openai' ? 'OpenAI' : 'the model server';
+  return createOpenAIProvider({ name, baseUrl: config.baseUrl, apiKey: config.apiKey });
+}
+
+// One repair attempt: show the model its own answer and what was wrong with it. signal cancels it (an AbortError),
+// and a signal that is already aborted skips the round-trip altogether
+async function repairRecipes(provider, payload, content, errors, signal) {
+  signal?.throwIfAborted();
+  const repair = {
+    ...payload,
+    response_format: RESPONSE_FORMAT,
+    messages: [
+      ...payload.messages,
+      { role: 'assistant', content },
+      { role: 'user', content: `Your JSON did not match the required schema: ${errors.slice(0, 10).join('; ')}. Return the corrected JSON only.` }
+    ]
+  };
+  const repaired = await provider.chatCompletion(repair, signal);
+  const second = parseRecipes(repaired);
+  if (!second.errors.length) return { content: repaired, recipes: second.recipes };
+  throw httpError(502, 'SCHEMA_MISMATCH', 'Model output did not match the recipe schema after one repair attempt.', second.errors);
+}
+
+async function structuredRecipes(provider, payload, signal) {
+  const content = await provider.chatCompletion({ ...payload, response_format: RESPONSE_FORMAT }, signal);
+  const first = parseRecipes(content);
+  if (!first.errors.length) return { content, recipes: first.recipes };
+  return repairRecipes(provider, payload, content, first.errors, signal);
+}
+
+module.exports = { createProvider, structuredRecipes, repairRecipes };
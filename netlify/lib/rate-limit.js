@@ -0,0 +1,47 @@
+// /netlify/lib/rate-limit.js
+// Fixed-window rate limiting per client key (the caller's IP).
+// A store is anything with `async hit(key, windowMs) → { count, resetAt }`. By default generate.js and
+// generate-stream.mjs count into one in-memory store, so a client has one quota whichever endpoint it calls; that
+// store is per function instance, so pass a shared store (Redis, Netlify Blobs, ...) for a hard global limit.
+
+class MemoryStore {
+  constructor() {
+    this.windows = new Map(); // key -> { count, resetAt }
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let w = this.windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, w);
+    }
+    w.count += 1;
+    if (this.windows.size > 10000) this.prune(now);
+    return { count: w.count, resetAt: w.resetAt };
+  }
+
+  prune(now) {
+    for (const [key, w] of this.windows) if (w.resetAt <= now) this.windows.delete(key);
+  }
+}
+
+const sharedStore = new MemoryStore();
+
+// → async (key) => { allowed, limit, remaining, resetAt, retryAfter (seconds) }
+function createRateLimiter({ store = sharedStore, max, windowMs }) {
+  return async function check(key) {
+    if (!max) return { allowed: true, limit: 0, remaining: Infinity, resetAt: 0, retryAfter: 0 };
+    const { count, resetAt } = await store.hit(key, windowMs);
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    return { allowed: count <= max, limit: max, remaining: Math.max(0, max - count), resetAt, retryAfter };
+  };
+}
+
+// Netlify puts the client address in x-nf-client-connection-ip; x-forwarded-for covers `netlify dev` and proxies
+function clientIp(headers = {}) {
+  const h = (name) => headers[name] || headers[name.toLowerCase()];
+  return h('x-nf-client-connection-ip') || String(h('x-forwarded-for') || '').split(',')[0].trim() || h('client-ip') || 'unknown';
+}
+
+module.exports = { MemoryStore, createRateLimiter, clientIp };
@@ -0,0 +1,98 @@
+// /netlify/lib/recipe-schema.js
+// JSON schema for structured recipe output + a dependency-free validator for it.
+// The schema is sent to OpenAI as response_format (strict json_schema), and every
+// response is validated again here before it reaches the browser.
+
+const RECIPE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['recipes'],
+  properties: {
+    recipes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title', 'servings', 'ingredients', 'steps', 'coaching_notes'],
+        properties: {
+          title: { type: 'string' },
+          servings: { type: 'integer' },
+          ingredients: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['quantity', 'unit', 'name'],
+              properties: {
+                quantity: { type: ['number', 'null'], description: 'Amount for the whole recipe, e.g. 1.5; null for "to taste"' },
+                unit: { type: 'string', description: 'cup, tbsp, tsp, oz, g, ml, clove, medium, ... or "" for counted items' },
+                name: { type: 'string', description: 'Plain ingredient name without quantity or preparation, e.g. "spinach"' }
+              }
+            }
+          },
+          steps: { type: 'array', items: { type: 'string' } },
+          coaching_notes: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+const RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: { name: 'recipe_list', strict: true, schema: RECIPE_SCHEMA }
+};
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim() !== '';
+
+// Returns a list of human-readable problems; empty when `data` is a valid recipe list.
+function validateRecipes(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || !Array.isArray(data.recipes)) {
+    return ['top level must be an object with a "recipes" array'];
+  }
+  if (!data.recipes.length) errors.push('recipes must not be empty');
+
+  data.recipes.forEach((r, i) => {
+    const at = `recipes[${i}]`;
+    if (!r || typeof r !== 'object') { errors.push(`${at} must be an object`); return; }
+    if (!isNonEmptyString(r.title)) errors.push(`${at}.title must be a non-empty string`);
+    if (!Number.isInteger(r.servings) || r.servings < 1) errors.push(`${at}.servings must be an integer ≥ 1`);
+
+    if (!Array.isArray(r.ingredients) || !r.ingredients.length) {
+      errors.push(`${at}.ingredients must be a non-empty array`);
+    } else {
+      r.ingredients.forEach((ing, j) => {
+        const atIng = `${at}.ingredients[${j}]`;
+        if (!ing || typeof ing !== 'object') { errors.push(`${atIng} must be an object`); return; }
+        if (!isNonEmptyString(ing.name)) errors.push(`${atIng}.name must be a non-empty string`);
+        if (ing.quantity !== null && !(typeof ing.quantity === 'number' && Number.isFinite(ing.quantity) && ing.quantity >= 0)) {
+          errors.push(`${atIng}.quantity must be a non-negative number or null`);
+        }
+        if (typeof ing.unit !== 'string') errors.push(`${atIng}.unit must be a string`);
+      });
+    }
+
+    if (!Array.isArray(r.steps) || !r.steps.length || !r.steps.every(isNonEmptyString)) {
+      errors.push(`${at}.steps must be a non-empty array of strings`);
+    }
+    if (!Array.isArray(r.coaching_notes) || !r.coaching_notes.every((n) => typeof n === 'string')) {
+      errors.push(`${at}.coaching_notes must be an array of strings`);
+    }
+  });
+  return errors;
+}
+
+// Parse model text into { recipes, errors }. Tolerates a ```json fence around the object.
+function parseRecipes(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (err) {
+    return { recipes: null, errors: [`response is not valid JSON (${err.message})`] };
+  }
+  const errors = validateRecipes(data);
+  return { recipes: errors.length ? null : data.recipes, errors };
+}
+
+module.exports = { RECIPE_SCHEMA, RESPONSE_FORMAT, validateRecipes, parseRecipes };
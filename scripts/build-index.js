@@ -0,0 +1,40 @@
+// /scripts/build-index.js
+// Compiles data/*.csv into the ingredient index the page loads instead of fetching every CSV:
+//   data/index.json           { format, version, hash, generatedAt, settings, aliases, datasets, records, files }
+//   data/index.manifest.json  { format, version, hash, file } — fetched uncached; index.json is fetched as index.json?v=<hash>
+// Run with `node scripts/build-index.js` (Node 18+, no dependencies); Netlify runs it on deploy (netlify.toml).
+// The model itself lives in assets/bp-index.js and is shared with the browser's live-CSV fallback.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Index = require('../assets/bp-index.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const INDEX_FILE = 'index.json';
+const MANIFEST_FILE = 'index.manifest.json';
+
+function build(){
+  const files = {};
+  for (const name of fs.readdirSync(DATA_DIR).sort()){
+    if (name.toLowerCase().endsWith('.csv')) files[name] = fs.readFileSync(path.join(DATA_DIR, name), 'utf8');
+  }
+  const index = Index.buildIndex(files);
+  const { issues } = index;
+  delete index.issues;
+
+  // The hash covers the content only, so rebuilding unchanged CSVs keeps the same URL (and browser cache)
+  const hash = crypto.createHash('sha256').update(JSON.stringify(index)).digest('hex').slice(0, 16);
+  const out = { format:index.format, version:index.version, hash, generatedAt:new Date().toISOString(), ...index };
+  fs.writeFileSync(path.join(DATA_DIR, INDEX_FILE), JSON.stringify(out));
+  fs.writeFileSync(path.join(DATA_DIR, MANIFEST_FILE), JSON.stringify({ format:out.format, version:out.version, hash, file:INDEX_FILE }, null, 2) + '\n');
+
+  for (const i of issues) (i.level==='warn' ? console.warn : console.log)(i.message);
+  console.log(`${INDEX_FILE}: ${Object.keys(out.records).length} ingredients from ${Object.keys(files).length} CSV files, hash ${hash}`);
+}
+
+try { build(); }
+catch (err) {
+  console.error(`Index build failed: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,44 @@
+// /scripts/lint-data.js
+// Checks data/*.csv for schema drift, typos, mojibake, duplicate keys and ingredients missing from some files
+// (the checks live in assets/bp-lint.js; the page shows the same report with ?debug).
+// Run with `node scripts/lint-data.js [--json] [--strict] [--quiet]` (Node 18+, no dependencies):
+//   --json    print the report as JSON instead of text
+//   --strict  exit 1 on warnings too (errors always exit 1)
+//   --quiet   leave out notes (info) and the per-ingredient MISSING_JOIN lines, only counting them
+
+const fs = require('fs');
+const path = require('path');
+const Lint = require('../assets/bp-lint.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const args = new Set(process.argv.slice(2));
+
+function lint(){
+  const texts = {};
+  for (const name of fs.readdirSync(DATA_DIR).sort()){
+    if (name.toLowerCase().endsWith('.csv')) texts[name] = fs.readFileSync(path.join(DATA_DIR, name), 'utf8');
+  }
+  return Lint.lintFiles(texts);
+}
+
+function print(report){
+  const quiet = args.has('--quiet');
+  let file = null, hidden = 0;
+  for (const i of report.issues){
+    if (quiet && (i.level==='info' || i.code==='MISSING_JOIN')){ hidden++; continue; }
+    if (i.file!==file){ file = i.file; console.log(`\ndata/${file}`); }
+    console.log(`  ${i.level.padEnd(5)}  ${i.code.padEnd(15)} ${i.message}`);
+  }
+  const { error, warn, info } = report.counts;
+  console.log(`\n${error} error(s), ${warn} warning(s), ${info} note(s)${hidden ? ` — ${hidden} not shown (--quiet)` : ''}`);
+}
+
+try {
+  const report = lint();
+  if (args.has('--json')) console.log(JSON.stringify(report, null, 2));
+  else print(report);
+  if (report.counts.error || (args.has('--strict') && report.counts.warn)) process.exitCode = 1;
+} catch (err) {
+  console.error(`Data lint failed: ${err.message}`);
+  process.exit(1);
+}
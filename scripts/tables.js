@@ -0,0 +1,48 @@
+// /scripts/tables.js
+// Prints the nutrition tables for a list of ingredients from the command line, computed from data/*.csv by the same
+// core the page renders from (assets/bp-core.js) — handy for checking a data edit without a browser.
+// Run with `node scripts/tables.js [--json] [--servings N] "2 cups spinach" "4 oz salmon" ...` (Node 18+, no dependencies):
+//   --json        print the whole record model (what the page keeps in BP.lastTables) as JSON
+//   --servings N  the ingredients make one recipe of N servings (default 1)
+
+const fs = require('fs');
+const path = require('path');
+const Core = require('../assets/bp-core.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const argv = process.argv.slice(2);
+const json = argv.includes('--json');
+const at = argv.indexOf('--servings');
+const servings = at >= 0 ? Number(argv[at + 1]) : 1;
+const ingredients = argv.filter((a, i) => !a.startsWith('--') && (at < 0 || i !== at + 1));
+
+const fmt = v => (typeof v === 'number' ? (isFinite(v) ? String(Math.round(v * 100) / 100) : '—') : (v === '' || v == null ? '—' : String(v)));
+
+function print(resolved, model){
+  for (const r of resolved){
+    if (r.match === 'none') console.log(`Unmapped: ${r.name}${r.candidates.length ? ` (did you mean ${r.candidates.map(c => c.name).join(', ')}?)` : ''}`);
+    else if (r.match === 'fuzzy') console.log(`Matched approximately: ${r.name} → ${r.key} (${Math.round(r.score * 100)}%)`);
+  }
+  const section = (title, headers, rows) => {
+    console.log(`\n${title}`);
+    console.log(`  ${headers.join(' | ')}`);
+    for (const row of rows) console.log(`  ${row.map(fmt).join(' | ')}`);
+  };
+  for (const t of model.tables) section(t.title, t.headers, t.rows.map(r => r.cells).concat(t.totals ? [t.totals] : []));
+  for (const r of (model.recipeNutrition ? model.recipeNutrition.recipes : [])) section(`Recipe Nutrition – ${r.title}`, r.headers, [...r.rows.map(x => x.cells), r.total, r.perServing]);
+}
+
+(async () => {
+  if (!ingredients.length) throw new Error('Name at least one ingredient, e.g. node scripts/tables.js "2 cups spinach".');
+  const core = await Core.loadCore(file => fs.promises.readFile(path.join(DATA_DIR, file), 'utf8'));
+  if (core.loadError) throw core.loadError;
+  for (const note of core.loadNotes) console.warn(note);
+  for (const issue of core.mappingIssues) console.warn(`Mapping: ${issue}`);
+  const { resolved, model } = core.build(ingredients, { servings });
+  if (!model) throw new Error('No matching ingredients were found in data/*.csv.');
+  if (json) console.log(JSON.stringify(model, null, 2));
+  else print(resolved, model);
+})().catch(err => {
+  console.error(`Tables failed: ${err.message}`);
+  process.exit(1);
+});
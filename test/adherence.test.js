@@ -0,0 +1,78 @@
+// /test/adherence.test.js
+// Diet rule parsing and plan scoring (assets/bp-adherence.js), with rows as mind.csv and diet_components.csv write them.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Adherence = require('../assets/bp-adherence.js');
+
+const RULES = [
+  { 'Diet Name': 'MIND', 'Component': 'Green leafy vegetables', 'Category': 'Adequacy', 'Recommended Intake': '≥6 servings/week', 'Scoring Rule': '1 if ≥6/week, 0.5 if 3–5/week, else 0' },
+  { 'Diet Name': 'MIND', 'Component': 'Fish', 'Category': 'Adequacy', 'Recommended Intake': '≥1 serving/week', 'Scoring Rule': '1 if ≥1/week, 0.5 if ≥0.25/week, else 0' },
+  { 'Diet Name': 'MIND', 'Component': 'Olive oil', 'Category': 'Adequacy', 'Recommended Intake': '>0 servings/day', 'Scoring Rule': '1 if >0, else 0' },
+  { 'Diet Name': 'MIND', 'Component': 'Wine', 'Category': 'Moderation', 'Recommended Intake': '1 serving/day', 'Scoring Rule': '1 if within range, 0.5 if 0.25–6/week, else 0' },
+  { 'Diet Name': 'MIND', 'Component': 'Red meat', 'Category': 'Restriction', 'Recommended Intake': '<4 servings/week', 'Scoring Rule': '1 if <4/week, 0.5 if ≤6/week, else 0' }
+];
+const COMPONENTS = [
+  { 'Component': 'Green leafy vegetables', 'Categories': 'Green Leafy Vegetables', 'Foods': 'lettuce|greens|chard' },
+  { 'Component': 'Fish', 'Categories': 'Fish', 'Foods': 'salmon|sardine|tuna' },
+  { 'Component': 'Olive oil', 'Categories': '', 'Foods': 'olive oil' },
+  { 'Component': 'Red meat', 'Categories': '', 'Foods': 'beef|pork|lamb|!pork rinds' }
+];
+
+test('parseCondition reads bounds, ranges and periods', () => {
+  assert.deepEqual(Adherence.parseCondition('≥6 servings/week'), { lo: 6, loIncl: true, hi: Infinity, hiIncl: false, period: 'week' });
+  assert.deepEqual(Adherence.parseCondition('<1 per day'), { lo: -Infinity, loIncl: false, hi: 1, hiIncl: false, period: 'day' });
+  assert.deepEqual(Adherence.parseCondition('≤6', 'week'), { lo: -Infinity, loIncl: false, hi: 6, hiIncl: true, period: 'week' });
+  assert.deepEqual(Adherence.parseCondition('3–5', 'week'), { lo: 3, loIncl: true, hi: 5, hiIncl: true, period: 'week' });
+  assert.deepEqual(Adherence.parseCondition('2 servings'), { lo: 2, loIncl: true, hi: 2, hiIncl: true, period: 'day' });
+  assert.equal(Adherence.parseCondition('daily, if possible'), null);
+});
+
+test('parseScoringRule reads clauses, "within range" and the fallback', () => {
+  const intake = Adherence.parseCondition('1 serving/day');
+  const rule = Adherence.parseScoringRule('1 if within range, 0.5 if 0.25–6/week, else 0', intake);
+  assert.deepEqual(rule.clauses.map(c => c.points), [1, 0.5]);
+  assert.equal(rule.clauses[0].cond, intake);
+  assert.equal(rule.clauses[1].cond.period, 'week');
+  assert.equal(rule.otherwise, 0);
+  assert.equal(rule.max, 1);
+  assert.equal(Adherence.parseScoringRule('lots if often', intake), null);
+});
+
+test('compileRules reports rows it cannot read', () => {
+  const compiled = Adherence.compileRules([...RULES, { 'Diet Name': 'MIND', 'Component': 'Cheese', 'Recommended Intake': 'rarely', 'Scoring Rule': '1 if rarely' }]);
+  assert.deepEqual(compiled.diets.map(d => [d.name, d.components.length]), [['MIND', 5]]);
+  assert.deepEqual(compiled.issues, ['MIND → Cheese (row 7): cannot read "rarely" / "1 if rarely"']);
+});
+
+test('matchesComponent uses categories, whole words, plurals and exclusions', () => {
+  const map = Adherence.compileComponents(COMPONENTS);
+  const fish = map.get(Adherence.componentKey('Fish'));
+  const meat = map.get(Adherence.componentKey('Red meat'));
+  assert.ok(Adherence.matchesComponent(fish, { name: 'Sardines' }));
+  assert.ok(Adherence.matchesComponent(fish, { name: 'Mackerel', category: 'Fish' }));
+  assert.ok(!Adherence.matchesComponent(fish, { name: 'Tunaberry' }));
+  assert.ok(Adherence.matchesComponent(meat, { name: 'Ground beef' }));
+  assert.ok(!Adherence.matchesComponent(meat, { name: 'Pork rinds' }));
+});
+
+test('scorePlan scores each day and the week as the average of the days', () => {
+  const days = [
+    { label: 'Mon', foods: [{ name: 'Salmon', servings: 1 }, { name: 'Olive oil', servings: 0.5 }, { name: 'Beef', servings: 1 }] },
+    { label: 'Tue', foods: [{ name: 'Swiss chard', category: 'Green Leafy Vegetables', servings: 2 }] }
+  ];
+  const [mind] = Adherence.scorePlan(Adherence.compileRules(RULES), Adherence.compileComponents(COMPONENTS), days);
+  const intake = (score, name) => score.components.find(c => c.component === name).intake;
+  const points = score => Object.fromEntries(score.components.map(c => [c.component, c.points]));
+
+  assert.equal(mind.diet, 'MIND');
+  assert.deepEqual(mind.days.map(d => d.label), ['Mon', 'Tue']);
+  assert.deepEqual(points(mind.days[0]), { 'Green leafy vegetables': 0, 'Fish': 1, 'Olive oil': 1, 'Wine': 0, 'Red meat': 0 });
+  assert.deepEqual(points(mind.days[1]), { 'Green leafy vegetables': 1, 'Fish': 0, 'Olive oil': 0, 'Wine': 0, 'Red meat': 1 });
+  assert.equal(intake(mind.days[0], 'Red meat'), 7); // one serving a day is 7 a week
+  assert.equal(intake(mind.week, 'Red meat'), 3.5);
+  assert.deepEqual(points(mind.week), { 'Green leafy vegetables': 1, 'Fish': 1, 'Olive oil': 1, 'Wine': 0, 'Red meat': 1 });
+  assert.deepEqual({ score: mind.week.score, max: mind.week.max, pct: mind.week.pct }, { score: 4, max: 5, pct: 80 });
+  assert.equal(mind.week.components.find(c => c.component === 'Wine').mapped, false);
+});
@@ -0,0 +1,160 @@
+// /test/core.test.js
+// The DOM-free core (assets/bp-core.js) run against the real data/*.csv: tables, name resolution, plans and checks.
+// Run with `node --test` from the repository root (Node 18+, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Core = require('../assets/bp-core.js');
+const Index = require('../assets/bp-index.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const read = file => fs.promises.readFile(path.join(DATA_DIR, file), 'utf8');
+
+let core;
+test.before(async () => {
+  core = await Core.loadCore(read);
+});
+
+test('loadCore reads data/*.csv without issues', () => {
+  assert.equal(core.loadError, null);
+  assert.deepEqual(core.mappingIssues, []);
+  assert.deepEqual(core.loadNotes, [`Optional dataset 'synonyms' not loaded: ENOENT: no such file or directory, open '${path.join(DATA_DIR, 'synonyms.csv')}'`]);
+  assert.ok(core.has('spinach') && core.has('salmon'));
+});
+
+test('optional modules missing in the browser are reported in mappingIssues', async () => {
+  // bp-core.js as a page loads it, with only bp-index.js before it
+  const self = { BP: { index: Index } };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'assets', 'bp-core.js'), 'utf8'), { self, console });
+  const bare = await self.BP.core.loadCore(read);
+  assert.equal(bare.loadError, null);
+  assert.deepEqual(Array.from(bare.mappingIssues, m => m.split(' ')[0]), // an array from the other realm
+    ['bp-quantity.js', 'bp-scoring.js', 'bp-adherence.js', 'bp-match.js', 'bp-substitute.js', 'bp-nutrients.js', 'bp-profiles.js']);
+  assert.match(bare.mappingIssues[3], /^bp-match\.js is not loaded before bp-core\.js; ingredient names must match the CSVs exactly\.$/);
+});
+
+test('build gives the five tables and the scaled recipe nutrition for a known recipe', () => {
+  const { resolved, model } = core.build(['2 cups spinach', '4 oz salmon']);
+  assert.deepEqual(resolved.map(r => [r.name, r.key, r.match]), [['spinach', 'spinach', 'exact'], ['salmon', 'salmon', 'exact']]);
+  assert.deepEqual(model.tables.map(t => t.id), ['nutrition', 'cog_other', 'diet_compat', 'microbiome', 'micronutrients']);
+  for (const t of model.tables) assert.deepEqual(t.rows.map(r => r.key), ['spinach', 'salmon']);
+
+  const [recipe] = model.recipeNutrition.recipes;
+  assert.deepEqual(recipe.headers, ['Ingredient', 'Amount', 'Reference serving', '× Serving', 'Calories', 'Protein (g)', 'Fiber (g)', 'GL']);
+  const spinach = recipe.rows.find(r => r.key === 'spinach');
+  assert.equal(spinach.cells[3], 2); // 2 cups against "1 cup raw", the same factor for every column
+  const salmon = recipe.rows.find(r => r.key === 'salmon');
+  assert.match(salmon.cells[3], /^×1\.14 \(Calories, Protein \(g\), Fiber \(g\)\); ×1\.33 \(GL\)$/); // 4 oz against "3–4 oz" and "3 ounces"
+  assert.equal(recipe.partial, false);
+  recipe.total.slice(4).forEach((v, i) => assert.ok(Math.abs(v - spinach.cells[4 + i] - salmon.cells[4 + i]) < 1e-9));
+  assert.deepEqual(recipe.perServing.slice(4), recipe.total.slice(4));
+});
+
+test('build leaves incomparable amounts out of the recipe totals', () => {
+  const { model } = core.build(['100 g spinach', '4 oz salmon']);
+  const [recipe] = model.recipeNutrition.recipes;
+  const spinach = recipe.rows.find(r => r.key === 'spinach');
+  assert.equal(spinach.cells[3], 'not comparable');
+  assert.ok(spinach.cells.slice(4).every(Number.isNaN));
+  assert.equal(recipe.partial, true);
+  assert.equal(recipe.total[0], 'Total (recipe, comparable amounts only)');
+});
+
+test('the precompiled index gives the same tables as the CSVs', async () => {
+  const files = {};
+  for (const name of fs.readdirSync(DATA_DIR)) if (name.endsWith('.csv')) files[name] = await read(name);
+  const index = Index.buildIndex(files);
+  delete index.issues;
+  const fromIndex = await Core.loadCore(() => { throw new Error('the index should be enough'); }, { index });
+  const ingredients = ['2 cups spinach', '4 oz salmon', '1 tbsp olive oil'];
+  assert.deepEqual(fromIndex.build(ingredients).model.tables, core.build(ingredients).model.tables);
+});
+
+test('resolveName matches the catalog spellings and the variants the model writes', () => {
+  for (const name of ['Brussel Sprouts', 'Olive Oil (Extra Virgin -Cold-pressed)', 'Oats/Oat Groats/Steel Cut/Rolled']) {
+    assert.equal(core.resolveName(name).match, 'exact', name);
+  }
+  const cases = {
+    'Brussels Sprouts': 'brussel sprouts',
+    'extra virgin olive oil': 'olive oil extra virgin -cold-pressed',
+    'steel cut oats': 'oats oat groats steel cut rolled',
+    'Rolled Oats': 'oats oat groats steel cut rolled',
+    'blueberry': 'blueberries',
+    'brocoli': 'broccoli',
+    'red onion': 'onions',
+    'feta': 'feta cheese',
+    'walnut halves': 'walnut'
+  };
+  for (const [name, key] of Object.entries(cases)) {
+    const r = core.resolveName(name);
+    assert.equal(r.match, 'fuzzy', name);
+    assert.equal(r.key, key, name);
+    assert.equal(r.candidates[0].key, key, name);
+    assert.ok(r.candidates.length <= 3, name);
+  }
+  assert.deepEqual(core.resolveName('zzqx'), { key: 'zzqx', match: 'none', score: 0, candidates: [] });
+  // Fits every "X Cheese" equally: offered, not picked
+  const cheese = core.resolveName('cheese');
+  assert.equal(cheese.match, 'none');
+  assert.equal(cheese.candidates.length, 3);
+});
+
+test('a two-day plan is scored per day and for the week', () => {
+  const { model } = core.build([], {
+    days: [
+      { label: 'Mon', recipes: [{ title: 'A', servings: 1, ingredients: [{ quantity: 1, unit: 'cup', name: 'Blueberries' }, { quantity: 4, unit: 'oz', name: 'Salmon' }] }] },
+      { label: 'Tue', recipes: [{ title: 'B', servings: 1, ingredients: [{ quantity: 2, unit: 'cups', name: 'Spinach' }, { quantity: 1, unit: 'tbsp', name: 'Olive Oil (Extra Virgin -Cold-pressed)' }] }] }
+    ]
+  });
+  const { adherence } = model;
+  assert.deepEqual(adherence.days, ['Mon', 'Tue']);
+  assert.deepEqual(adherence.diets.map(d => d.diet), ['MODERN', 'MIND', 'Mediterranean']);
+
+  const mind = adherence.diets.find(d => d.diet === 'MIND');
+  const component = (score, name) => score.components.find(c => c.component === name);
+  assert.deepEqual(mind.days.map(d => d.label), ['Mon', 'Tue']);
+  assert.equal(component(mind.days[0], 'Fish').intake, 8);  // 4 oz is 8/7 servings of "3–4 oz cooked", i.e. 8 a week
+  assert.equal(component(mind.days[1], 'Fish').intake, 0);
+  assert.equal(component(mind.week, 'Fish').intake, 4);     // the week averages the two days
+  assert.deepEqual(component(mind.week, 'Berries').foods, ['Blueberries']);
+  for (const score of [mind.week, ...mind.days]) {
+    assert.equal(score.score, score.components.reduce((a, c) => a + c.points, 0));
+    assert.equal(score.max, score.components.reduce((a, c) => a + c.max, 0));
+  }
+});
+
+test('validateRecipes reports excluded, unknown and missing ingredients', () => {
+  const result = core.validateRecipes([{ title: 'Bowl', ingredients: [{ name: 'Salmon' }, { name: 'Spinach' }, { name: 'Twinkies' }] }], {
+    exclusions: ['Fish'], groups: { Fish: ['Salmon', 'Sardines'] }, include: ['Walnuts', 'Spinach']
+  });
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.violations.map(v => [v.ingredient, v.type]), [['Salmon', 'excluded'], ['Twinkies', 'not_whitelisted']]);
+  assert.deepEqual(result.missing, ['Walnuts']);
+  assert.ok(result.allowed.includes('Spinach'));
+  assert.ok(!result.allowed.includes('Salmon') && !result.allowed.includes('Sardines'));
+
+  assert.equal(core.validateRecipes([{ title: 'Greens', ingredients: [{ name: 'Spinach' }, { name: 'Kale' }] }]).ok, true);
+});
+
+test('checkProfile rules out allergens by name and by the best candidate\'s category', () => {
+  const profile = { name: 'Ann', allergens: ['dairy', 'gluten', 'eggs'] };
+  const groups = { Dairy: ['Edam Cheese', 'Low-fat Milk'] };
+  assert.deepEqual(core.checkProfile(['feta', 'buttermilk', 'all-purpose flour', 'mayonnaise', 'soy sauce', 'Spinach'], profile, groups), {
+    feta: ['dairy allergy'], buttermilk: ['dairy allergy'], 'all-purpose flour': ['gluten allergy'],
+    mayonnaise: ['eggs allergy'], 'soy sauce': ['gluten allergy']
+  });
+  // No catalog row and no dairy word, but the best candidate is Edam Cheese, in the Dairy group's categories
+  assert.equal(core.resolveName('aged edam').match, 'none');
+  assert.deepEqual(core.checkProfile(['aged edam'], profile, groups), { 'aged edam': ['dairy allergy'] });
+  assert.deepEqual(core.checkProfile(['aged edam'], profile), {});
+});
+
+test('checkProfile applies the Low GI and Keto limits to each food\'s reference serving', () => {
+  // gi_gl.csv: Watermelon GI 72; Sweet Potatoes GL 11 at GI 44, i.e. 25 g of carbs; Blueberries 7.5 g
+  assert.deepEqual(core.checkProfile(['Watermelon', 'Spinach', 'Salmon'], { name: 'Ann', diet: 'low_gi' }), { Watermelon: ['not Low GI'] });
+  assert.deepEqual(core.checkProfile(['Sweet Potatoes', 'Blueberries', 'Salmon', 'Quinoa'], { name: 'Ann', diet: 'keto' }),
+    { 'Sweet Potatoes': ['not Keto'], Quinoa: ['not Keto'] });
+});
@@ -0,0 +1,50 @@
+// /test/export.test.js
+// Export rows, CSV and the handout (assets/bp-export.js) for a record model the core builds from data/*.csv.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Core = require('../assets/bp-core.js');
+const Export = require('../assets/bp-export.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+let model;
+test.before(async () => {
+  const core = await Core.loadCore(file => fs.promises.readFile(path.join(DATA_DIR, file), 'utf8'));
+  model = core.build([], {
+    recipes: [{ title: 'Salmon <Bowl>', servings: 2, ingredients: [{ quantity: 4, unit: 'oz', name: 'Salmon' }, { quantity: 100, unit: 'g', name: 'Spinach' }] }]
+  }).model;
+});
+
+test('exportTables gives the five tables, then the recipe cards, as plain rows', () => {
+  const tables = Export.exportTables(model);
+  assert.deepEqual(tables.slice(0, 5).map(t => t.id), model.tables.map(t => t.id));
+  const nutrition = tables.find(t => t.id === 'recipe_nutrition:Salmon <Bowl>');
+  assert.equal(nutrition.title, 'Recipe Nutrition – Salmon <Bowl>');
+  assert.equal(nutrition.rows.length, 4); // two ingredients, Total, Per serving
+  const spinach = nutrition.rows.find(r => r[0] === 'Spinach');
+  assert.ok(spinach.slice(4).every(c => c === '')); // "not comparable" amounts carry NaN
+  for (const t of tables) for (const r of t.rows) assert.ok(r.every(c => typeof c !== 'number' || Number.isFinite(c)), t.id);
+  assert.ok(tables.some(t => t.id === 'recipe_scores'));
+});
+
+test('toCSV quotes commas, quotes and line breaks', () => {
+  assert.equal(Export.toCSV({ headers: ['Food', 'Notes'], rows: [['Oats, rolled', 'say "hi"'], ['Kale', 'a\nb'], ['Tea', null]] }),
+    'Food,Notes\r\n"Oats, rolled","say ""hi"""\r\nKale,"a\nb"\r\nTea,');
+});
+
+test('the handout escapes recipe text and lists every table', () => {
+  const html = Export.handoutHTML({ ...model, request: { recipes: [{ title: 'Salmon <Bowl>', servings: 2, ingredients: [{ quantity: 0.333, unit: 'cup', name: 'Walnuts' }] }], goals: ['Sleep Support'] } });
+  assert.match(html, /<h2>Salmon &lt;Bowl&gt;<\/h2>/);
+  assert.match(html, /<li>0\.33 cup Walnuts<\/li>/);
+  assert.match(html, /Goals: Sleep Support/);
+  assert.equal((html.match(/<section class="table">/g) || []).length, Export.exportTables(model).length);
+});
+
+test('without a rendered result there is nothing to export', () => {
+  assert.throws(() => Export.exportTables(), /Nothing to export yet/);
+  assert.throws(() => Export.bundle(), /Nothing to export yet/);
+});
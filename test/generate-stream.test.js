@@ -0,0 +1,134 @@
+// /test/generate-stream.test.js
+// The streaming endpoint (netlify/functions/generate-stream.mjs) against a local mock of the OpenAI
+// chat-completions API that answers `stream: true` requests with SSE. Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const generate = require('../netlify/functions/generate.js');
+
+const messages = [{ role: 'user', content: 'Generate 1 recipe.' }];
+const recipe = {
+  title: 'Spinach Salmon Bowl', servings: 2,
+  ingredients: [{ quantity: 8, unit: 'oz', name: 'salmon' }, { quantity: 4, unit: 'cups', name: 'spinach' }],
+  steps: ['Roast the salmon.', 'Wilt the spinach.'], coaching_notes: []
+};
+
+// Mock chat-completions server. Each request takes the next queued reply:
+//   { chunks:[text] }  SSE deltas, then [DONE]      { content }  a JSON completion
+//   { error }          an SSE error chunk            { hang:true } one delta, then the stream stays open
+const api = { requests: [], replies: [], closed: 0 };
+const server = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', (chunk) => { data += chunk; });
+  req.on('end', () => {
+    api.requests.push(JSON.parse(data));
+    const reply = api.replies.shift();
+    const sse = (obj) => res.write(`data: ${JSON.stringify(obj)}\n\n`);
+    if (reply.content !== undefined) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply.content } }] }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    if (reply.error) { sse({ error: { message: reply.error } }); res.end(); return; }
+    for (const text of reply.chunks) sse({ choices: [{ delta: { content: text } }] });
+    if (reply.hang) { res.on('close', () => { api.closed++; }); return; }
+    res.end('data: [DONE]\n\n');
+  });
+});
+
+let env, createHandler, handler;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  env = { OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1` };
+  ({ createHandler } = await import('../netlify/functions/generate-stream.mjs'));
+  handler = createHandler({ env });
+});
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+test.beforeEach(() => { api.requests.length = 0; api.replies.length = 0; });
+
+const request = (body, init = {}) => new Request('https://meals.test/.netlify/functions/generate-stream', {
+  method: 'POST', headers: { 'content-type': 'application/json', host: 'meals.test' }, body: JSON.stringify(body), ...init
+});
+
+// "event: x\ndata: {...}\n\n" blocks → [{ event, data }]
+async function events(res) {
+  const text = await res.text();
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+test('the model output arrives as deltas, then as one result', async () => {
+  api.replies.push({ chunks: ['Salmon ', 'bowl'] });
+  const res = await handler(request({ messages }), { ip: '10.0.0.1' });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+  assert.deepEqual(await events(res), [
+    { event: 'delta', data: { text: 'Salmon ' } },
+    { event: 'delta', data: { text: 'bowl' } },
+    { event: 'result', data: { content: 'Salmon bowl' } }
+  ]);
+  assert.equal(api.requests[0].stream, true);
+});
+
+test('a structured answer that misses the schema is repaired once', async () => {
+  api.replies.push({ chunks: ['{"recipes":[]}'] }, { content: JSON.stringify({ recipes: [recipe] }) });
+  const res = await handler(request({ messages, structured: true }), { ip: '10.0.0.2' });
+  const got = await events(res);
+  assert.deepEqual(got.map((e) => e.event), ['delta', 'status', 'result']);
+  assert.deepEqual(got[2].data.recipes, [recipe]);
+  assert.ok(api.requests[0].response_format && api.requests[1].response_format);
+  assert.equal(api.requests[1].stream, undefined);
+});
+
+test('rejections before the stream are plain JSON, as generate.js answers them', async () => {
+  const res = await handler(request({ messages: [] }), { ip: '10.0.0.3' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: 'messages[] required', code: 'INVALID_MESSAGES' });
+  assert.equal(api.requests.length, 0);
+});
+
+test('an upstream error after the stream has started is an error event', async () => {
+  api.replies.push({ error: 'The server had an error' });
+  const got = await events(await handler(request({ messages }), { ip: '10.0.0.4' }));
+  assert.deepEqual(got, [{ event: 'error', data: { error: 'The server had an error', code: 'UPSTREAM_ERROR' } }]);
+});
+
+test('cancelling the response aborts the upstream request', async () => {
+  api.replies.push({ chunks: ['Salmon '], hang: true });
+  const res = await handler(request({ messages }), { ip: '10.0.0.5' });
+  const reader = res.body.getReader();
+  const { value } = await reader.read();
+  assert.match(new TextDecoder().decode(value), /^event: delta/);
+  await reader.cancel();
+  for (let i = 0; i < 50 && !api.closed; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(api.closed, 1);
+});
+
+test('generate.js and the stream count against one rate limit per client', async () => {
+  const limited = { ...env, RATE_LIMIT_MAX: '1' };
+  api.replies.push({ content: 'Salmon bowl' });
+  const first = await generate.createHandler({ env: limited })({
+    httpMethod: 'POST', headers: { host: 'meals.test', 'x-nf-client-connection-ip': '10.0.0.6' }, body: JSON.stringify({ messages })
+  });
+  assert.equal(first.statusCode, 200);
+  const res = await createHandler({ env: limited })(request({ messages }), { ip: '10.0.0.6' });
+  assert.equal(res.status, 429);
+  assert.equal((await res.json()).code, 'RATE_LIMITED');
+  assert.equal(api.requests.length, 1);
+});
+
+test('a custom store takes the stream\'s rate-limit counts', async () => {
+  const hits = [];
+  const store = { async hit(key, windowMs) { hits.push(key); return { count: 99, resetAt: Date.now() + windowMs }; } };
+  const res = await createHandler({ env: { ...env, RATE_LIMIT_MAX: '5' }, store })(request({ messages }), { ip: '10.0.0.7' });
+  assert.equal(res.status, 429);
+  assert.deepEqual(hits, ['10.0.0.7']);
+});
@@ -0,0 +1,204 @@
+// /test/generate.test.js
+// The generate function (netlify/functions/generate.js) against a local mock of the OpenAI chat-completions API:
+// limits, model allow-list, CORS origins, rate limiting, error codes and the LLM_PROVIDER choices — no network, no key.
+// Run with `node --test` from the repository root (Node 18+, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createHandler } = require('../netlify/functions/generate.js');
+const { structuredRecipes } = require('../netlify/lib/providers.js');
+const { MemoryStore } = require('../netlify/lib/rate-limit.js');
+
+const messages = [{ role: 'user', content: 'Generate 2 recipes. Each recipe serves 4.' }];
+const recipe = {
+  title: 'Spinach Salmon Bowl', servings: 2,
+  ingredients: [{ quantity: 8, unit: 'oz', name: 'salmon' }, { quantity: 4, unit: 'cups', name: 'spinach' }],
+  steps: ['Roast the salmon.', 'Wilt the spinach.'], coaching_notes: []
+};
+
+// An event as Netlify passes it to generate.js
+function post(body, headers = {}) {
+  return { httpMethod: 'POST', headers: { host: 'meals.test', 'x-nf-client-connection-ip': '10.0.0.1', ...headers }, body: JSON.stringify(body) };
+}
+
+async function call(handler, event) {
+  const res = await handler(event);
+  return { ...res, json: res.body ? JSON.parse(res.body) : null };
+}
+
+// Mock chat-completions server: answers each POST with the next of `replies` (a string becomes the message content,
+// an object { status, body } is sent as is) and records the requests
+async function mockOpenAI(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(data) });
+      const reply = replies[requests.length - 1] ?? replies[replies.length - 1];
+      const { status, body } = typeof reply === 'string' ? { status: 200, body: { choices: [{ message: { role: 'assistant', content: reply } }] } } : reply;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1`, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+// env for the default openai provider, pointed at a mock
+const openaiEnv = (api, extra = {}) => ({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: api.baseUrl, ...extra });
+
+test('requests are checked before the API is called', async (t) => {
+  const api = await mockOpenAI(['Salmon bowl']);
+  t.after(api.close);
+  const handler = createHandler({ env: openaiEnv(api, { ALLOWED_MODELS: 'gpt-4o-mini', MAX_MESSAGES: '2', MAX_MESSAGE_CHARS: '100' }) });
+  const code = async (event) => (await call(handler, event)).json.code;
+
+  assert.equal(await code({ ...post({ messages }), httpMethod: 'GET' }), 'METHOD_NOT_ALLOWED');
+  assert.equal(await code(post({ messages }, { origin: 'https://elsewhere.test' })), 'ORIGIN_NOT_ALLOWED');
+  assert.equal(await code({ ...post({}), body: '{not json' }), 'INVALID_JSON');
+  assert.equal(await code(post({ messages: [] })), 'INVALID_MESSAGES');
+  assert.equal(await code(post({ messages: [{ role: 'tool', content: 'x' }] })), 'INVALID_MESSAGES');
+  assert.equal(await code(post({ messages: [...messages, ...messages, ...messages] })), 'TOO_MANY_MESSAGES');
+  assert.equal(await code(post({ messages: [{ role: 'user', content: 'x'.repeat(101) }] })), 'MESSAGE_TOO_LONG');
+  assert.equal(await code(post({ messages, model: 'gpt-4o' })), 'MODEL_NOT_ALLOWED');
+  assert.equal(api.requests.length, 0);
+
+  const same = await call(handler, post({ messages }, { origin: 'https://meals.test' }));
+  assert.equal(same.statusCode, 200);
+  assert.equal(same.headers['Access-Control-Allow-Origin'], 'https://meals.test');
+  const preflight = await handler({ httpMethod: 'OPTIONS', headers: { host: 'meals.test', origin: 'https://elsewhere.test' } });
+  assert.equal(preflight.statusCode, 403);
+});
+
+test('listed origins are allowed cross-origin', async (t) => {
+  const api = await mockOpenAI(['Salmon bowl']);
+  t.after(api.close);
+  const handler = createHandler({ env: openaiEnv(api, { ALLOWED_ORIGINS: 'https://clinic.test' }) });
+  const res = await call(handler, post({ messages }, { origin: 'https://clinic.test' }));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://clinic.test');
+  assert.equal((await handler({ httpMethod: 'OPTIONS', headers: { host: 'meals.test', origin: 'https://clinic.test' } })).statusCode, 204);
+});
+
+test('the payload is clamped to the configured limits before it is sent', async (t) => {
+  const api = await mockOpenAI(['Salmon bowl']);
+  t.after(api.close);
+  const handler = createHandler({ env: openaiEnv(api, { MAX_TEMPERATURE: '0.5', MAX_TOKENS: '800' }) });
+  const res = await call(handler, post({ messages: [{ role: 'user', content: 'Hi', extra: true }], temperature: 2, max_tokens: 5000 }));
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.json, { content: 'Salmon bowl' });
+  const [req] = api.requests;
+  assert.equal(req.url, '/v1/chat/completions');
+  assert.equal(req.headers.authorization, 'Bearer sk-test');
+  assert.deepEqual(req.body, { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }], temperature: 0.5, max_tokens: 800 });
+});
+
+test('the rate limit counts per client IP and reports it in headers', async (t) => {
+  const api = await mockOpenAI(['Salmon bowl']);
+  t.after(api.close);
+  const handler = createHandler({ env: openaiEnv(api, { RATE_LIMIT_MAX: '2' }), store: new MemoryStore() });
+  const first = await call(handler, post({ messages }));
+  assert.equal(first.headers['X-RateLimit-Limit'], '2');
+  assert.equal(first.headers['X-RateLimit-Remaining'], '1');
+  await call(handler, post({ messages }));
+  const third = await call(handler, post({ messages }));
+  assert.equal(third.statusCode, 429);
+  assert.equal(third.json.code, 'RATE_LIMITED');
+  assert.ok(Number(third.headers['Retry-After']) > 0);
+  assert.equal(api.requests.length, 2);
+  assert.equal((await call(handler, post({ messages }, { 'x-nf-client-connection-ip': '10.0.0.2' }))).statusCode, 200);
+});
+
+test('a custom store takes the rate-limit counts', async (t) => {
+  const api = await mockOpenAI(['Salmon bowl']);
+  t.after(api.close);
+  const hits = [];
+  const store = { async hit(key, windowMs) { hits.push([key, windowMs]); return { count: 99, resetAt: Date.now() + windowMs }; } };
+  const handler = createHandler({ env: openaiEnv(api, { RATE_LIMIT_MAX: '5', RATE_LIMIT_WINDOW_MS: '1000' }), store });
+  assert.equal((await call(handler, post({ messages }, { 'x-forwarded-for': '10.0.0.9, 10.0.0.1', 'x-nf-client-connection-ip': '' }))).statusCode, 429);
+  assert.deepEqual(hits, [['10.0.0.9', 1000]]);
+});
+
+test('a missing key, base URL or unknown provider is reported, not sent', async () => {
+  for (const env of [{}, { LLM_PROVIDER: 'openai-compatible' }, { LLM_PROVIDER: 'llama' }]) {
+    const res = await call(createHandler({ env }), post({ messages }));
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.json.code, 'SERVER_MISCONFIGURED', JSON.stringify(env));
+  }
+});
+
+test('an openai-compatible server is called at LLM_BASE_URL, with LLM_API_KEY only when set', async (t) => {
+  const api = await mockOpenAI(['Salmon bowl']);
+  t.after(api.close);
+  const env = { LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: api.baseUrl, ALLOWED_MODELS: 'llama3.1', OPENAI_API_KEY: 'sk-not-this' };
+  const res = await call(createHandler({ env }), post({ messages, model: 'llama3.1' }));
+  assert.deepEqual(res.json, { content: 'Salmon bowl' });
+  assert.equal(api.requests[0].headers.authorization, undefined);
+  assert.equal(api.requests[0].body.model, 'llama3.1');
+
+  await call(createHandler({ env: { ...env, LLM_API_KEY: 'local-key' } }), post({ messages, model: 'llama3.1' }));
+  assert.equal(api.requests[1].headers.authorization, 'Bearer local-key');
+});
+
+test('the fixture provider answers without network or key, the same way each time', async () => {
+  const handler = createHandler({ env: { LLM_PROVIDER: 'fixture' } });
+  const first = await call(handler, post({ messages, structured: true }));
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.json.recipes.length, 2);
+  assert.ok(first.json.recipes.every((r) => r.servings === 4));
+  assert.deepEqual((await call(handler, post({ messages, structured: true }))).json, first.json);
+
+  const avoided = first.json.recipes[0].ingredients[0].name;
+  const fix = [...messages, { role: 'user', content: `Replace "${avoided}" in "${first.json.recipes[0].title}".` }];
+  const fixed = await call(handler, post({ messages: fix, structured: true }));
+  assert.ok(fixed.json.recipes.every((r) => r.ingredients.every((i) => i.name !== avoided)));
+
+  const text = await call(handler, post({ messages }));
+  assert.match(text.json.content, /^.+ \(serves 4\)\nIngredients:\n- /);
+});
+
+test('structured mode repairs a non-matching answer once, then gives up', async (t) => {
+  const api = await mockOpenAI(['{"recipes":[{"title":"No ingredients"}]}', JSON.stringify({ recipes: [recipe] })]);
+  t.after(api.close);
+  const res = await call(createHandler({ env: openaiEnv(api) }), post({ messages, structured: true }));
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.json.recipes, [recipe]);
+  assert.equal(api.requests.length, 2);
+  assert.ok(api.requests.every((r) => r.body.response_format));
+  const repair = api.requests[1].body.messages;
+  assert.equal(repair[repair.length - 2].role, 'assistant');
+  assert.match(repair[repair.length - 1].content, /did not match the required schema/);
+
+  const broken = await mockOpenAI(['not json']);
+  t.after(broken.close);
+  const failed = await call(createHandler({ env: openaiEnv(broken) }), post({ messages, structured: true }));
+  assert.equal(failed.statusCode, 502);
+  assert.equal(failed.json.code, 'SCHEMA_MISMATCH');
+  assert.equal(broken.requests.length, 2);
+});
+
+test('upstream errors come back as UPSTREAM_ERROR with the upstream status', async (t) => {
+  const api = await mockOpenAI([{ status: 429, body: { error: { message: 'Rate limit reached for gpt-4o-mini' } } }]);
+  t.after(api.close);
+  const res = await call(createHandler({ env: openaiEnv(api) }), post({ messages }));
+  assert.equal(res.statusCode, 502);
+  assert.deepEqual(res.json, { error: 'Rate limit reached for gpt-4o-mini', code: 'UPSTREAM_ERROR', details: { upstreamStatus: 429 } });
+});
+
+test('an aborted signal skips the schema repair', async () => {
+  // A provider that ignores the signal, so only structuredRecipes itself can skip the second call
+  const controller = new AbortController();
+  const calls = [];
+  const provider = {
+    name: 'stub',
+    async chatCompletion(payload) {
+      calls.push(payload);
+      controller.abort();
+      return '{"recipes":[]}';
+    }
+  };
+  await assert.rejects(structuredRecipes(provider, { model: 'gpt-4o-mini', messages }, controller.signal), { name: 'AbortError' });
+  assert.equal(calls.length, 1);
+});
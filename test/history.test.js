@@ -0,0 +1,64 @@
+// /test/history.test.js
+// Recipe history entries, search and comparison (assets/bp-history.js). IndexedDB itself is browser-only.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const History = require('../assets/bp-history.js');
+
+// BP.lastTables after one run, as far as entryFrom reads it
+const TABLES = {
+  keys: ['salmon', 'spinach'],
+  recipes: [{ title: 'Spinach Salmon Bowl' }],
+  recipeNutrition: {
+    recipes: [{
+      title: 'Spinach Salmon Bowl', servings: 2,
+      headers: ['Ingredient', 'Amount', 'Reference serving', '× Serving', 'Calories', 'Protein (g)'],
+      total: ['Total', '', '', '', 401.333, 46],
+      perServing: ['Per serving', '', '', '', 200.667, 23]
+    }]
+  },
+  request: { keys: ['salmon', 'spinach'] }
+};
+
+test('entryFrom keeps the run, the titles and rounded totals', () => {
+  const entry = History.entryFrom({
+    source: 'custom', form: { goals: ['Blood Sugar Control (Low GI/GL)'], exclusions: ['Dairy'], custom: 'quick lunch' },
+    prompts: [{ role: 'system', content: 'You are a chef.', extra: 1 }, { role: 'user', content: 'Generate 1 recipe.' }],
+    output: '{"recipes":[]}', tables: TABLES
+  });
+  assert.equal(entry.title, 'Spinach Salmon Bowl');
+  assert.deepEqual(entry.prompts[0], { role: 'system', content: 'You are a chef.' });
+  assert.deepEqual(entry.totals, [{ title: 'Spinach Salmon Bowl', servings: 2, columns: ['Calories', 'Protein (g)'], total: [401.33, 46], perServing: [200.67, 23] }]);
+  assert.deepEqual(entry.request, TABLES.request);
+  assert.equal(entry.favourite, false);
+  assert.equal(History.entryFrom({ source: 'selections', tables: { keys: ['oats', 'walnut'] } }).title, 'oats, walnut');
+  assert.equal(History.entryFrom({ source: 'plan' }).title, 'Untitled');
+});
+
+test('matches needs every word somewhere in the entry, user prompts included', () => {
+  const entry = History.entryFrom({
+    source: 'custom', form: { goals: ['Sleep Support'], exclusions: ['Dairy'], profile: { name: 'Ann' } },
+    prompts: [{ role: 'system', content: 'secret sauce' }, { role: 'user', content: 'Make it spicy' }], tables: TABLES
+  });
+  assert.ok(History.matches(entry, ''));
+  assert.ok(History.matches(entry, 'salmon SLEEP'));
+  assert.ok(History.matches(entry, 'ann dairy spicy'));
+  assert.ok(!History.matches(entry, 'salmon tofu'));
+  assert.ok(!History.matches(entry, 'secret'));
+});
+
+test('compareTotals lines up the columns either recipe has', () => {
+  const a = { columns: ['Calories', 'Protein (g)'], perServing: [200, 23], total: [400, 46] };
+  const b = { columns: ['Calories', 'Fiber (g)'], perServing: [250.555, 6], total: [501.11, 12] };
+  assert.deepEqual(History.compareTotals(a, b), [
+    { column: 'Calories', a: 200, b: 250.555, diff: 50.56 },
+    { column: 'Protein (g)', a: 23, b: null, diff: null },
+    { column: 'Fiber (g)', a: null, b: 6, diff: null }
+  ]);
+  assert.equal(History.compareTotals(a, b, { total: true })[0].diff, 101.11);
+});
+
+test('openHistory rejects where there is no IndexedDB', async () => {
+  await assert.rejects(History.openHistory(), /IndexedDB is not available/);
+});
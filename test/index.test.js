@@ -0,0 +1,73 @@
+// /test/index.test.js
+// CSV parsing and the precompiled ingredient index (assets/bp-index.js), on small tables and on data/*.csv.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Index = require('../assets/bp-index.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+test('parseTable reads quoted fields, escaped quotes, CRLF and a BOM', () => {
+  const table = Index.parseTable('\ufeffFoods,Notes\r\n"Olive Oil (Extra Virgin, Cold-pressed)","Say ""EVOO"""\r\n\r\nSpinach,"two\nlines"\n');
+  assert.deepEqual(table, {
+    headers: ['Foods', 'Notes'],
+    rows: [['Olive Oil (Extra Virgin, Cold-pressed)', 'Say "EVOO"'], ['Spinach', 'two\nlines']]
+  });
+  assert.deepEqual(Index.parseTable(''), { headers: [], rows: [] });
+});
+
+test('repeated headers are renamed as Papa Parse does; extra cells are kept aside', () => {
+  assert.deepEqual(Index.parseTable('GI,GI,GI_1,GI\n1,2,3,4').headers, ['GI', 'GI_2', 'GI_1', 'GI_3']);
+  assert.deepEqual(Index.parseCSV('Foods,GI\nOats,55,extra'), [{ Foods: 'Oats', GI: '55', __parsed_extra: ['extra'] }]);
+});
+
+test('canonicalize applies saved aliases before the built-in synonyms', () => {
+  assert.equal(Index.canonicalize('  Walnuts. '), 'walnut');
+  assert.equal(Index.canonicalize('EVOO'), 'olive oil extra virgin');
+  assert.equal(Index.canonicalize('walnuts', new Map([['walnuts', 'walnut pieces']])), 'walnut pieces');
+  assert.equal(Index.clean(' " '), '');
+});
+
+test('compileRecords keeps the first non-empty value per column and where it came from', () => {
+  const sources = [
+    { name: 'main', file: 'main.csv', keyCandidates: ['Foods'], expectAnyOf: ['Calories'], rows: Index.parseCSV('Foods,Calories,GI\nSpinach,7,\nWalnuts,185,15') },
+    { name: 'gi_gl', file: 'gi_gl.csv', keyCandidates: ['Foods'], expectAnyOf: ['GI'], rows: Index.parseCSV('Food,GI,Calories\nspinach,15,99') },
+    { name: 'extra', file: 'extra.csv', keyCandidates: ['Foods'], expectAnyOf: ['X'], optional: true, error: 'extra.csv not found' }
+  ];
+  const out = Index.compileRecords(sources, Index.DEFAULT_SETTINGS);
+  assert.deepEqual(out.datasets, { main: { file: 'main.csv', keyCol: 'Foods' }, gi_gl: { file: 'gi_gl.csv', keyCol: 'Food' } });
+  assert.deepEqual(out.records.spinach.values, { Foods: 'Spinach', Calories: '7', GI: '15', Food: 'spinach' });
+  assert.deepEqual(out.records.spinach.sources.GI, ['gi_gl.csv', 1]);
+  assert.deepEqual(out.records.spinach.sources.Calories, ['main.csv', 1]);
+  assert.deepEqual(out.records.spinach.conflicts, { Calories: [['gi_gl.csv', 1, '99']] });
+  assert.equal(out.records.walnut.display, 'Walnuts');
+  assert.deepEqual(out.issues, [{ level: 'info', message: "Optional dataset 'extra' not loaded: extra.csv not found" }]);
+
+  assert.throws(() => Index.compileRecords([{ ...sources[0], rows: [] }], Index.DEFAULT_SETTINGS), /Dataset 'main' failed: No data rows/);
+});
+
+test('valuesDisagree compares numbers by value and text by containment', () => {
+  assert.equal(Index.valuesDisagree('7', '7.0'), false);
+  assert.equal(Index.valuesDisagree('7', '8'), true);
+  assert.equal(Index.valuesDisagree('1 cup', '1 cup raw / ½ cup cooked'), false);
+  assert.equal(Index.valuesDisagree('Nuts', 'Seeds'), true);
+  assert.equal(Index.valuesDisagree('Nuts', ''), false);
+});
+
+test('buildIndex compiles data/*.csv into records, settings and the raw files', () => {
+  const files = {};
+  for (const name of fs.readdirSync(DATA_DIR)) if (name.endsWith('.csv')) files[name] = fs.readFileSync(path.join(DATA_DIR, name), 'utf8');
+  const index = Index.buildIndex(files);
+  assert.equal(index.format, Index.FORMAT);
+  assert.equal(index.version, Index.VERSION);
+  assert.ok(Object.keys(index.records).length > 150);
+  assert.equal(index.records.spinach.display, 'Spinach');
+  assert.ok(index.datasets.main && index.datasets.gi_gl && index.datasets.diet_tool);
+  assert.deepEqual(Object.keys(index.files).sort(), Object.keys(files).sort());
+  assert.deepEqual(Index.tableRows(index.files['main.csv']), Index.parseCSV(files['main.csv']));
+  // Every source finds the columns it expects; only optional files may be missing
+  assert.ok(index.issues.every(i => i.level === 'info'), index.issues.map(i => i.message).join('\n'));
+});
@@ -0,0 +1,76 @@
+// /test/lint.test.js
+// The data linter (assets/bp-lint.js) on data/*.csv and on small tables that each carry one problem.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Lint = require('../assets/bp-lint.js');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const readData = () => {
+  const texts = {};
+  for (const name of fs.readdirSync(DATA_DIR)) if (name.endsWith('.csv')) texts[name] = fs.readFileSync(path.join(DATA_DIR, name), 'utf8');
+  return texts;
+};
+const codes = (report, file) => report.issues.filter(i => !file || i.file === file).map(i => i.code);
+
+test('data/*.csv has no errors, and the known drift is reported', () => {
+  const report = Lint.lintFiles(readData());
+  assert.equal(report.counts.error, 0, report.issues.filter(i => i.level === 'error').map(i => i.message).join('\n'));
+  assert.ok(codes(report, 'micronutients_list.csv').includes('MISNAMED_FILE'));
+  assert.ok(codes(report, 'microbiome.csv').includes('KEY_COLUMN'));
+  assert.ok(report.issues.some(i => i.code === 'HEADER_TYPO' && i.column === 'Inirect Cognitive Benefits'));
+  assert.deepEqual(report.counts, ['error', 'warn', 'info'].reduce((c, l) => ({ ...c, [l]: report.issues.filter(i => i.level === l).length }), {}));
+});
+
+test('rows: duplicate keys, text in numeric columns, unkeyed rows and mojibake', () => {
+  const report = Lint.lintFiles({
+    'protein.csv': 'Foods,Protein_per_Serving_(g)\nWalnuts,4\nWalnut,5\n" ",\n,3\nChia,<1\nFlax,?-linolenic'
+  });
+  const dup = report.issues.find(i => i.code === 'DUPLICATE_KEY');
+  assert.deepEqual(dup.rows, [1, 2]);
+  assert.match(dup.message, /share the key "walnut"/);
+  assert.deepEqual(report.issues.find(i => i.code === 'NON_NUMERIC').rows, [5, 6]);
+  assert.deepEqual(report.issues.find(i => i.code === 'UNKEYED_ROWS').rows, [4]);
+  assert.deepEqual(report.issues.find(i => i.code === 'BLANK_ROWS').rows, [3]);
+  assert.deepEqual(report.issues.find(i => i.code === 'MOJIBAKE').rows, [6]);
+  assert.ok(Lint.MOJIBAKE.test('½ cup → ˝ cup') && !Lint.MOJIBAKE.test('α-tocopherol, ½ cup'));
+});
+
+test('headers: misspelled, missing and unnamed columns', () => {
+  const report = Lint.lintFiles({ 'gi_gl.csv': 'Foods,Glycemic Indx (GI),Serving Size,\nOats,55,1 cup,x' });
+  assert.ok(report.issues.some(i => i.code === 'HEADER_TYPO' && i.column === 'Glycemic Indx (GI)'));
+  assert.ok(report.issues.some(i => i.code === 'MISSING_COLUMN' && i.column === 'Glycemic Load per Serving'));
+  assert.equal(report.issues.find(i => i.code === 'UNNAMED_COLUMN').level, 'warn');
+  assert.ok(codes(report).includes('MISSING_FILE'));
+});
+
+test('mapping rows must point at files and columns that exist', () => {
+  const report = Lint.lintFiles({
+    'fiber.csv': 'Foods,Total Fiber (g)\nOats,4',
+    'mapping_nutrition.csv': [
+      'table,output_header,mode,order,file,csv_column,role,combine_separator,notes',
+      'nutrition,Fiber,first,1,fiber.csv,Total Fibre (g),primary,,',
+      'nutrition,Fiber,first,2,fibers.csv,Total Fiber (g),primary,,',
+      'nutrition,GI,first,3,gi.csv,GI,optional_fallback,,'
+    ].join('\n')
+  });
+  const mapping = report.issues.filter(i => i.file === 'mapping_nutrition.csv' && i.code.startsWith('MAPPING_'));
+  assert.deepEqual(mapping.map(i => [i.code, i.level]), [['MAPPING_COLUMN', 'error'], ['MAPPING_FILE', 'error'], ['MAPPING_FILE', 'info']]);
+  assert.match(mapping[0].message, /did you mean "Total Fiber \(g\)"/);
+  assert.match(mapping[1].message, /did you mean fiber\.csv/);
+});
+
+test('ingredients missing from one file are listed with the closest name there', () => {
+  const report = Lint.lintFiles({
+    'protein.csv': 'Foods,Protein_per_Serving_(g)\nAlgae Oil,0\nSpinach,1',
+    'fiber.csv': 'Foods,Total Fiber (g)\nAlgae/Algae Oil,0\nSpinach,1'
+  });
+  const missing = report.issues.filter(i => i.code === 'MISSING_JOIN');
+  const inFiber = missing.find(i => i.file === 'fiber.csv');
+  assert.equal(inFiber.key, 'algae oil');
+  assert.equal(inFiber.near, 'Algae/Algae Oil');
+  assert.ok(missing.some(i => i.file === 'protein.csv' && i.key === 'algae algae oil' && i.near === 'Algae Oil'));
+});
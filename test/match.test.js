@@ -0,0 +1,101 @@
+// /test/match.test.js
+// Fuzzy ingredient matching (assets/bp-match.js) against names as the data/*.csv catalog spells them.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Match = require('../assets/bp-match.js');
+
+const CATALOG = [
+  'Brussel Sprouts', 'Olive Oil (Extra Virgin -Cold-pressed)', 'Oats/Oat Groats/Steel Cut/Rolled', 'Blueberries',
+  'Blackberries', 'Broccoli', 'Spinach', 'Spinach Pasta', 'Salmon', 'Walnuts', 'Walnut Oil', 'Chia Seeds', 'Chia Seed Oil',
+  'Olives', 'Lentils', 'Garlic', 'Onions', 'Lemon', 'Feta Cheese', 'Parmesan Cheese', 'Brie Cheese', 'Cherries', 'Tomatoes'
+].map(name => ({ key: name.toLowerCase(), name }));
+const matcher = Match.createMatcher(CATALOG);
+const best = name => matcher.match(name)[0] || { key: null, score: 0 };
+
+test('singular handles the plural forms ingredient names use', () => {
+  assert.deepEqual(['berries', 'peaches', 'tomatoes', 'leaves', 'oats', 'hummus', 'asparagus', 'glass', 'egg'].map(Match.singular),
+    ['berry', 'peach', 'tomato', 'leaf', 'oat', 'hummus', 'asparagus', 'glass', 'egg']);
+});
+
+test('tokens drops preparation words and numbers; variants splits slashes and parentheses', () => {
+  assert.deepEqual(Match.tokens('2 Fresh Chopped Brussels Sprouts'), ['brussel', 'sprout']);
+  assert.deepEqual(['salmon fillets', 'garlic cloves', 'spinach leaves', 'walnut halves'].map(n => Match.tokens(n).join(' ')),
+    ['salmon', 'garlic', 'spinach', 'walnut']);
+  assert.deepEqual(Match.variants('Olive Oil (Extra Virgin -Cold-pressed)').map(t => t.join(' ')),
+    ['olive oil extra virgin cold pressed', 'olive oil']);
+  assert.deepEqual(Match.variants('Oats/Oat Groats/Steel Cut/Rolled').map(t => t.join(' ')),
+    ['oat groat steel rolled', 'oat', 'oat groat', 'steel', 'rolled']);
+});
+
+test('similarity scores plurals, typos and reordered words', () => {
+  const sim = (a, b) => Match.similarity(Match.tokens(a), Match.tokens(b));
+  assert.equal(sim('Blueberries', 'blueberry'), 1);
+  assert.equal(sim('olive oil extra virgin', 'extra virgin olive oil'), 1);
+  assert.ok(sim('brocoli', 'Broccoli') >= Match.AUTO_THRESHOLD);
+  assert.ok(sim('extra virgin olive oil', 'Olive Oil (Extra Virgin -Cold-pressed)') >= Match.AUTO_THRESHOLD);
+  assert.ok(sim('salmon', 'spinach') < Match.SUGGEST_MIN);
+  assert.equal(sim('', 'salmon'), 0);
+  // containment counts both ways: the catalog name inside the model's longer phrase, and the other way round
+  assert.equal(sim('red onion', 'Onions'), sim('Onions', 'red onion'));
+  assert.ok(sim('lemon juice', 'Lemon') >= Match.AUTO_THRESHOLD);
+  assert.ok(sim('chicken breast with garlic', 'Garlic') < Match.AUTO_THRESHOLD);
+});
+
+test('walnut halves are walnuts, not walnut oil', () => {
+  assert.deepEqual(matcher.match('walnut halves').slice(0, 2).map(c => c.key), ['walnuts', 'walnut oil']);
+  assert.ok(best('walnut halves').score > matcher.match('walnut halves')[1].score);
+});
+
+test('confident needs the threshold and, short of an exact match, a single best entry', () => {
+  assert.equal(Match.confident(matcher.match('feta')).key, 'feta cheese');
+  assert.equal(Match.confident(matcher.match('cheese')), null); // Feta, Parmesan and Brie all fit
+  assert.equal(Match.confident(matcher.match('cherry tomatoes')), null);
+  assert.equal(Match.confident(matcher.match('berries mix')), null);
+  assert.equal(Match.confident([{ key: 'a', score: 1 }, { key: 'b', score: 1 }]).key, 'a');
+  assert.equal(Match.confident(matcher.match('feta'), 0.95), null);
+  assert.equal(Match.confident([]), null);
+});
+
+test('the names the model writes find their catalog rows', () => {
+  const cases = {
+    'Brussels Sprouts': 'brussel sprouts',
+    'brussel sprout': 'brussel sprouts',
+    'extra virgin olive oil': 'olive oil (extra virgin -cold-pressed)',
+    'olive oil': 'olive oil (extra virgin -cold-pressed)',
+    'steel cut oats': 'oats/oat groats/steel cut/rolled',
+    'Rolled Oats': 'oats/oat groats/steel cut/rolled',
+    'blueberry': 'blueberries',
+    'brocoli': 'broccoli',
+    'Chia Seed': 'chia seeds',
+    'walnut': 'walnuts',
+    'salmon fillets': 'salmon',
+    'garlic cloves': 'garlic',
+    'spinach leaves': 'spinach',
+    'red onion': 'onions',
+    'lemon juice': 'lemon',
+    'feta': 'feta cheese',
+    'parmesan': 'parmesan cheese'
+  };
+  for (const [name, key] of Object.entries(cases)) {
+    const hit = best(name);
+    assert.equal(hit.key, key, name);
+    assert.ok(hit.score >= Match.AUTO_THRESHOLD, `${name}: ${hit.score}`);
+  }
+});
+
+test('match returns at most the requested number of candidates, best first', () => {
+  const got = matcher.match('berries mix');
+  assert.ok(got.length <= 3);
+  for (let i = 1; i < got.length; i++) assert.ok(got[i - 1].score >= got[i].score);
+  assert.equal(matcher.match('chia', 1).length, 1);
+  assert.deepEqual(matcher.match('zzqx'), []);
+  assert.equal(matcher.size, CATALOG.length);
+});
+
+test('ratio is one minus the edit distance over the longer length', () => {
+  assert.equal(Match.levenshtein('kitten', 'sitting'), 3);
+  assert.equal(Match.ratio('fiber.csv', 'fibers.csv'), 0.9);
+  assert.equal(Match.ratio('', ''), 1);
+});
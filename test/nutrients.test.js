@@ -0,0 +1,43 @@
+// /test/nutrients.test.js
+// Nutrient vocabulary and coverage (assets/bp-nutrients.js), on text as the data/*.csv compound columns write it.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Nutrients = require('../assets/bp-nutrients.js');
+
+test('parseCompounds reads vitamin lists, synonyms and groups', () => {
+  assert.deepEqual(Nutrients.parseCompounds('Folate, vitamins C, E & K, lutein'), ['b_vitamins', 'b9', 'vitamin_c', 'vitamin_e', 'vitamin_k', 'lutein']);
+  assert.deepEqual(Nutrients.parseCompounds('Omega-3 (DHA, EPA), B12, selenium'), ['b_vitamins', 'b12', 'omega3', 'selenium']);
+  assert.deepEqual(Nutrients.parseCompounds('vitamin A/B9/C; beta-carotene'), ['b_vitamins', 'b9', 'vitamin_a', 'vitamin_c']);
+  assert.deepEqual(Nutrients.parseCompounds('Anthocyanins, fiber'), ['polyphenols']);
+  assert.deepEqual(Nutrients.parseCompounds(''), []);
+});
+
+test('idFor picks the specific vitamin over its group', () => {
+  assert.equal(Nutrients.idFor('B Vitamins '), 'b_vitamins');
+  assert.equal(Nutrients.idFor('B1'), 'b1');
+  assert.equal(Nutrients.idFor('Choline/Citicoline'), 'choline');
+  assert.equal(Nutrients.idFor('Fiber'), null);
+});
+
+test('targetsFrom keeps one target per list row, skips bioactives and adds omega-3', () => {
+  const targets = Nutrients.targetsFrom([
+    { name: 'Magnesium', amount: '310–420 mg/day' }, { name: 'Lutein' }, { name: 'Magnesium (Mg)' }, { name: 'B12', foods: 'Fish' }
+  ]);
+  assert.deepEqual(targets.map(t => t.id), ['b12', 'omega3', 'magnesium']);
+  assert.equal(targets[2].amount, '310–420 mg/day');
+  assert.equal(targets[1].listName, null);
+});
+
+test('coverage splits supplied targets, missing targets and extras', () => {
+  const targets = Nutrients.targetsFrom([{ name: 'Magnesium' }, { name: 'B12' }]);
+  const got = Nutrients.coverage([
+    { name: 'Spinach', ids: Nutrients.parseCompounds('magnesium, lutein') },
+    { name: 'Pumpkin Seeds', ids: Nutrients.parseCompounds('magnesium, zinc') }
+  ], targets);
+  assert.deepEqual(got.covered, { magnesium: ['Spinach', 'Pumpkin Seeds'] });
+  assert.deepEqual(got.missing, ['b12', 'omega3']);
+  assert.deepEqual(got.extras, { lutein: ['Spinach'], zinc: ['Pumpkin Seeds'] });
+  assert.equal(Nutrients.nameOf('omega3'), 'Omega-3 fatty acids');
+});
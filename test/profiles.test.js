@@ -0,0 +1,97 @@
+// /test/profiles.test.js
+// Client profiles (assets/bp-profiles.js): normalizing, the rules a profile turns into, prompt lines, storage and files.
+// Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Profiles = require('../assets/bp-profiles.js');
+
+// The name-based part of every rule: the reasons that rule out `name`
+const excludedBy = (profile, name) => Profiles.rulesFor(profile).filter(r => Profiles.nameMatches(r, [name])).map(r => r.reason);
+
+// An in-memory Storage
+function memoryStorage() {
+  const data = new Map();
+  return { getItem: k => (data.has(k) ? data.get(k) : null), setItem: (k, v) => data.set(k, String(v)), removeItem: k => data.delete(k) };
+}
+
+test('normalizeProfile keeps known allergens and diets, lists and sane servings', () => {
+  assert.deepEqual(Profiles.normalizeProfile({ name: '  Ann ', allergens: 'dairy, gluten, pollen, dairy', diet: 'carnivore', dislikes: 'okra;\nbeets', servings: '2.4' }),
+    { name: 'Ann', allergens: ['dairy', 'gluten'], diet: '', dislikes: ['okra', 'beets'], goals: [], servings: 2 });
+  assert.equal(Profiles.normalizeProfile({ name: 'Bo', servings: 40 }).servings, null);
+  assert.equal(Profiles.normalizeProfile({ allergens: ['fish'] }), null);
+});
+
+test('allergen and diet rules match ingredient names as the model writes them', () => {
+  const nuts = { name: 'A', allergens: ['tree_nuts'] };
+  assert.deepEqual(excludedBy(nuts, 'chopped walnuts'), ['tree nuts allergy']);
+  assert.deepEqual(excludedBy(nuts, 'Nutmeg'), []);
+  const dairy = { name: 'A', allergens: ['dairy'] };
+  assert.deepEqual(excludedBy(dairy, 'Greek yogurt'), ['dairy allergy']);
+  assert.deepEqual(excludedBy(dairy, 'unsalted butter'), ['dairy allergy']);
+  assert.deepEqual(['almond milk', 'peanut butter', 'coconut cream'].flatMap(n => excludedBy(dairy, n)), []);
+  assert.deepEqual(excludedBy({ name: 'A', allergens: ['gluten'] }, 'non-wheat flour'), []);
+  assert.deepEqual(['buttermilk', 'crumbled feta', 'grated parmesan', 'ricotta', 'fresh mozzarella'].map(n => excludedBy(dairy, n).length), [1, 1, 1, 1, 1]);
+  const gluten = { name: 'A', allergens: ['gluten'] };
+  assert.deepEqual(['whole wheat pasta', 'egg noodles', 'all-purpose flour', 'panko breadcrumbs', 'sourdough bread', 'crackers', 'soy sauce']
+    .map(n => excludedBy(gluten, n).length), [1, 1, 1, 1, 1, 1, 1]);
+  assert.deepEqual(['chickpea pasta', 'rice noodles', 'Buckwheat (Soba) Noodles', 'almond flour', 'Whole Grain Pasta (non-wheat options)', 'tamari']
+    .flatMap(n => excludedBy(gluten, n)), []);
+  assert.deepEqual(excludedBy({ name: 'A', allergens: ['eggs'] }, 'mayonnaise'), ['eggs allergy']);
+  assert.deepEqual(excludedBy({ name: 'A', allergens: ['soy', 'gluten'] }, 'soy sauce'), ['soy allergy', 'gluten allergy']);
+  assert.deepEqual(excludedBy({ name: 'A', diet: 'vegan' }, 'Honey'), ['not Vegan']);
+  assert.deepEqual(excludedBy({ name: 'A', diet: 'pescatarian' }, 'Salmon'), []);
+});
+
+test('every Diet Compatibility diet can be chosen; Gluten-Free and Dairy-Free reuse the allergen patterns', () => {
+  assert.deepEqual(Object.values(Profiles.DIETS).map(d => d.label).sort(),
+    ['DASH', 'Dairy-Free', 'Gluten-Free', 'Keto', 'Low GI', 'MIND', 'Mediterranean', 'Paleo', 'Pescatarian', 'Vegan', 'Vegetarian']);
+  assert.deepEqual(excludedBy({ name: 'A', diet: 'gluten_free' }, 'egg noodles'), ['not Gluten-Free']);
+  assert.deepEqual(excludedBy({ name: 'A', diet: 'dairy_free' }, 'grated parmesan'), ['not Dairy-Free']);
+  const keto = { name: 'A', diet: 'keto' };
+  assert.deepEqual(['brown rice', 'black beans', 'maple syrup', 'honey', 'cauliflower rice', 'green beans', 'sugar snap peas', 'tofu']
+    .map(n => excludedBy(keto, n).length), [1, 1, 1, 1, 0, 0, 0, 0]);
+  assert.deepEqual(['rolled oats', 'peanuts', 'feta', 'tempeh', 'honey'].map(n => excludedBy({ name: 'A', diet: 'paleo' }, n).length), [1, 1, 1, 1, 0]);
+  const [ketoRule] = Profiles.rulesFor(keto);
+  assert.deepEqual(ketoRule.max, { carbs: 10 });
+  assert.deepEqual(Profiles.rulesFor({ name: 'A', diet: 'low_gi' })[0].max, { gi: 55 });
+});
+
+test('rulesFor carries groups, diet flags and dislikes', () => {
+  const rules = Profiles.rulesFor({ name: 'A', allergens: ['fish'], diet: 'mind', dislikes: ['mushroom'] });
+  assert.deepEqual(rules.map(r => r.reason), ['fish allergy', 'disliked (mushroom)', 'not MIND']);
+  assert.deepEqual(rules[0].groups, ['Fish']);
+  assert.equal(rules[2].flag, 'mind');
+  assert.ok(Profiles.nameMatches(rules[1], ['Mushrooms']));
+  assert.ok(!Profiles.nameMatches(Profiles.rulesFor({ name: 'A', dislikes: ['nut'] })[0], ['Walnuts']));
+  assert.deepEqual(Profiles.rulesFor(null), []);
+});
+
+test('promptLines tells the recipe engine the profile', () => {
+  assert.deepEqual(Profiles.promptLines({ name: 'Ann', allergens: ['peanuts'], diet: 'vegetarian', dislikes: ['okra'], servings: 2 }), [
+    'Client profile: Ann.',
+    'Allergies — never use these or anything made from them: Peanuts.',
+    'Diet: Vegetarian (no meat, fish or shellfish).',
+    'Disliked foods — do not use: okra.',
+    'Unless asked otherwise, each recipe serves 2.'
+  ]);
+});
+
+test('profiles are saved, upserted by name and round-trip through the export file', () => {
+  const storage = memoryStorage();
+  const list = Profiles.upsert(Profiles.upsert([], { name: 'Ann', diet: 'dash' }), { name: 'ANN', diet: 'mind' });
+  assert.deepEqual(list.map(p => [p.name, p.diet]), [['ANN', 'mind']]);
+  Profiles.saveProfiles(list, storage);
+  assert.deepEqual(Profiles.loadProfiles(storage), list);
+  Profiles.setActiveName('ANN', storage);
+  assert.equal(Profiles.activeName(storage), 'ANN');
+  Profiles.setActiveName('', storage);
+  assert.equal(Profiles.activeName(storage), '');
+
+  const { profiles, imported } = Profiles.importProfiles(Profiles.exportProfiles([{ name: 'Bo', allergens: ['soy'] }]), list);
+  assert.equal(imported, 1);
+  assert.deepEqual(profiles.map(p => p.name), ['ANN', 'Bo']);
+  assert.throws(() => Profiles.importProfiles('{"format":"other","profiles":[]}'), /Not a BrainPreserve profiles file/);
+  assert.throws(() => Profiles.importProfiles({ format: Profiles.FORMAT, version: 99, profiles: [] }), /newer than this page supports/);
+  assert.throws(() => Profiles.upsert([], { name: ' ' }), /needs a name/);
+});
@@ -0,0 +1,50 @@
+// /test/quantity.test.js
+// Amounts, recipe lines and serving sizes (assets/bp-quantity.js). Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Quantity = require('../assets/bp-quantity.js');
+
+test('parseAmount reads fractions, mixed numbers and ranges', () => {
+  assert.deepEqual(Quantity.parseAmount('1 1/2 cups oats'), { value: 1.5, rest: 'cups oats' });
+  assert.deepEqual(Quantity.parseAmount('½ cup walnuts'), { value: 0.5, rest: 'cup walnuts' });
+  assert.deepEqual(Quantity.parseAmount('1½ tbsp olive oil'), { value: 1.5, rest: 'tbsp olive oil' });
+  assert.deepEqual(Quantity.parseAmount('2-3 cloves garlic'), { value: 2.5, rest: 'cloves garlic' });
+  assert.deepEqual(Quantity.parseAmount('about 4 oz salmon'), { value: 4, rest: 'oz salmon' });
+  assert.equal(Quantity.parseAmount('salt, to taste'), null);
+  assert.equal(Quantity.parseAmount(''), null);
+});
+
+test('parseIngredientLine splits amount, unit and name', () => {
+  const line = s => { const { quantity, unit, name } = Quantity.parseIngredientLine(s); return [quantity, unit, name]; };
+  assert.deepEqual(line('1 ½ cups chopped spinach'), [1.5, 'cup', 'spinach']);
+  assert.deepEqual(line('- 2 eggs'), [2, 'each', 'eggs']);
+  assert.deepEqual(line('1 (15 oz) can chickpeas, drained'), [1, 'each', 'chickpeas']);
+  assert.deepEqual(line('2 tablespoons of extra virgin olive oil'), [2, 'tbsp', 'extra virgin olive oil']);
+  assert.deepEqual(line('1 small handful walnuts'), [1, 'handful', 'walnuts']);
+  assert.deepEqual(line('salt, to taste'), [null, '', 'salt']);
+  assert.deepEqual(line('1 cup Grits (whole grain, cooked)'), [1, 'cup', 'Grits (whole grain, cooked)']);
+});
+
+test('parseServing lists every alternative measure', () => {
+  assert.deepEqual(Quantity.parseServing('1 cup raw / ½ cup cooked (1 handful)').map(a => [a.quantity, a.unit, a.state]),
+    [[1, 'cup', 'raw'], [0.5, 'cup', 'cooked'], [1, 'handful', '']]);
+  assert.deepEqual(Quantity.parseServing('1/2 cup').map(a => [a.quantity, a.unit, a.text]), [[0.5, 'cup', '1/2 cup']]);
+  assert.deepEqual(Quantity.parseServing('3–4 oz cooked (palm size)').map(a => [a.quantity, a.unit, a.state]), [[3.5, 'oz', 'cooked']]);
+  assert.deepEqual(Quantity.parseServing('1 oz (small handful)').map(a => [a.quantity, a.unit]), [[1, 'oz'], [1, 'handful']]);
+  assert.deepEqual(Quantity.parseServing('varies'), []);
+});
+
+test('scaleToServing compares like dimensions only', () => {
+  assert.deepEqual(Quantity.scaleToServing({ quantity: 2, unit: 'cup' }, '1 cup raw / ½ cup cooked'), { factor: 2, serving: '1 cup raw' });
+  assert.equal(Quantity.scaleToServing({ quantity: 1, unit: 'cup', raw: '1 cup cooked spinach' }, '1 cup raw / ½ cup cooked').factor, 2);
+  assert.equal(Quantity.scaleToServing({ quantity: 8, unit: 'tbsp' }, '½ cup').factor, 1);
+  assert.equal(Quantity.scaleToServing({ quantity: 100, unit: 'g' }, '1 cup'), null);
+  assert.equal(Quantity.scaleToServing({ quantity: null, unit: '' }, '1 cup'), null);
+});
+
+test('formatAmount drops the unit of counted items', () => {
+  assert.equal(Quantity.formatAmount({ quantity: 1 / 3, unit: 'cup' }), '0.33 cup');
+  assert.equal(Quantity.formatAmount({ quantity: 2, unit: 'each' }), '2');
+  assert.equal(Quantity.formatAmount({ quantity: null, unit: '' }), '');
+});
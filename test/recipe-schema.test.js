@@ -0,0 +1,58 @@
+// /test/recipe-schema.test.js
+// The structured-recipe validator (netlify/lib/recipe-schema.js). Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RESPONSE_FORMAT, validateRecipes, parseRecipes } = require('../netlify/lib/recipe-schema.js');
+
+const recipe = {
+  title: 'Spinach Salmon Bowl',
+  servings: 2,
+  ingredients: [
+    { quantity: 8, unit: 'oz', name: 'salmon' },
+    { quantity: 1.5, unit: 'cups', name: 'spinach' },
+    { quantity: null, unit: '', name: 'salt' }
+  ],
+  steps: ['Roast the salmon.', 'Wilt the spinach.'],
+  coaching_notes: []
+};
+
+test('a complete recipe list passes', () => {
+  assert.deepEqual(validateRecipes({ recipes: [recipe] }), []);
+  assert.equal(RESPONSE_FORMAT.json_schema.strict, true);
+});
+
+test('each problem is named with its path', () => {
+  const bad = {
+    recipes: [{
+      title: ' ',
+      servings: 1.5,
+      ingredients: [{ quantity: -1, unit: 'cup', name: 'oats' }, { quantity: 1, unit: null, name: '' }],
+      steps: [],
+      coaching_notes: [3]
+    }]
+  };
+  assert.deepEqual(validateRecipes(bad), [
+    'recipes[0].title must be a non-empty string',
+    'recipes[0].servings must be an integer ≥ 1',
+    'recipes[0].ingredients[0].quantity must be a non-negative number or null',
+    'recipes[0].ingredients[1].name must be a non-empty string',
+    'recipes[0].ingredients[1].unit must be a string',
+    'recipes[0].steps must be a non-empty array of strings',
+    'recipes[0].coaching_notes must be an array of strings'
+  ]);
+  assert.deepEqual(validateRecipes({ recipes: [] }), ['recipes must not be empty']);
+  assert.deepEqual(validateRecipes([recipe]), ['top level must be an object with a "recipes" array']);
+});
+
+test('parseRecipes accepts a fenced answer and reports text that is not JSON', () => {
+  const fenced = '```json\n' + JSON.stringify({ recipes: [recipe] }) + '\n```';
+  assert.deepEqual(parseRecipes(fenced), { recipes: [recipe], errors: [] });
+
+  const prose = parseRecipes('Here are your recipes!');
+  assert.equal(prose.recipes, null);
+  assert.match(prose.errors[0], /^response is not valid JSON/);
+
+  const invalid = parseRecipes(JSON.stringify({ recipes: [{ ...recipe, servings: 0 }] }));
+  assert.deepEqual(invalid, { recipes: null, errors: ['recipes[0].servings must be an integer ≥ 1'] });
+});
@@ -0,0 +1,64 @@
+// /test/scoring.test.js
+// Recipe GI/GL and DII scores and the goal verdicts (assets/bp-scoring.js). Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Scoring = require('../assets/bp-scoring.js');
+
+const item = (name, fields) => Object.assign({ name, portions: 1, gi: null, carbs: null, gl: null, dii: null }, fields);
+
+const oats = item('Oats', { portions: 1, gi: 55, carbs: 27, gl: 15, dii: -0.2, calories: 150, fiber: 4, mind: true, dash: true, biotic: 'Prebiotic' });
+const rice = item('White Rice', { portions: 1, gi: 73, carbs: 45, gl: 33, dii: 0.3, calories: 205, fiber: 0.6, mind: false, dash: false });
+const berries = item('Blueberries', { portions: 2, gi: 53, carbs: 21, gl: 11, antiInflammatory: true, calories: 84, fiber: 3.6, mind: true, dash: true, biotic: 'Prebiotic' });
+
+test('scoreRecipe weighs GI by carbs and DII by portions', () => {
+  const s = Scoring.scoreRecipe([oats, rice], 2);
+  assert.equal(s.gi, Math.round((55 * 27 + 73 * 45) / 72));
+  assert.equal(s.glTotal, 48);
+  assert.equal(s.glPerServing, 24);
+  assert.equal(s.dii, 0.05);
+  assert.deepEqual(s.diiBasis, { scored: 2, flagged: 0 });
+  assert.equal(s.caloriesPerServing, 178);
+  assert.equal(s.mindShare, 0.5);
+});
+
+test('ingredients with only a flag count with the stand-in DII', () => {
+  const s = Scoring.scoreRecipe([oats, berries], 1);
+  assert.equal(s.dii, Math.round((-0.2 * 1 + Scoring.FLAG_DII.antiInflammatory * 2) / 3 * 100) / 100);
+  assert.deepEqual(s.diiBasis, { scored: 1, flagged: 1 });
+  assert.equal(Scoring.scoreRecipe([item('Water')], 1).dii, null);
+});
+
+test('grade reads thresholds in either direction', () => {
+  assert.equal(Scoring.grade(8, { pass: 10, warn: 20 }), 'pass');
+  assert.equal(Scoring.grade(15, { pass: 10, warn: 20 }), 'warn');
+  assert.equal(Scoring.grade(25, { pass: 10, warn: 20 }), 'fail');
+  assert.equal(Scoring.grade(0.6, { pass: 0.75, warn: 0.5 }), 'warn');
+  assert.equal(Scoring.grade(null, { pass: 10, warn: 20 }), 'n/a');
+});
+
+test('evaluateGoals names the ingredients behind a verdict', () => {
+  const [sugar, cognitive, unknown] = Scoring.evaluateGoals(
+    ['Blood Sugar Control (Low GI/GL)', 'General Cognitive Health', 'Better Hair'],
+    Scoring.scoreRecipe([oats, rice], 2));
+  assert.equal(sugar.verdict, 'fail');
+  assert.deepEqual(sugar.culprits, ['White Rice', 'Oats']);
+  assert.match(sugar.message, /^GL 24 per serving/);
+  assert.equal(cognitive.verdict, 'warn');
+  assert.deepEqual(cognitive.culprits, ['White Rice']);
+  assert.deepEqual(unknown, { goal: 'Better Hair', verdict: 'n/a', message: 'No automatic check for this goal.', culprits: [] });
+});
+
+test('microbiome and sleep goals need the right kinds of ingredient', () => {
+  const goals = ['Microbiome Support (Pre/Pro/Post-biotic)', 'Sleep Support'];
+  const [microbiome, sleep] = Scoring.evaluateGoals(goals, Scoring.scoreRecipe([oats, berries, item('Espresso', { compounds: 'Caffeine' })], 1));
+  assert.equal(microbiome.verdict, 'warn'); // two prebiotics but nothing fermented
+  assert.equal(sleep.verdict, 'fail');
+  assert.deepEqual(sleep.culprits, ['Espresso']);
+
+  const kefir = item('Kefir', { biotic: 'Probiotic', compounds: 'Magnesium, Tryptophan' });
+  const seeds = item('Pumpkin Seeds', { compounds: 'Magnesium, Zinc' });
+  const [fermented, rested] = Scoring.evaluateGoals(goals, Scoring.scoreRecipe([oats, berries, kefir, seeds], 1));
+  assert.equal(fermented.verdict, 'pass');
+  assert.equal(rested.verdict, 'pass');
+});
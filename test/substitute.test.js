@@ -0,0 +1,53 @@
+// /test/substitute.test.js
+// Ingredient swaps (assets/bp-substitute.js): roles, per-metric gains and ranking, on per-serving items as
+// nutrition-tables.js builds them. Run with `node --test` from the repository root.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Substitute = require('../assets/bp-substitute.js');
+
+const item = (key, category, values) => ({ key, name: key[0].toUpperCase() + key.slice(1), category, ...values });
+const WHITE_RICE = item('white rice', 'Grains', { protein: 4, fiber: 0.6, calories: 205, gi: 73, gl: 29 });
+const GRAINS = [
+  WHITE_RICE,
+  item('quinoa', 'Grains', { protein: 8, fiber: 5, calories: 222, gi: 53, gl: 18 }),
+  item('barley', 'Grains', { protein: 3.5, fiber: 6, calories: 193, gi: 28, gl: 12 }),
+  item('instant oats', 'Grains', { protein: 5, fiber: 4, calories: 150, gi: 79, gl: 21 }),
+  item('bulgur', 'Grains', { protein: 5.6, fiber: 8, calories: 151 })
+];
+
+test('roleOf reads what an ingredient mainly brings per serving', () => {
+  assert.equal(Substitute.roleOf({ protein: 22, fiber: 0, calories: 180 }), 'protein');
+  assert.equal(Substitute.roleOf({ protein: 3, fiber: 6, calories: 190 }), 'fiber');
+  assert.equal(Substitute.roleOf({ protein: 0, fiber: 0, calories: 120 }), 'fat');
+  assert.equal(Substitute.roleOf({}), 'other');
+});
+
+test('gain compares amounts (lower is better) and ✓ flags', () => {
+  assert.equal(Substitute.gain('gl', { gl: 20 }, { gl: 10 }), 0.5);
+  assert.equal(Substitute.gain('gl', { gl: 10 }, { gl: 20 }), -1);
+  assert.equal(Substitute.gain('gl', { gl: 10 }, {}), null);
+  assert.equal(Substitute.gain('dii', { proInflammatory: true }, { dii: -0.6 }), 1);
+  assert.equal(Substitute.gain('mind', { mind: false }, { mind: true }), 1);
+  assert.equal(Substitute.gain('mind', { mind: true }, { mind: false }), -1);
+  assert.equal(Substitute.gain('mind', { mind: true }, {}), null);
+});
+
+test('rank keeps candidates that improve every comparable metric, best first', () => {
+  const out = Substitute.rank(WHITE_RICE, GRAINS, { metrics: Substitute.GOAL_METRICS['Blood Sugar Control (Low GI/GL)'] });
+  // instant oats raises GI; bulgur has no GI/GL to compare
+  assert.deepEqual(out.map(s => s.item.key), ['barley', 'quinoa']);
+  assert.ok(out.every(s => s.sameCategory));
+  assert.deepEqual(out[0].changes, [{ metric: 'gl', label: 'GL', from: 29, to: 12 }, { metric: 'gi', label: 'GI', from: 73, to: 28 }]);
+  assert.equal(Substitute.rank(WHITE_RICE, GRAINS, { metrics: ['gl'], limit: 1 }).length, 1);
+});
+
+test('cross-category swaps rank by role alone, and only for items with role data', () => {
+  const bacon = item('bacon', 'Processed Meat', { protein: 12, fiber: 0, calories: 160 });
+  const pool = [item('salmon', 'Fish', { protein: 22, fiber: 0, calories: 180 }), item('lentils', 'Legumes', { protein: 9, fiber: 8, calories: 115 }), bacon];
+  assert.deepEqual(Substitute.rank(bacon, pool), []);
+  const out = Substitute.rank(bacon, pool, { crossCategory: true });
+  assert.deepEqual(out.map(s => s.item.key), ['salmon', 'lentils']);
+  assert.ok(out[0].score > out[1].score && !out[0].sameCategory);
+  assert.deepEqual(Substitute.rank(item('mystery', 'Other', {}), pool, { crossCategory: true }), []);
+});